@@ -0,0 +1,292 @@
+/**
+ * Follow-Up Agent - Self-Contained Implementation
+ *
+ * This agent tracks threads where the user sent the last message and is waiting
+ * on someone else (the opposite of "reply_needed"):
+ * - Finds sent threads with no reply after FOLLOWUP_AFTER_DAYS
+ * - Applies the "waiting_on" label
+ * - Optionally drafts a polite nudge (same draft approach as the Reply Drafter)
+ * - Removes the label once someone replies
+ *
+ * Hook Architecture:
+ * - postLabel only: runs after labeling in every run() and scans sent mail
+ *
+ * Features:
+ * - Self-contained: manages own config and label without core Config.gs changes
+ * - Idempotent: labeled threads and threads with drafts are not processed twice, and
+ *   a handled thread stays handled until a new message arrives (FOLLOWUP_HANDLED_THREADS),
+ *   so removing the label or deleting the nudge draft is not undone by the next run
+ * - Draft messages and the user's own aliases are recognized when finding the last sender
+ * - Full error handling and dry-run support
+ */
+
+// ============================================================================
+// Configuration Management (Self-Contained)
+// ============================================================================
+
+/**
+ * Get Follow-Up agent configuration with sensible defaults
+ * Manages own PropertiesService keys without core Config.gs changes
+ */
+function getFollowUpConfig_() {
+  const props = PropertiesService.getScriptProperties();
+  return {
+    // Agent enablement
+    FOLLOWUP_ENABLED: (props.getProperty('FOLLOWUP_ENABLED') || 'true').toLowerCase() === 'true',
+    FOLLOWUP_LABEL: props.getProperty('FOLLOWUP_LABEL') || 'waiting_on',
+
+    // Detection window
+    FOLLOWUP_AFTER_DAYS: parseInt(props.getProperty('FOLLOWUP_AFTER_DAYS') || '3', 10),
+    FOLLOWUP_MAX_AGE_DAYS: parseInt(props.getProperty('FOLLOWUP_MAX_AGE_DAYS') || '30', 10),
+    FOLLOWUP_MAX_THREADS: parseInt(props.getProperty('FOLLOWUP_MAX_THREADS') || '25', 10),
+
+    // Nudge drafts
+    FOLLOWUP_DRAFT_NUDGES: (props.getProperty('FOLLOWUP_DRAFT_NUDGES') || 'false').toLowerCase() === 'true',
+    FOLLOWUP_INSTRUCTIONS_URL: props.getProperty('FOLLOWUP_INSTRUCTIONS_URL'),
+
+    // Debugging and testing
+    FOLLOWUP_DEBUG: (props.getProperty('FOLLOWUP_DEBUG') || 'false').toLowerCase() === 'true',
+    FOLLOWUP_DRY_RUN: (props.getProperty('FOLLOWUP_DRY_RUN') || 'false').toLowerCase() === 'true'
+  };
+}
+
+// ============================================================================
+// Label Management (Self-Contained)
+// ============================================================================
+
+/**
+ * Ensure the "waiting_on" label exists
+ * Creates label if it doesn't exist, returns label object
+ */
+function ensureFollowUpLabel_(labelName) {
+  return GmailApp.getUserLabelByName(labelName) || GmailApp.createLabel(labelName);
+}
+
+// ============================================================================
+// Helper Functions
+// ============================================================================
+
+// Threads already labeled: { threadId: last message time when handled }, newest FOLLOWUP_HANDLED_MAX kept
+const FOLLOWUP_HANDLED_KEY = 'FOLLOWUP_HANDLED_THREADS';
+const FOLLOWUP_HANDLED_MAX = 200;
+
+/**
+ * Store the handled threads, keeping the most recent FOLLOWUP_HANDLED_MAX
+ *
+ * @param {Object} handled - { threadId: last message time in ms }
+ */
+function rememberFollowUpThreads_(handled) {
+  const newest = Object.keys(handled)
+    .sort(function(a, b) { return handled[b] - handled[a]; })
+    .slice(0, FOLLOWUP_HANDLED_MAX);
+  const bounded = {};
+  newest.forEach(function(threadId) { bounded[threadId] = handled[threadId]; });
+  writeJsonProperty_(FOLLOWUP_HANDLED_KEY, bounded);
+}
+
+/**
+ * Find the latest sent (non-draft) message of a thread and whether the user sent it
+ *
+ * @param {GmailThread} thread - Gmail thread
+ * @param {Array<string>} userAddresses - Lowercase addresses from getUserAddresses_()
+ * @return {Object|null} { message, fromMe, daysSince } or null when the thread only has drafts
+ */
+function getLastSentMessage_(thread, userAddresses) {
+  const messages = thread.getMessages().filter(function(m) { return !m.isDraft(); });
+  if (!messages.length) return null;
+
+  const message = messages[messages.length - 1];
+  const from = extractEmailAddress_(message.getFrom());
+  return {
+    message: message,
+    fromMe: userAddresses.indexOf(from) !== -1,
+    daysSince: Math.floor((Date.now() - message.getDate().getTime()) / (1000 * 60 * 60 * 24))
+  };
+}
+
+/**
+ * Check whether a message was sent to anyone besides the user
+ * Notes-to-self never get a reply, so they are not tracked.
+ *
+ * @param {GmailMessage} message - Message sent by the user
+ * @param {Array<string>} userAddresses - Lowercase addresses from getUserAddresses_()
+ * @return {boolean} True when at least one other recipient exists
+ */
+function hasOtherRecipients_(message, userAddresses) {
+  const recipients = [message.getTo(), message.getCc()].join(',').split(',')
+    .map(extractEmailAddress_)
+    .filter(Boolean);
+  return recipients.some(function(address) { return userAddresses.indexOf(address) === -1; });
+}
+
+/**
+ * Create a follow-up draft on a thread the user sent last
+ * Same approach as createDraftReply_(), but replies to all recipients: the latest
+ * message is the user's own, so a plain reply would be addressed to the user.
+ *
+ * @param {GmailMessage} message - The user's latest message in the thread
+ * @param {string} draftText - Follow-up text
+ * @return {Object} Result object with success status
+ */
+function createFollowUpDraft_(message, draftText) {
+  try {
+    const draft = message.createDraftReplyAll(draftText);
+    return {
+      success: true,
+      draftId: draft.getId(),
+      message: 'Draft created successfully'
+    };
+  } catch (error) {
+    Logger.log('Error creating follow-up draft: ' + error.toString());
+    return {
+      success: false,
+      error: 'Failed to create follow-up draft: ' + error.toString()
+    };
+  }
+}
+
+// ============================================================================
+// postLabel Handler - Sent Mail Scanning
+// ============================================================================
+
+/**
+ * Track threads awaiting a response (postLabel hook)
+ *
+ * 1. Threads labeled "waiting_on" that received a reply lose the label
+ * 2. Sent threads whose last message is the user's and older than FOLLOWUP_AFTER_DAYS
+ *    get the label, plus a nudge draft when FOLLOWUP_DRAFT_NUDGES is enabled. A thread
+ *    handled before is skipped until it receives a new message.
+ */
+function followUpPostLabelScan_() {
+  try {
+    const config = getFollowUpConfig_();
+
+    if (!config.FOLLOWUP_ENABLED) {
+      return;
+    }
+
+    const label = ensureFollowUpLabel_(config.FOLLOWUP_LABEL);
+    const userAddresses = getUserAddresses_();
+    const stats = { cleared: 0, labeled: 0, drafted: 0, errors: 0 };
+
+    // Step 1: Clear threads that got a reply
+    const waiting = label.getThreads(0, 100);
+    for (let i = 0; i < waiting.length; i++) {
+      const thread = waiting[i];
+      try {
+        const last = getLastSentMessage_(thread, userAddresses);
+        if (last && !last.fromMe) {
+          if (!config.FOLLOWUP_DRY_RUN) thread.removeLabel(label);
+          stats.cleared++;
+          if (config.FOLLOWUP_DEBUG) {
+            Logger.log(`Follow-Up postLabel: Reply received on thread ${thread.getId()}, removing ${config.FOLLOWUP_LABEL}`);
+          }
+        }
+      } catch (error) {
+        stats.errors++;
+        Logger.log(`Follow-Up postLabel: Error checking thread ${thread.getId()} - ${error.toString()}`);
+      }
+    }
+
+    // Step 2: Find sent threads still waiting for a reply
+    const query = 'in:sent older_than:' + config.FOLLOWUP_AFTER_DAYS + 'd newer_than:' + config.FOLLOWUP_MAX_AGE_DAYS + 'd' +
+      ' -' + toLabelSearchTerm_(config.FOLLOWUP_LABEL);
+    const threads = GmailApp.search(query, 0, config.FOLLOWUP_MAX_THREADS);
+
+    if (config.FOLLOWUP_DEBUG) {
+      Logger.log(`Follow-Up postLabel: ${threads.length} candidate sent threads (${query})`);
+    }
+
+    // Fetched once, only needed when a nudge is drafted
+    let knowledge = null;
+    let globalKnowledge = null;
+    const handled = readJsonProperty_(FOLLOWUP_HANDLED_KEY, {});
+    let handledChanged = false;
+
+    for (let i = 0; i < threads.length; i++) {
+      const thread = threads[i];
+      const threadId = thread.getId();
+
+      try {
+        if (handled[threadId] && thread.getLastMessageDate().getTime() <= handled[threadId]) continue;
+
+        const last = getLastSentMessage_(thread, userAddresses);
+        if (!last || !last.fromMe || last.daysSince < config.FOLLOWUP_AFTER_DAYS) continue;
+        if (!hasOtherRecipients_(last.message, userAddresses)) continue;
+
+        if (config.FOLLOWUP_DRY_RUN) {
+          Logger.log(`Follow-Up postLabel: DRY RUN - Would label thread ${threadId} (${last.daysSince} days without reply)`);
+          stats.labeled++;
+          continue;
+        }
+
+        // Draft before labeling: labeled threads leave the search, so a failed nudge
+        // (budget exceeded, AI error) leaves the thread unlabeled for the next run
+        if (config.FOLLOWUP_DRAFT_NUDGES && !draftExistsForThread_(threadId)) {
+          if (!globalKnowledge) {
+            knowledge = fetchDocument_(config.FOLLOWUP_INSTRUCTIONS_URL, { propertyName: 'FOLLOWUP_INSTRUCTIONS_URL' });
+            globalKnowledge = fetchGlobalKnowledge_();
+          }
+
+          const cfg = getConfig_();
+          const prompt = buildFollowUpPrompt_(getEmailThread_(threadId), last.daysSince, knowledge, globalKnowledge);
+          const draftText = generateReplyDraft_(prompt, cfg.MODEL_PRIMARY, 'followup');
+          const draftResult = createFollowUpDraft_(last.message, draftText);
+
+          if (!draftResult.success) {
+            stats.errors++;
+            Logger.log(`Follow-Up postLabel: Failed to create draft for thread ${threadId} - ${draftResult.error}`);
+            continue;
+          }
+          stats.drafted++;
+        }
+
+        thread.addLabel(label);
+        handled[threadId] = thread.getLastMessageDate().getTime();
+        handledChanged = true;
+        stats.labeled++;
+
+      } catch (error) {
+        stats.errors++;
+        Logger.log(`Follow-Up postLabel: Error processing thread ${threadId} - ${error.toString()}`);
+      }
+    }
+
+    if (handledChanged) rememberFollowUpThreads_(handled);
+
+    if (stats.labeled > 0 || stats.cleared > 0 || stats.errors > 0 || config.FOLLOWUP_DEBUG) {
+      Logger.log(`Follow-Up postLabel completed: labeled ${stats.labeled}, drafted ${stats.drafted}, cleared ${stats.cleared}, errors ${stats.errors}`);
+    }
+
+  } catch (error) {
+    Logger.log('Follow-Up postLabel error: ' + error.toString());
+  }
+}
+
+// ============================================================================
+// Agent Registration
+// ============================================================================
+
+if (typeof AGENT_MODULES === 'undefined') {
+  AGENT_MODULES = [];
+}
+
+AGENT_MODULES.push(function(api) {
+  /**
+   * Register Follow-Up agent for the FOLLOWUP_LABEL label (default "waiting_on")
+   * Nothing classifies mail as waiting_on, so only the postLabel scan is used
+   */
+  api.register(
+    getFollowUpConfig_().FOLLOWUP_LABEL,  // Label the agent manages
+    'FollowUp',               // Agent name
+    {
+      onLabel: null,                        // No per-email classification trigger
+      postLabel: followUpPostLabelScan_     // Sent mail scan handler
+    },
+    {
+      runWhen: 'afterLabel',  // Run after labeling
+      timeoutMs: 30000,       // Soft timeout guidance
+      enabled: true           // Enabled by default (FOLLOWUP_ENABLED turns the scan off)
+    }
+  );
+});
@@ -6,22 +6,47 @@
  * - Fetches optional knowledge from Google Drive via KnowledgeService
  * - Retrieves full email thread context
  * - Generates professional reply drafts using AI
- * - Creates Gmail draft replies automatically
+ * - Creates Gmail draft replies automatically, addressed to the last message from
+ *   someone else, as a reply or reply-all (see planReplyRecipients_())
+ * - Records each draft's recipients and AI-suggested recipient changes for review
+ * - Formats drafts as HTML with the user's signature and the quoted message,
+ *   keeping a plain-text alternative (see buildReplyDraftBodies_())
+ * - Revises drafts on request: a "redraft" label on the thread or a "redraft: ..."
+ *   line at the top of the draft regenerates it in place (see reviseRequestedDrafts_())
  * - Runs after labeling (respects dry-run mode)
  *
  * Dual-Hook Architecture:
  * 1. onLabel: Runs during classification (immediate draft for newly-classified emails)
- * 2. postLabel: Runs after all labeling (scans inbox for manually-labeled emails)
+ * 2. postLabel: Runs after all labeling (revises requested drafts, then scans inbox for
+ *    manually-labeled emails)
  *
  * Features:
  * - Self-contained: manages own config without core Config.gs changes
- * - Idempotent: skips emails that already have drafts
+ * - Idempotent: skips emails that already have drafts (one draft index per run,
+ *   see getDraftIndex_())
+ * - Bookkeeping: remembers the drafts it created, and deletes unedited ones once the
+ *   thread is resolved (see cleanUpResolvedDrafts_())
  * - Knowledge-aware: optionally uses drafting instructions and context
  * - Thread-aware: processes full conversation history
  * - Dual-mode: immediate + inbox scanning without separate trigger
  * - Full error handling and dry-run support
+ *
+ * Storage: REPLY_DRAFTS script property
+ * { "<threadId>": { draftId, replyAll, to, cc, changes: [{ action, address, reason, applied, note? }],
+ *   revisions?, feedback?, bodyHash, at } }
+ * Only drafts listed here count as agent drafts; everything else is the user's.
  */
 
+const REPLY_DRAFTER_LABEL = 'reply_needed';
+const REPLY_DRAFTS_KEY = 'REPLY_DRAFTS';
+const REPLY_DRAFTS_LIMIT = 8000;
+
+// Thread ID -> draft IDs, built once per execution by getDraftIndex_() (globals reset per execution)
+let replyDraftIndex_ = null;
+
+// Thread IDs whose draft record was written in this execution; cleanup leaves them alone
+let replyDraftsWrittenThisRun_ = {};
+
 // ============================================================================
 // Configuration Management (Self-Contained)
 // ============================================================================
@@ -41,6 +66,23 @@ function getReplyDrafterConfig_() {
     REPLY_DRAFTER_KNOWLEDGE_FOLDER_URL: props.getProperty('REPLY_DRAFTER_KNOWLEDGE_FOLDER_URL'),
     REPLY_DRAFTER_KNOWLEDGE_MAX_DOCS: parseInt(props.getProperty('REPLY_DRAFTER_KNOWLEDGE_MAX_DOCS') || '5', 10),
 
+    // Recipients: 'auto' lets the AI choose reply vs reply-all, 'reply' and 'reply_all' force a mode
+    REPLY_DRAFTER_REPLY_MODE: (props.getProperty('REPLY_DRAFTER_REPLY_MODE') || 'auto').toLowerCase(),
+    REPLY_DRAFTER_SUGGEST_RECIPIENTS: (props.getProperty('REPLY_DRAFTER_SUGGEST_RECIPIENTS') || 'true').toLowerCase() === 'true',
+
+    // Draft formatting: HTML body, signature (config doc first, then Gmail settings) and quoted message
+    REPLY_DRAFTER_HTML: (props.getProperty('REPLY_DRAFTER_HTML') || 'true').toLowerCase() === 'true',
+    REPLY_DRAFTER_SIGNATURE_URL: props.getProperty('REPLY_DRAFTER_SIGNATURE_URL'),
+    REPLY_DRAFTER_GMAIL_SIGNATURE: (props.getProperty('REPLY_DRAFTER_GMAIL_SIGNATURE') || 'true').toLowerCase() === 'true',
+    REPLY_DRAFTER_QUOTE_ORIGINAL: (props.getProperty('REPLY_DRAFTER_QUOTE_ORIGINAL') || 'true').toLowerCase() === 'true',
+
+    // Revisions: label or first-line prefix that asks for a draft to be regenerated
+    REPLY_DRAFTER_REDRAFT_LABEL: props.getProperty('REPLY_DRAFTER_REDRAFT_LABEL') || 'redraft',
+    REPLY_DRAFTER_REDRAFT_PREFIX: (props.getProperty('REPLY_DRAFTER_REDRAFT_PREFIX') || 'redraft:').toLowerCase(),
+
+    // Delete agent drafts the user never edited once their thread is resolved
+    REPLY_DRAFTER_CLEANUP_DRAFTS: (props.getProperty('REPLY_DRAFTER_CLEANUP_DRAFTS') || 'true').toLowerCase() === 'true',
+
     // Debugging and testing
     REPLY_DRAFTER_DEBUG: (props.getProperty('REPLY_DRAFTER_DEBUG') || 'false').toLowerCase() === 'true',
     REPLY_DRAFTER_DRY_RUN: (props.getProperty('REPLY_DRAFTER_DRY_RUN') || 'false').toLowerCase() === 'true'
@@ -53,25 +95,14 @@ function getReplyDrafterConfig_() {
 
 /**
  * Check if a draft already exists for the given thread
- * Returns true if draft exists, false otherwise
+ * Returns true if draft exists, false otherwise (looked up in the per-run draft index)
  *
  * @param {string} threadId - Gmail thread ID
  * @return {boolean} True if draft exists for this thread
  */
 function draftExistsForThread_(threadId) {
   try {
-    const drafts = GmailApp.getDrafts();
-
-    for (let i = 0; i < drafts.length; i++) {
-      const draftMessage = drafts[i].getMessage();
-      const draftThreadId = draftMessage.getThread().getId();
-
-      if (draftThreadId === threadId) {
-        return true;
-      }
-    }
-
-    return false;
+    return !!getDraftIndex_()[threadId];
   } catch (error) {
     Logger.log('Error checking for existing draft: ' + error.toString());
     // On error, assume no draft exists to avoid blocking draft creation
@@ -79,6 +110,97 @@ function draftExistsForThread_(threadId) {
   }
 }
 
+/**
+ * Index of all drafts by thread, built once per execution
+ *
+ * The Gmail advanced service lists drafts with their thread IDs in a few pages of
+ * 500, instead of GmailApp.getDrafts() plus a getMessage().getThread() round trip
+ * per draft. Without the advanced service the index falls back to GmailApp.
+ * Drafts created or deleted by this agent keep the index current for the rest of
+ * the run (see indexDraft_()).
+ *
+ * @return {Object} { "<threadId>": ["<draftId>", ...] }
+ */
+function getDraftIndex_() {
+  if (replyDraftIndex_) {
+    return replyDraftIndex_;
+  }
+
+  const index = {};
+  const add = function(threadId, draftId) {
+    (index[threadId] = index[threadId] || []).push(draftId);
+  };
+  try {
+    if (typeof Gmail === 'undefined') {
+      throw new Error('Gmail advanced service is not enabled');
+    }
+    let pageToken = null;
+    do {
+      const page = Gmail.Users.Drafts.list('me', pageToken ? { maxResults: 500, pageToken: pageToken } : { maxResults: 500 });
+      (page.drafts || []).forEach(function(d) { add(d.message.threadId, d.id); });
+      pageToken = page.nextPageToken;
+    } while (pageToken);
+  } catch (error) {
+    Logger.log('Reply Drafter: listing drafts through GmailApp - ' + error.toString());
+    GmailApp.getDrafts().forEach(function(d) { add(d.getMessage().getThread().getId(), d.getId()); });
+  }
+
+  replyDraftIndex_ = index;
+  return index;
+}
+
+/**
+ * Add a draft to (or remove it from) the draft index of this run
+ * @private
+ */
+function indexDraft_(threadId, draftId, removed) {
+  if (!replyDraftIndex_) return;
+  const ids = (replyDraftIndex_[threadId] || []).filter(function(id) { return id !== draftId; });
+  if (!removed) ids.push(draftId);
+  if (ids.length) {
+    replyDraftIndex_[threadId] = ids;
+  } else {
+    delete replyDraftIndex_[threadId];
+  }
+}
+
+/**
+ * Find the draft in the given thread, preferring the one this agent created
+ *
+ * @param {string} threadId - Gmail thread ID
+ * @return {GmailDraft|null} Draft in the thread, or null
+ */
+function findDraftForThread_(threadId) {
+  const ids = getDraftIndex_()[threadId];
+  if (!ids || ids.length === 0) {
+    return null;
+  }
+  const record = readJsonProperty_(REPLY_DRAFTS_KEY, {})[threadId];
+  const draftId = record && ids.indexOf(record.draftId) !== -1 ? record.draftId : ids[0];
+  return GmailApp.getDraft(draftId);
+}
+
+/**
+ * Whether a draft was created by this agent (listed in REPLY_DRAFTS)
+ *
+ * @param {string} threadId - Gmail thread ID
+ * @param {string} draftId - Gmail draft ID
+ * @return {boolean} True for agent drafts, false for the user's own
+ */
+function isAgentDraft_(threadId, draftId) {
+  const record = readJsonProperty_(REPLY_DRAFTS_KEY, {})[threadId];
+  return !!record && record.draftId === draftId;
+}
+
+/**
+ * Fingerprint of a draft's plain-text body, to tell whether the user edited it
+ * @private
+ */
+function draftBodyHash_(draft) {
+  const digest = Utilities.computeDigest(Utilities.DigestAlgorithm.MD5, draft.getMessage().getPlainBody() || '');
+  return Utilities.base64Encode(digest);
+}
+
 /**
  * Get email thread data including all messages
  * Returns structured thread object for AI processing
@@ -101,15 +223,25 @@ function getEmailThread_(threadId) {
       messages: []
     };
 
+    // One attachment excerpt allowance for the whole thread, spent on the newest messages first
+    const attachmentOptions = getAttachmentOptions_(getConfig_());
+    const attachmentBudget = { remaining: attachmentOptions.excerptTokens };
+    const attachments = [];
+    for (let i = messages.length - 1; i >= 0; i--) {
+      attachments[i] = describeAttachments_(messages[i], attachmentOptions, attachmentBudget);
+    }
+
     // Extract message details
     for (let i = 0; i < messages.length; i++) {
       const msg = messages[i];
       threadData.messages.push({
         from: msg.getFrom(),
         to: msg.getTo(),
+        cc: msg.getCc(),
         subject: msg.getSubject(),
         date: msg.getDate().toISOString(),
-        body: msg.getPlainBody()
+        body: msg.getPlainBody(),
+        attachments: attachments[i]
       });
     }
 
@@ -120,15 +252,350 @@ function getEmailThread_(threadId) {
   }
 }
 
+/**
+ * Split a header value ("A <a@x.com>, b@y.com") into lowercase addresses
+ * @private
+ */
+function parseAddressList_(value) {
+  return String(value || '').split(',').map(extractEmailAddress_).filter(Boolean);
+}
+
+/**
+ * Work out who a reply should go to
+ *
+ * The reply targets the last message from someone else, so a thread whose latest
+ * message is one we sent still gets answered to the other party rather than to
+ * ourselves. When every message is ours, the draft replies to all recipients of
+ * our latest message instead.
+ *
+ * @param {GmailThread} thread - Gmail thread
+ * @return {Object} { message, fromOthers, to, cc, known } - to: primary recipients;
+ *   cc: other participants a reply-all would include; known: every address seen in
+ *   the thread (headers and bodies), the only addresses the AI may add
+ */
+function planReplyRecipients_(thread) {
+  const me = getUserAddresses_();
+  const notMine = function(address) { return me.indexOf(address) === -1; };
+  const messages = thread.getMessages().filter(function(m) { return !m.isDraft(); });
+
+  let target = null;
+  for (let i = messages.length - 1; i >= 0 && !target; i--) {
+    if (notMine(extractEmailAddress_(messages[i].getFrom()))) target = messages[i];
+  }
+
+  const known = [];
+  messages.forEach(function(m) {
+    const text = [m.getFrom(), m.getTo(), m.getCc(), m.getPlainBody()].join('\n');
+    (text.match(/[^\s<>(),;:"']+@[^\s<>(),;:"']+\.[a-z]{2,}/gi) || []).forEach(function(a) {
+      a = a.toLowerCase();
+      if (known.indexOf(a) === -1) known.push(a);
+    });
+  });
+
+  if (!target) {
+    const latest = messages[messages.length - 1];
+    return {
+      message: latest,
+      fromOthers: false,
+      to: parseAddressList_(latest.getTo()).filter(notMine),
+      cc: parseAddressList_(latest.getCc()).filter(notMine),
+      known: known
+    };
+  }
+
+  const to = [extractEmailAddress_(target.getReplyTo() || target.getFrom())];
+  const cc = parseAddressList_(target.getTo() + ',' + target.getCc())
+    .filter(function(a, i, all) { return notMine(a) && to.indexOf(a) === -1 && all.indexOf(a) === i; });
+  return { message: target, fromOthers: true, to: to, cc: cc, known: known };
+}
+
+/**
+ * Apply the reply mode and the AI's recipient suggestions to a recipient plan
+ *
+ * Every suggestion ends up in changes, applied or not, so the draft metadata shows
+ * exactly what the AI asked for. Added addresses must appear somewhere in the
+ * thread; the person being replied to can't be removed.
+ *
+ * @param {Object} plan - From planReplyRecipients_()
+ * @param {Object} reply - From parseReplyDraftResponse_()
+ * @param {Object} config - From getReplyDrafterConfig_()
+ * @return {Object} { message, fromOthers, replyAll, to, cc, changes }
+ */
+function resolveReplyRecipients_(plan, reply, config) {
+  let replyAll = plan.cc.length > 0;
+  if (!plan.fromOthers || config.REPLY_DRAFTER_REPLY_MODE === 'reply_all') {
+    replyAll = true;
+  } else if (config.REPLY_DRAFTER_REPLY_MODE === 'reply') {
+    replyAll = false;
+  } else if (typeof reply.replyAll === 'boolean') {
+    replyAll = reply.replyAll;
+  }
+
+  const cc = replyAll ? plan.cc.slice() : [];
+  const changes = [];
+  if (!config.REPLY_DRAFTER_SUGGEST_RECIPIENTS) {
+    return { message: plan.message, fromOthers: plan.fromOthers, replyAll: replyAll, to: plan.to, cc: cc, changes: changes };
+  }
+
+  const me = getUserAddresses_();
+  (reply.removeRecipients || []).forEach(function(s) {
+    const address = extractEmailAddress_(s && s.address);
+    const change = { action: 'remove', address: address || String(s && s.address), reason: String((s && s.reason) || '') };
+    if (plan.to.indexOf(address) !== -1) {
+      change.applied = false;
+      change.note = 'primary recipient';
+    } else if (cc.indexOf(address) === -1) {
+      change.applied = false;
+      change.note = 'not a recipient';
+    } else {
+      cc.splice(cc.indexOf(address), 1);
+      change.applied = true;
+    }
+    changes.push(change);
+  });
+  (reply.addRecipients || []).forEach(function(s) {
+    const address = extractEmailAddress_(s && s.address);
+    const change = { action: 'add', address: address || String(s && s.address), reason: String((s && s.reason) || '') };
+    if (!address || plan.known.indexOf(address) === -1) {
+      change.applied = false;
+      change.note = 'not found in thread';
+    } else if (me.indexOf(address) !== -1 || plan.to.indexOf(address) !== -1 || cc.indexOf(address) !== -1) {
+      change.applied = false;
+      change.note = 'already included';
+    } else {
+      cc.push(address);
+      change.applied = true;
+    }
+    changes.push(change);
+  });
+
+  return { message: plan.message, fromOthers: plan.fromOthers, replyAll: replyAll, to: plan.to, cc: cc, changes: changes };
+}
+
+/**
+ * Read the drafted reply from the AI response
+ * Falls back to the whole response as the body when it isn't the requested JSON.
+ *
+ * @param {string} text - Response from generateReplyDraft_()
+ * @return {Object} { body, replyAll?, addRecipients, removeRecipients }
+ */
+function parseReplyDraftResponse_(text) {
+  const parsed = extractFirstJson_(text);
+  if (!parsed || typeof parsed.body !== 'string' || !parsed.body.trim()) {
+    return { body: text, addRecipients: [], removeRecipients: [] };
+  }
+  return {
+    body: parsed.body.trim(),
+    replyAll: typeof parsed.reply_all === 'boolean' ? parsed.reply_all : undefined,
+    addRecipients: Array.isArray(parsed.add_recipients) ? parsed.add_recipients : [],
+    removeRecipients: Array.isArray(parsed.remove_recipients) ? parsed.remove_recipients : []
+  };
+}
+
+/**
+ * Recipient context for buildReplyDraftPrompt_()
+ *
+ * @param {Object} plan - From planReplyRecipients_()
+ * @param {Object} config - From getReplyDrafterConfig_()
+ * @return {Object} { replyingTo, to, cc, mode, suggest }
+ */
+function describeReplyRecipients_(plan, config) {
+  return {
+    replyingTo: plan.message.getFrom(),
+    to: plan.to,
+    cc: plan.cc,
+    mode: plan.fromOthers ? config.REPLY_DRAFTER_REPLY_MODE : 'reply_all',
+    suggest: config.REPLY_DRAFTER_SUGGEST_RECIPIENTS
+  };
+}
+
+/**
+ * The user's signature for reply drafts
+ *
+ * REPLY_DRAFTER_SIGNATURE_URL (a Google Doc, markdown allowed) takes precedence;
+ * otherwise the signature of the default Gmail send-as address is used when
+ * REPLY_DRAFTER_GMAIL_SIGNATURE is on. Errors are logged and mean no signature,
+ * so a draft is never held up by its signature.
+ *
+ * @param {Object} config - From getReplyDrafterConfig_()
+ * @return {Object|null} { text, html, source } or null when none is available
+ */
+function getReplySignature_(config) {
+  try {
+    if (config.REPLY_DRAFTER_SIGNATURE_URL) {
+      const doc = fetchDocument_(config.REPLY_DRAFTER_SIGNATURE_URL, { propertyName: 'REPLY_DRAFTER_SIGNATURE_URL' });
+      const text = String(doc.knowledge || '').trim();
+      if (text) {
+        const converted = convertMarkdownToHtml_(text, 'email');
+        return { text: markdownToPlainText_(text), html: converted.success ? converted.html : null, source: 'doc' };
+      }
+    }
+
+    if (config.REPLY_DRAFTER_GMAIL_SIGNATURE) {
+      if (typeof Gmail === 'undefined') {
+        throw new Error('Gmail advanced service is not enabled');
+      }
+      const sendAs = (Gmail.Users.Settings.SendAs.list('me').sendAs || []).filter(function(s) { return s.isDefault; })[0];
+      const html = sendAs && sendAs.signature ? String(sendAs.signature).trim() : '';
+      if (html) {
+        return { text: htmlToPlainText_(html), html: html, source: 'gmail' };
+      }
+    }
+  } catch (error) {
+    Logger.log('Reply Drafter: signature unavailable - ' + error.toString());
+  }
+  return null;
+}
+
+/**
+ * Strip the markdown the prompt allows (bold, italics, links) for the plain-text part
+ * @private
+ */
+function markdownToPlainText_(text) {
+  return String(text || '')
+    .replace(/\[([^\]]+)\]\(([^)]+)\)/g, '$1 ($2)')
+    .replace(/\*\*([^*]+)\*\*/g, '$1')
+    .replace(/\*([^*\n]+)\*/g, '$1');
+}
+
+/**
+ * Plain text of an HTML fragment (signatures and quoted messages)
+ * @private
+ */
+function htmlToPlainText_(html) {
+  return String(html || '')
+    .replace(/<(br|\/p|\/div|\/li|\/tr)[^>]*>/gi, '\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&nbsp;/g, ' ').replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&#39;/g, "'").replace(/&amp;/g, '&')
+    .replace(/[ \t]+\n/g, '\n').replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Build the plain-text and HTML bodies of a reply draft
+ *
+ * The reply is rendered with the 'email' markdown preset, followed by the signature
+ * and the replied-to message quoted the way Gmail quotes it. The plain-text body
+ * carries the same parts and stays the alternative part of the draft.
+ *
+ * @param {string} draftText - Reply text from the AI (markdown allowed)
+ * @param {GmailMessage} message - Message being replied to
+ * @param {Object} signature - From getReplySignature_() (optional)
+ * @param {Object} config - From getReplyDrafterConfig_()
+ * @return {Object} { text, html } - html is null when HTML drafts are off or rendering failed
+ */
+function buildReplyDraftBodies_(draftText, message, signature, config) {
+  const textParts = [markdownToPlainText_(draftText)];
+  if (signature) textParts.push('-- \n' + signature.text);
+
+  let attribution = '';
+  if (config.REPLY_DRAFTER_QUOTE_ORIGINAL) {
+    const when = Utilities.formatDate(message.getDate(), Session.getScriptTimeZone(), "EEE, MMM d, yyyy 'at' h:mm a");
+    attribution = 'On ' + when + ', ' + message.getFrom() + ' wrote:';
+    const quoted = String(message.getPlainBody() || '').replace(/\r\n?/g, '\n').trim().split('\n')
+      .map(function(line) { return line ? '> ' + line : '>'; }).join('\n');
+    textParts.push(attribution + '\n' + quoted);
+  }
+  const text = textParts.join('\n\n');
+
+  if (!config.REPLY_DRAFTER_HTML) {
+    return { text: text, html: null };
+  }
+  const converted = convertMarkdownToHtml_(draftText, 'email');
+  if (!converted.success) {
+    Logger.log('Reply Drafter: HTML rendering failed, using plain text - ' + converted.error);
+    return { text: text, html: null };
+  }
+
+  let html = '<div dir="ltr">' + converted.html;
+  if (signature) {
+    const signatureHtml = signature.html || sanitizeHtmlInput_(signature.text).text.replace(/\n/g, '<br>');
+    html += '<div class="gmail_signature">-- <br>' + signatureHtml + '</div>';
+  }
+  html += '</div>';
+  if (attribution) {
+    html += '<br><div class="gmail_quote">' +
+      '<div dir="ltr" class="gmail_attr">' + sanitizeHtmlInput_(attribution).text + '<br></div>' +
+      '<blockquote class="gmail_quote" style="margin:0px 0px 0px 0.8ex;border-left:1px solid rgb(204,204,204);padding-left:1ex">' +
+      message.getBody() + '</blockquote></div>';
+  }
+  return { text: text, html: html };
+}
+
+/**
+ * Create or replace a reply draft through the Gmail API with explicit headers
+ *
+ * GmailApp can't set the To of a reply and GmailDraft.update() drops the reply
+ * headers, so drafts answering our own message and revised drafts are built here:
+ * To and Cc are exactly the given lists, and In-Reply-To/References point at the
+ * replied-to message so the draft stays in its thread.
+ *
+ * @param {string} threadId - Gmail thread ID
+ * @param {GmailMessage} message - Message being replied to
+ * @param {Object} headers - { to, cc, bcc?, subject } - comma-separated address lists
+ * @param {Object} bodies - From buildReplyDraftBodies_()
+ * @param {string} draftId - Draft to replace (optional; a new draft is created when omitted)
+ * @return {GmailDraft} The created or updated draft
+ */
+function writeReplyDraft_(threadId, message, headers, bodies, draftId) {
+  const messageId = message.getHeader('Message-ID');
+  const references = String(message.getHeader('References') || '').trim();
+  const encode = function(text) { return Utilities.base64Encode(text, Utilities.Charset.UTF_8); };
+
+  const lines = ['To: ' + headers.to];
+  if (headers.cc) lines.push('Cc: ' + headers.cc);
+  if (headers.bcc) lines.push('Bcc: ' + headers.bcc);
+  lines.push('Subject: =?UTF-8?B?' + encode(headers.subject) + '?=');
+  if (messageId) {
+    lines.push('In-Reply-To: ' + messageId, 'References: ' + (references ? references + ' ' : '') + messageId);
+  }
+  lines.push('MIME-Version: 1.0');
+
+  const part = function(type, content) {
+    return ['Content-Type: ' + type + '; charset=UTF-8', 'Content-Transfer-Encoding: base64', '', encode(content)];
+  };
+  if (bodies.html) {
+    const boundary = 'reply-drafter-' + new Date().getTime();
+    lines.push('Content-Type: multipart/alternative; boundary="' + boundary + '"', '');
+    lines.push('--' + boundary);
+    lines.push.apply(lines, part('text/plain', bodies.text));
+    lines.push('--' + boundary);
+    lines.push.apply(lines, part('text/html', bodies.html));
+    lines.push('--' + boundary + '--');
+  } else {
+    lines.push.apply(lines, part('text/plain', bodies.text));
+  }
+
+  const resource = {
+    message: { raw: Utilities.base64EncodeWebSafe(lines.join('\r\n'), Utilities.Charset.UTF_8), threadId: threadId }
+  };
+  const written = draftId
+    ? Gmail.Users.Drafts.update(resource, 'me', draftId)
+    : Gmail.Users.Drafts.create(resource, 'me');
+  return GmailApp.getDraft(written.id);
+}
+
+/**
+ * Subject of a reply: the original subject with a single "Re: " prefix
+ */
+function getReplySubject_(message) {
+  const subject = String(message.getSubject() || '');
+  return /^re:/i.test(subject) ? subject : 'Re: ' + subject;
+}
+
 /**
  * Create a draft reply for the given thread
- * Uses Gmail API to create draft as reply to latest message
+ * Replies to the recipient plan's message with To and Cc set explicitly, so every
+ * address on the draft is one listed in the stored metadata. The draft gets an HTML body
+ * with the plain text as its alternative (see buildReplyDraftBodies_()).
  *
  * @param {string} threadId - Gmail thread ID
  * @param {string} draftText - Reply text to include in draft
+ * @param {Object} recipients - From resolveReplyRecipients_() (optional; defaults to the plan without AI suggestions)
+ * @param {Object} signature - From getReplySignature_() (optional; looked up when omitted, null for none)
  * @return {Object} Result object with success status
  */
-function createDraftReply_(threadId, draftText) {
+function createDraftReply_(threadId, draftText, recipients, signature) {
   try {
     const thread = GmailApp.getThreadById(threadId);
 
@@ -139,16 +606,44 @@ function createDraftReply_(threadId, draftText) {
       };
     }
 
-    // Get the most recent message to reply to
-    const messages = thread.getMessages();
-    const latestMessage = messages[messages.length - 1];
+    const config = getReplyDrafterConfig_();
+    recipients = recipients || resolveReplyRecipients_(planReplyRecipients_(thread), {}, config);
+    const bodies = buildReplyDraftBodies_(
+      draftText, recipients.message, signature === undefined ? getReplySignature_(config) : signature, config
+    );
+
+    // Cc is always given, so a removed participant can't come back through Gmail's defaults
+    let draft;
+    if (recipients.fromOthers) {
+      const options = { cc: recipients.cc.join(',') };
+      if (bodies.html) options.htmlBody = bodies.html;
+      draft = recipients.message.createDraftReply(bodies.text, options);
+    } else {
+      // Replies to our own message go to its recipients, which GmailApp can only reach
+      // through reply-all with its own Cc list, so the draft is written with explicit headers
+      draft = writeReplyDraft_(threadId, recipients.message, {
+        to: (recipients.to.length ? recipients.to : [extractEmailAddress_(recipients.message.getFrom())]).join(','),
+        cc: recipients.cc.join(','),
+        subject: getReplySubject_(recipients.message)
+      }, bodies);
+    }
 
-    // Create draft as reply
-    const draft = latestMessage.createDraftReply(draftText);
+    const metadata = {
+      draftId: draft.getId(),
+      replyAll: recipients.replyAll,
+      to: recipients.to,
+      cc: recipients.cc,
+      changes: recipients.changes,
+      bodyHash: draftBodyHash_(draft),
+      at: new Date().toISOString()
+    };
+    indexDraft_(threadId, metadata.draftId);
+    recordReplyDraft_(threadId, metadata);
 
     return {
       success: true,
-      draftId: draft.getId(),
+      draftId: metadata.draftId,
+      metadata: metadata,
       message: 'Draft created successfully'
     };
 
@@ -161,6 +656,316 @@ function createDraftReply_(threadId, draftText) {
   }
 }
 
+/**
+ * Store draft metadata by thread, dropping the oldest entries to fit one property
+ *
+ * @param {string} threadId - Gmail thread ID
+ * @param {Object} metadata - Draft recipients and changes from createDraftReply_()
+ */
+function recordReplyDraft_(threadId, metadata) {
+  try {
+    const drafts = readJsonProperty_(REPLY_DRAFTS_KEY, {});
+    drafts[threadId] = metadata;
+    replyDraftsWrittenThisRun_[threadId] = true;
+    const oldest = Object.keys(drafts).sort(function(a, b) {
+      return String(drafts[a].at).localeCompare(String(drafts[b].at));
+    });
+    while (oldest.length > 1 && JSON.stringify(drafts).length > REPLY_DRAFTS_LIMIT) {
+      delete drafts[oldest.shift()];
+    }
+    writeJsonProperty_(REPLY_DRAFTS_KEY, drafts);
+  } catch (error) {
+    // Metadata is for review only - never fail a created draft over it
+    Logger.log('Error recording reply draft metadata: ' + error.toString());
+  }
+}
+
+/**
+ * Format recipients for logs: "reply-all to a@x.com cc b@y.com; removed c@z.com (reason)"
+ * @private
+ */
+function describeDraftRecipients_(metadata) {
+  let line = (metadata.replyAll ? 'reply-all' : 'reply') + ' to ' + metadata.to.join(', ');
+  if (metadata.cc.length) line += ' cc ' + metadata.cc.join(', ');
+  const changes = metadata.changes.map(function(c) {
+    const verb = c.action === 'add' ? 'added' : 'removed';
+    return (c.applied ? verb : 'ignored ' + c.action + ' of') + ' ' + c.address +
+      (c.reason ? ' (' + c.reason + ')' : '') + (c.note ? ' [' + c.note + ']' : '');
+  });
+  if (metadata.revisions) {
+    line += '; revised ' + metadata.revisions + 'x' + (metadata.feedback ? ' (last: "' + metadata.feedback + '")' : '');
+  }
+  return changes.length ? line + '; ' + changes.join('; ') : line;
+}
+
+/**
+ * Log the recipients of recent reply drafts, including AI-suggested changes
+ * Run from the Apps Script editor to review drafts before sending.
+ */
+function showReplyDraftRecipients() {
+  const drafts = readJsonProperty_(REPLY_DRAFTS_KEY, {});
+  const threadIds = Object.keys(drafts).sort(function(a, b) {
+    return String(drafts[b].at).localeCompare(String(drafts[a].at));
+  });
+  if (!threadIds.length) {
+    console.log('No reply drafts recorded yet');
+    return drafts;
+  }
+  threadIds.forEach(function(threadId) {
+    console.log(drafts[threadId].at + ' ' + createGmailUrl_(threadId).url + ': ' + describeDraftRecipients_(drafts[threadId]));
+  });
+  return drafts;
+}
+
+/**
+ * Read a revision request from the first non-empty line of a draft
+ * "redraft: shorter, decline politely" -> { feedback: 'shorter, decline politely', previousDraft }
+ *
+ * @param {string} body - Plain-text draft body
+ * @param {string} prefix - Lowercase instruction prefix (REPLY_DRAFTER_REDRAFT_PREFIX)
+ * @return {Object|null} { feedback, previousDraft } or null when the draft has no instruction line
+ */
+function parseRedraftInstruction_(body, prefix) {
+  const lines = String(body || '').replace(/\r\n?/g, '\n').split('\n');
+  let first = 0;
+  while (first < lines.length && !lines[first].trim()) first++;
+  if (first >= lines.length || lines[first].trim().toLowerCase().indexOf(prefix) !== 0) {
+    return null;
+  }
+  return {
+    feedback: lines[first].trim().slice(prefix.length).trim(),
+    previousDraft: lines.slice(first + 1).join('\n')
+  };
+}
+
+/**
+ * Regenerate drafts the user asked to revise (postLabel, before the inbox scan)
+ *
+ * A revision is requested by the redraft label on the thread, an instruction line at
+ * the top of an agent draft, or both. The previous draft (without its signature and quoted
+ * message) and the feedback go into the prompt, and the draft is updated in place,
+ * keeping the recipients and subject the user sees. The label is removed afterwards,
+ * and the updated draft no longer starts with the instruction, so each request runs once.
+ *
+ * @param {Object} config - From getReplyDrafterConfig_()
+ * @return {Object} { revised, errors }
+ */
+function reviseRequestedDrafts_(config) {
+  const result = { revised: 0, errors: 0 };
+  // Dry run only reads: without the label there are no labeled threads to revise
+  let label = GmailApp.getUserLabelByName(config.REPLY_DRAFTER_REDRAFT_LABEL);
+  if (!label && !config.REPLY_DRAFTER_DRY_RUN) label = GmailApp.createLabel(config.REPLY_DRAFTER_REDRAFT_LABEL);
+  const records = readJsonProperty_(REPLY_DRAFTS_KEY, {});
+  const index = getDraftIndex_();
+
+  // threadId -> { thread, draft, feedback, previousDraft }
+  // Instruction lines are only looked for in agent drafts, so user drafts are never read
+  const requests = {};
+  Object.keys(records).forEach(function(threadId) {
+    if ((index[threadId] || []).indexOf(records[threadId].draftId) === -1) return;
+    try {
+      const draft = GmailApp.getDraft(records[threadId].draftId);
+      const message = draft.getMessage();
+      const instruction = parseRedraftInstruction_(message.getPlainBody(), config.REPLY_DRAFTER_REDRAFT_PREFIX);
+      if (instruction) {
+        requests[threadId] = {
+          thread: message.getThread(),
+          draft: draft,
+          feedback: instruction.feedback,
+          previousDraft: instruction.previousDraft
+        };
+      }
+    } catch (error) {
+      // A draft deleted or sent since the index was built; the other drafts are still revised
+      result.errors++;
+      Logger.log(`Reply Drafter postLabel: Failed to read draft for thread ${threadId} - ${error.toString()}`);
+    }
+  });
+  (label ? label.getThreads(0, 50) : []).forEach(function(thread) {
+    if (requests[thread.getId()]) return;
+    const draft = findDraftForThread_(thread.getId());
+    requests[thread.getId()] = {
+      thread: thread,
+      draft: draft,
+      feedback: '',
+      previousDraft: draft ? draft.getMessage().getPlainBody() : ''
+    };
+  });
+
+  const threadIds = Object.keys(requests);
+  if (threadIds.length === 0) {
+    return result;
+  }
+
+  const cfg = getConfig_();
+  const signature = getReplySignature_(config);
+  const knowledge = fetchReplyKnowledge_({
+    instructionsUrl: config.REPLY_DRAFTER_INSTRUCTIONS_URL,
+    knowledgeFolderUrl: config.REPLY_DRAFTER_KNOWLEDGE_FOLDER_URL,
+    maxDocs: config.REPLY_DRAFTER_KNOWLEDGE_MAX_DOCS
+  });
+  const globalKnowledge = fetchGlobalKnowledge_();
+
+  threadIds.forEach(function(threadId) {
+    const request = requests[threadId];
+    try {
+      const recipientPlan = planReplyRecipients_(request.thread);
+      const previousDraft = trimEmailBody_(request.previousDraft, 4000);
+
+      if (config.REPLY_DRAFTER_DRY_RUN) {
+        Logger.log(`Reply Drafter postLabel: DRY RUN - Would revise draft for thread ${threadId}` +
+                   (request.feedback ? ` with feedback "${request.feedback}"` : ''));
+        return;
+      }
+
+      // Threads without a draft get a fresh one, the same as the inbox scan would create
+      if (!request.draft) {
+        const prompt = buildReplyDraftPrompt_(getEmailThread_(threadId), knowledge, globalKnowledge, describeReplyRecipients_(recipientPlan, config), {
+          html: config.REPLY_DRAFTER_HTML,
+          signature: !!signature
+        });
+        const reply = parseReplyDraftResponse_(generateReplyDraft_(
+          prompt, cfg.MODEL_PRIMARY, 'reply_drafter', cfg.STRUCTURED_OUTPUT ? buildReplyDraftResponseSchema_() : null
+        ));
+        const created = createDraftReply_(threadId, reply.body, resolveReplyRecipients_(recipientPlan, reply, config), signature);
+        if (!created.success) throw new Error(created.error);
+      } else {
+        const prompt = buildReplyDraftPrompt_(getEmailThread_(threadId), knowledge, globalKnowledge, null, {
+          html: config.REPLY_DRAFTER_HTML,
+          signature: !!signature,
+          revision: { previousDraft: previousDraft, feedback: request.feedback }
+        });
+        const draftText = generateReplyDraft_(prompt, cfg.MODEL_PRIMARY);
+        reviseDraft_(threadId, request.draft, draftText, recipientPlan.message, signature, request.feedback, config);
+      }
+
+      request.thread.removeLabel(label);
+      result.revised++;
+      Logger.log(`Reply Drafter postLabel: Revised draft for thread ${threadId}` +
+                 (request.feedback ? ` ("${request.feedback}")` : ''));
+    } catch (error) {
+      // The label or instruction line stays, so the next scan tries again
+      result.errors++;
+      Logger.log(`Reply Drafter postLabel: Failed to revise draft for thread ${threadId} - ${error.toString()}`);
+    }
+  });
+
+  return result;
+}
+
+/**
+ * Replace a draft's content in place and record the revision in the draft metadata
+ * Recipients and subject come from the draft itself, so edits the user made there stay.
+ * The draft is rewritten through writeReplyDraft_() because GmailDraft.update() drops
+ * the reply headers; a draft that still ends up outside its thread is an error.
+ *
+ * @param {string} threadId - Gmail thread ID
+ * @param {GmailDraft} draft - Draft to update
+ * @param {string} draftText - Revised reply text
+ * @param {GmailMessage} message - Message being replied to (quoted below the reply)
+ * @param {Object} signature - From getReplySignature_() (null for none)
+ * @param {string} feedback - The user's feedback ('' when only the label was added)
+ * @param {Object} config - From getReplyDrafterConfig_()
+ */
+function reviseDraft_(threadId, draft, draftText, message, signature, feedback, config) {
+  const current = draft.getMessage();
+  const bodies = buildReplyDraftBodies_(draftText, message, signature, config);
+  const updated = writeReplyDraft_(threadId, message, {
+    to: current.getTo(),
+    cc: current.getCc(),
+    bcc: current.getBcc(),
+    subject: current.getSubject()
+  }, bodies, draft.getId());
+  const updatedThreadId = updated.getMessage().getThread().getId();
+  if (updatedThreadId !== threadId) {
+    throw new Error('Revised draft ' + updated.getId() + ' moved to thread ' + updatedThreadId);
+  }
+  if (updated.getId() !== draft.getId()) {
+    indexDraft_(threadId, draft.getId(), true);
+    indexDraft_(threadId, updated.getId());
+  }
+
+  const previous = readJsonProperty_(REPLY_DRAFTS_KEY, {})[threadId];
+  const to = parseAddressList_(current.getTo());
+  const cc = parseAddressList_(current.getCc());
+  recordReplyDraft_(threadId, {
+    draftId: updated.getId(),
+    replyAll: previous ? previous.replyAll : cc.length > 0,
+    to: to,
+    cc: cc,
+    changes: previous ? previous.changes : [],
+    revisions: (previous && previous.revisions || 0) + 1,
+    feedback: feedback,
+    bodyHash: draftBodyHash_(updated),
+    at: new Date().toISOString()
+  });
+}
+
+/**
+ * Delete agent drafts whose thread is resolved (postLabel, after revisions)
+ *
+ * A thread is resolved once it is no longer in the inbox with the REPLY_DRAFTER_LABEL
+ * label. Its agent draft is deleted only if the body still matches what the agent
+ * wrote; drafts the user edited are kept and simply forgotten. Records whose draft
+ * is gone (sent or deleted by the user) are dropped as well. Drafts created or revised
+ * in this execution (e.g. for a redraft-labeled thread) wait for a later run.
+ *
+ * @param {Object} config - From getReplyDrafterConfig_()
+ * @return {Object} { deleted, kept, forgotten }
+ */
+function cleanUpResolvedDrafts_(config) {
+  const result = { deleted: 0, kept: 0, forgotten: 0 };
+  const records = readJsonProperty_(REPLY_DRAFTS_KEY, {});
+  const index = getDraftIndex_();
+  const threadIds = Object.keys(records);
+  if (threadIds.length === 0) {
+    return result;
+  }
+
+  threadIds.forEach(function(threadId) {
+    const record = records[threadId];
+    try {
+      if ((index[threadId] || []).indexOf(record.draftId) === -1) {
+        delete records[threadId];
+        result.forgotten++;
+        return;
+      }
+
+      if (replyDraftsWrittenThisRun_[threadId]) return;
+
+      const thread = GmailApp.getThreadById(threadId);
+      const open = thread && thread.isInInbox() &&
+        thread.getLabels().some(function(l) { return l.getName() === REPLY_DRAFTER_LABEL; });
+      if (open) return;
+
+      const draft = GmailApp.getDraft(record.draftId);
+      if (draftBodyHash_(draft) !== record.bodyHash) {
+        if (config.REPLY_DRAFTER_DEBUG) {
+          Logger.log(`Reply Drafter postLabel: Keeping edited draft for resolved thread ${threadId}`);
+        }
+        delete records[threadId];
+        result.kept++;
+        return;
+      }
+
+      if (config.REPLY_DRAFTER_DRY_RUN) {
+        Logger.log(`Reply Drafter postLabel: DRY RUN - Would delete unused draft for resolved thread ${threadId}`);
+        return;
+      }
+      draft.deleteDraft();
+      indexDraft_(threadId, record.draftId, true);
+      delete records[threadId];
+      result.deleted++;
+    } catch (error) {
+      // Leave the record for the next run
+      Logger.log(`Reply Drafter postLabel: Draft cleanup failed for thread ${threadId} - ${error.toString()}`);
+    }
+  });
+
+  writeJsonProperty_(REPLY_DRAFTS_KEY, Object.keys(records).length ? records : null);
+  return result;
+}
+
 // ============================================================================
 // Main Agent Logic
 // ============================================================================
@@ -194,6 +999,13 @@ function processReplyNeeded_(ctx) {
       return { status: 'skip', info: 'draft already exists' };
     }
 
+    // Wait for the next budget day instead of failing the AI call
+    const budgetRetry = getAgentBudgetRetry_('reply_drafter', getConfig_());
+    if (budgetRetry) {
+      ctx.log('AI budget exhausted (' + budgetRetry.info + '), deferring');
+      return budgetRetry;
+    }
+
     // Fetch knowledge via KnowledgeService
     let knowledge = null;
     try {
@@ -219,22 +1031,25 @@ function processReplyNeeded_(ctx) {
         }
       }
     } catch (knowledgeError) {
-      // Knowledge fetch errors should propagate (fail-fast)
+      // Knowledge fetch errors stop this attempt; the retry queue runs the agent again later
       ctx.log('✗ Knowledge fetch failed: ' + knowledgeError.toString());
-      return { status: 'error', info: 'knowledge fetch failed: ' + knowledgeError.toString() };
+      return { status: 'retry', info: 'knowledge fetch failed: ' + knowledgeError.toString() };
     }
 
-    // Get email thread data
+    // Get email thread data and who the reply goes to
     let emailThread;
+    let recipientPlan;
     try {
       emailThread = getEmailThread_(ctx.threadId);
+      recipientPlan = planReplyRecipients_(ctx.thread || GmailApp.getThreadById(ctx.threadId));
 
       if (config.REPLY_DRAFTER_DEBUG) {
-        ctx.log('Retrieved thread with ' + emailThread.messageCount + ' messages');
+        ctx.log('Retrieved thread with ' + emailThread.messageCount + ' messages; replying to ' +
+                recipientPlan.to.join(', ') + (recipientPlan.cc.length ? ' (other participants: ' + recipientPlan.cc.join(', ') + ')' : ''));
       }
     } catch (threadError) {
       ctx.log('Failed to retrieve thread: ' + threadError.toString());
-      return { status: 'error', info: 'thread retrieval failed: ' + threadError.toString() };
+      return { status: 'retry', info: 'thread retrieval failed: ' + threadError.toString() };
     }
 
     // Fetch global knowledge (shared across all AI operations)
@@ -248,13 +1063,19 @@ function processReplyNeeded_(ctx) {
       }
     } catch (globalKnowledgeError) {
       ctx.log('✗ Global knowledge fetch failed: ' + globalKnowledgeError.toString());
-      return { status: 'error', info: 'global knowledge fetch failed: ' + globalKnowledgeError.toString() };
+      return { status: 'retry', info: 'global knowledge fetch failed: ' + globalKnowledgeError.toString() };
     }
 
+    // Signature is appended to the draft, so the prompt asks for a closing without one
+    const signature = getReplySignature_(config);
+
     // Build prompt via PromptBuilder
     let prompt;
     try {
-      prompt = buildReplyDraftPrompt_(emailThread, knowledge, globalKnowledge);
+      prompt = buildReplyDraftPrompt_(emailThread, knowledge, globalKnowledge, describeReplyRecipients_(recipientPlan, config), {
+        html: config.REPLY_DRAFTER_HTML,
+        signature: !!signature
+      });
 
       if (config.REPLY_DRAFTER_DEBUG) {
         ctx.log('Built prompt: ' + prompt.length + ' characters');
@@ -266,36 +1087,36 @@ function processReplyNeeded_(ctx) {
 
     // Generate draft via LLMService
     let draftText;
+    let recipients;
     try {
       const cfg = getConfig_();
-      draftText = generateReplyDraft_(
-        prompt,
-        cfg.MODEL_PRIMARY,
-        cfg.PROJECT_ID,
-        cfg.LOCATION,
-        cfg.GEMINI_API_KEY
-      );
+      const reply = parseReplyDraftResponse_(generateReplyDraft_(
+        prompt, cfg.MODEL_PRIMARY, 'reply_drafter', cfg.STRUCTURED_OUTPUT ? buildReplyDraftResponseSchema_() : null
+      ));
+      draftText = reply.body;
+      recipients = resolveReplyRecipients_(recipientPlan, reply, config);
 
       if (config.REPLY_DRAFTER_DEBUG) {
         ctx.log('Generated draft: ' + draftText.length + ' characters');
       }
     } catch (aiError) {
       ctx.log('AI generation failed: ' + aiError.toString());
-      return { status: 'error', info: 'AI generation failed: ' + aiError.toString() };
+      return { status: 'retry', info: 'AI generation failed: ' + aiError.toString() };
     }
 
     // Create Gmail draft
-    const draftResult = createDraftReply_(ctx.threadId, draftText);
+    const draftResult = createDraftReply_(ctx.threadId, draftText, recipients, signature);
 
     if (!draftResult.success) {
       ctx.log('Draft creation failed: ' + draftResult.error);
-      return { status: 'error', info: draftResult.error };
+      return { status: 'retry', info: draftResult.error };
     }
 
-    ctx.log('Draft created successfully');
+    ctx.log('Draft created successfully: ' + describeDraftRecipients_(draftResult.metadata));
     return {
       status: 'ok',
-      info: 'draft created with ' + draftText.length + ' characters'
+      info: 'draft created with ' + draftText.length + ' characters (' + (recipients.replyAll ? 'reply-all' : 'reply') + ')',
+      outputs: { draftId: draftResult.draftId, recipients: draftResult.metadata }
     };
 
   } catch (error) {
@@ -330,8 +1151,30 @@ function replyDrafterPostLabelScan_() {
       Logger.log('Reply Drafter postLabel: Starting inbox scan');
     }
 
+    // Revisions first: a thread being revised already has its draft, so the scan below skips it
+    try {
+      const revisions = reviseRequestedDrafts_(config);
+      if (revisions.revised > 0 || revisions.errors > 0) {
+        Logger.log(`Reply Drafter postLabel: revised ${revisions.revised} drafts, errors ${revisions.errors}`);
+      }
+    } catch (revisionError) {
+      Logger.log('Reply Drafter postLabel: Draft revision failed - ' + revisionError.toString());
+    }
+
+    if (config.REPLY_DRAFTER_CLEANUP_DRAFTS) {
+      try {
+        const cleanup = cleanUpResolvedDrafts_(config);
+        if (cleanup.deleted > 0 || config.REPLY_DRAFTER_DEBUG) {
+          Logger.log(`Reply Drafter postLabel: deleted ${cleanup.deleted} unused drafts of resolved threads ` +
+                     `(kept ${cleanup.kept} edited, forgot ${cleanup.forgotten} sent or deleted)`);
+        }
+      } catch (cleanupError) {
+        Logger.log('Reply Drafter postLabel: Draft cleanup failed - ' + cleanupError.toString());
+      }
+    }
+
     // Find all emails with "reply_needed" label in inbox
-    const query = 'in:inbox label:reply_needed';
+    const query = 'in:inbox ' + toLabelSearchTerm_(REPLY_DRAFTER_LABEL);
     const threads = GmailApp.search(query);
 
     if (threads.length === 0) {
@@ -349,6 +1192,9 @@ function replyDrafterPostLabelScan_() {
     let skipped = 0;
     let errors = 0;
 
+    // One signature lookup for the whole scan
+    const signature = getReplySignature_(config);
+
     for (let i = 0; i < threads.length; i++) {
       const thread = threads[i];
       const threadId = thread.getId();
@@ -358,7 +1204,9 @@ function replyDrafterPostLabelScan_() {
         if (draftExistsForThread_(threadId)) {
           skipped++;
           if (config.REPLY_DRAFTER_DEBUG) {
-            Logger.log(`Reply Drafter postLabel: Skipping thread ${threadId} (draft already exists)`);
+            const existing = findDraftForThread_(threadId);
+            const owner = isAgentDraft_(threadId, existing.getId()) ? 'agent' : 'user';
+            Logger.log(`Reply Drafter postLabel: Skipping thread ${threadId} (${owner} draft already exists)`);
           }
           continue;
         }
@@ -407,24 +1255,26 @@ function replyDrafterPostLabelScan_() {
         }
 
         // Build AI prompt
-        const prompt = buildReplyDraftPrompt_(threadData, knowledge, globalKnowledge);
-        const model = cfg.GEMINI_MODEL || 'gemini-2.0-flash-exp';
-        const projectId = cfg.PROJECT_ID;
-        const location = cfg.VERTEX_LOCATION || 'us-central1';
-        const apiKey = cfg.GEMINI_API_KEY;
+        const recipientPlan = planReplyRecipients_(thread);
+        const prompt = buildReplyDraftPrompt_(threadData, knowledge, globalKnowledge, describeReplyRecipients_(recipientPlan, config), {
+          html: config.REPLY_DRAFTER_HTML,
+          signature: !!signature
+        });
 
         // Generate reply draft
-        let draftText;
+        let reply;
         if (config.REPLY_DRAFTER_DRY_RUN) {
-          Logger.log(`Reply Drafter postLabel: DRY RUN - Would generate draft for thread ${threadId}`);
-          draftText = '[DRY RUN] Draft would be generated here';
+          Logger.log(`Reply Drafter postLabel: DRY RUN - Would generate draft for thread ${threadId} to ${recipientPlan.to.join(', ')}`);
+          reply = { body: '[DRY RUN] Draft would be generated here' };
         } else {
-          draftText = generateReplyDraft_(prompt, model, projectId, location, apiKey);
+          reply = parseReplyDraftResponse_(generateReplyDraft_(
+            prompt, cfg.MODEL_PRIMARY, 'reply_drafter', cfg.STRUCTURED_OUTPUT ? buildReplyDraftResponseSchema_() : null
+          ));
         }
 
         // Create Gmail draft
         if (!config.REPLY_DRAFTER_DRY_RUN) {
-          const draftResult = createDraftReply_(threadId, draftText);
+          const draftResult = createDraftReply_(threadId, reply.body, resolveReplyRecipients_(recipientPlan, reply, config), signature);
 
           if (!draftResult.success) {
             Logger.log(`Reply Drafter postLabel: Failed to create draft for thread ${threadId} - ${draftResult.error}`);
@@ -432,7 +1282,7 @@ function replyDrafterPostLabelScan_() {
             continue;
           }
 
-          Logger.log(`Reply Drafter postLabel: Created draft for thread ${threadId}`);
+          Logger.log(`Reply Drafter postLabel: Created draft for thread ${threadId} - ${describeDraftRecipients_(draftResult.metadata)}`);
         }
 
         processed++;
@@ -472,7 +1322,7 @@ AGENT_MODULES.push(function(api) {
    * - postLabel: Inbox scan to catch manually-labeled emails
    */
   api.register(
-    'reply_needed',           // Label to trigger on
+    REPLY_DRAFTER_LABEL,      // Label to trigger on
     'ReplyDrafter',           // Agent name
     {
       onLabel: processReplyNeeded_,      // Immediate per-email handler
@@ -0,0 +1,266 @@
+/**
+ * AgentRetryQueue.gs - Durable retries for onLabel agents
+ *
+ * An onLabel handler that returns { status: 'retry', retryAfterMs? } is queued
+ * under `<agent>|<threadId>` and run again by drainAgentRetries_() at the start
+ * of a later run. Each failed attempt doubles the delay
+ * (AGENT_RETRY_BASE_DELAY_MINUTES, capped at AGENT_RETRY_MAX_DELAY_MINUTES,
+ * never shorter than the handler's retryAfterMs). After AGENT_RETRY_MAX_ATTEMPTS,
+ * or when a retried handler returns 'error', the entry moves to the dead-letter list.
+ * A retry skipped for the run budget or dry-run is queued again; any other skip
+ * (agent disabled or no longer registered) is dead-lettered with the skip reason.
+ * Deferrals (those skips, and handler results with deferred: true, e.g. from
+ * getAgentBudgetRetry_()) don't count as attempts, so waiting for a budget never
+ * dead-letters an entry.
+ *
+ * Storage (script properties, each value < 9KB):
+ * - AGENT_RETRY_QUEUE: { "<agent>|<threadId>": { agent, label, threadId, attempts, nextAt, lastError, firstAt } }
+ * - AGENT_DEAD_LETTERS: [{ agent, label, threadId, attempts, lastError, failedAt }] - newest first
+ */
+
+const AGENT_RETRY_QUEUE_KEY = 'AGENT_RETRY_QUEUE';
+const AGENT_DEAD_LETTERS_KEY = 'AGENT_DEAD_LETTERS';
+const AGENT_RETRY_STORAGE_LIMIT = 8000;
+
+/**
+ * Queue (or re-queue) an agent run after a 'retry' result
+ *
+ * @param {string} agentName - Registered agent name
+ * @param {string} label - Label the agent is registered for
+ * @param {string} threadId - Gmail thread ID
+ * @param {Object} result - Agent result { info, retryAfterMs, deferred } (deferred: not a failed attempt)
+ * @param {Object} cfg - Configuration from getConfig_()
+ * @returns {{queued: boolean, deadLettered: boolean, attempts: number, nextAt?: number}} Outcome
+ */
+function scheduleAgentRetry_(agentName, label, threadId, result, cfg) {
+  const queue = readJsonProperty_(AGENT_RETRY_QUEUE_KEY, {});
+  const key = agentName + '|' + threadId;
+  const now = Date.now();
+  const entry = queue[key] || { agent: agentName, label: label, threadId: threadId, attempts: 0, firstAt: now };
+  const deferred = !!(result && result.deferred);
+  if (!deferred) entry.attempts++;
+  entry.lastError = String(result && result.info || 'retry requested').slice(0, 200);
+
+  if (!deferred && entry.attempts >= cfg.AGENT_RETRY_MAX_ATTEMPTS) {
+    delete queue[key];
+    writeAgentRetryQueue_(queue);
+    recordAgentDeadLetter_(entry, cfg);
+    return { queued: false, deadLettered: true, attempts: entry.attempts };
+  }
+
+  entry.nextAt = now + getAgentRetryDelayMs_(Math.max(1, entry.attempts), result && result.retryAfterMs, cfg);
+  queue[key] = entry;
+  writeAgentRetryQueue_(queue);
+  if (cfg.DEBUG) {
+    console.log('Agent retry ' + (deferred ? 'deferred' : 'queued') + ': ' + key + ' (attempt ' + entry.attempts + ', due ' + new Date(entry.nextAt).toISOString() + ')');
+  }
+  return { queued: true, deadLettered: false, attempts: entry.attempts, nextAt: entry.nextAt };
+}
+
+/**
+ * Run queued agent retries that are due
+ *
+ * Entries whose thread no longer exists or no longer carries the label are dropped.
+ * Retries run with the configured dry-run flag; while DRY_RUN skips agents (no
+ * AGENTS_DRY_RUN=false override) the queue is left for the next live run.
+ *
+ * @param {Object} cfg - Configuration from getConfig_()
+ * @param {Object} deadline - Deadline from createRunDeadline_(), optional
+ * @returns {{due: number, ok: number, requeued: number, deadLettered: number, dropped: number}} Drain summary
+ */
+function drainAgentRetries_(cfg, deadline) {
+  const summary = { due: 0, ok: 0, requeued: 0, deadLettered: 0, dropped: 0 };
+  if (cfg.AGENTS_ENABLED === false) return summary;
+  if (cfg.DRY_RUN && cfg.AGENTS_DRY_RUN !== false) return summary;
+  if (typeof Agents === 'undefined' || !Agents || typeof Agents.runFor !== 'function') return summary;
+
+  const queue = readJsonProperty_(AGENT_RETRY_QUEUE_KEY, {});
+  const now = Date.now();
+  const due = Object.keys(queue)
+    .filter(function(key) { return queue[key].nextAt <= now; })
+    .sort(function(a, b) { return queue[a].nextAt - queue[b].nextAt; });
+
+  due.forEach(function(key) {
+    if (deadline && deadline.expired()) return;
+    const entry = queue[key];
+    summary.due++;
+
+    // Each outcome updates the stored queue, so drop the entry before running it
+    const remove = function() {
+      const current = readJsonProperty_(AGENT_RETRY_QUEUE_KEY, {});
+      delete current[key];
+      writeAgentRetryQueue_(current);
+    };
+
+    let thread = null;
+    try {
+      thread = GmailApp.getThreadById(entry.threadId);
+    } catch (e) {
+      thread = null;
+    }
+    const labeled = thread && thread.getLabels().some(function(l) { return l.getName() === entry.label; });
+    if (!labeled) {
+      remove();
+      summary.dropped++;
+      return;
+    }
+
+    const results = Agents.runFor(entry.label, {
+      label: entry.label,
+      decision: { required_action: entry.label, reason: 'agent-retry' },
+      threadId: entry.threadId,
+      thread: thread,
+      cfg: cfg,
+      dryRun: !!cfg.DRY_RUN,
+      attempt: entry.attempts + 1,
+      log: function(msg) { if (cfg.DEBUG) console.log('agent log (' + entry.threadId + '): ' + msg); }
+    }, entry.agent) || [];
+    const result = results[0] || { status: 'skip', info: 'agent not registered' };
+
+    // Skipped for this run only: try again later without using up an attempt
+    const deferred = result.status === 'skip' && (result.info === 'budget-exceeded' || result.info === 'dry-run');
+    if (result.status === 'retry' || deferred) {
+      const retry = deferred ? Object.assign({}, result, { deferred: true }) : result;
+      const outcome = scheduleAgentRetry_(entry.agent, entry.label, entry.threadId, retry, cfg);
+      if (outcome.deadLettered) summary.deadLettered++;
+      else summary.requeued++;
+      return;
+    }
+
+    remove();
+    if (result.status === 'ok') {
+      summary.ok++;
+    } else {
+      entry.attempts++;
+      entry.lastError = String((result.status === 'skip' ? 'skipped: ' : '') + (result.info || result.status)).slice(0, 200);
+      recordAgentDeadLetter_(entry, cfg);
+      summary.deadLettered++;
+    }
+  });
+
+  if (cfg.DEBUG && summary.due) {
+    console.log(JSON.stringify({ agentRetries: summary }, null, 2));
+  }
+  return summary;
+}
+
+/**
+ * Retry result for an agent whose AI budget is used up, or null while it has calls left
+ *
+ * The result is a deferral: it doesn't count as a failed attempt, and it waits until
+ * the next budget day (or the next run, when only the per-run limit is reached).
+ *
+ * @param {string} consumer - Budget consumer name (e.g. 'reply_drafter')
+ * @param {Object} cfg - Configuration from getConfig_()
+ * @returns {Object|null} { status: 'retry', info, retryAfterMs, deferred: true } or null
+ */
+function getAgentBudgetRetry_(consumer, cfg) {
+  const check = checkBudget_(consumer, cfg);
+  if (check.allowed) return null;
+  return {
+    status: 'retry',
+    info: 'budget-exceeded: ' + check.reason,
+    retryAfterMs: check.reason === 'run-calls' ? 0 : getMsUntilBudgetReset_(),
+    deferred: true
+  };
+}
+
+/**
+ * Read the retry queue and dead-letter list
+ *
+ * @returns {{queued: Array<Object>, deadLetters: Array<Object>}} Queue entries (soonest first) and dead letters (newest first)
+ */
+function getAgentRetryState_() {
+  const queue = readJsonProperty_(AGENT_RETRY_QUEUE_KEY, {});
+  return {
+    queued: Object.keys(queue)
+      .map(function(key) { return queue[key]; })
+      .sort(function(a, b) { return a.nextAt - b.nextAt; }),
+    deadLetters: readJsonProperty_(AGENT_DEAD_LETTERS_KEY, [])
+  };
+}
+
+/**
+ * Log the agent retry queue and dead-letter list
+ * Run from the Apps Script editor.
+ */
+function showAgentRetryQueue() {
+  const state = getAgentRetryState_();
+  console.log(JSON.stringify({
+    queued: state.queued.map(function(e) {
+      return { agent: e.agent, threadId: e.threadId, attempts: e.attempts, due: new Date(e.nextAt).toISOString(), lastError: e.lastError };
+    }),
+    deadLetters: state.deadLetters
+  }, null, 2));
+  return state;
+}
+
+/**
+ * Move every dead letter back into the retry queue, due immediately
+ * Run from the Apps Script editor after fixing the underlying problem.
+ *
+ * @returns {number} Number of entries re-queued
+ */
+function requeueAgentDeadLetters() {
+  const deadLetters = readJsonProperty_(AGENT_DEAD_LETTERS_KEY, []);
+  const queue = readJsonProperty_(AGENT_RETRY_QUEUE_KEY, {});
+  const now = Date.now();
+  deadLetters.forEach(function(d) {
+    queue[d.agent + '|' + d.threadId] = {
+      agent: d.agent, label: d.label, threadId: d.threadId, attempts: 0, nextAt: now, lastError: d.lastError, firstAt: now
+    };
+  });
+  writeAgentRetryQueue_(queue);
+  writeJsonProperty_(AGENT_DEAD_LETTERS_KEY, null);
+  console.log('Re-queued ' + deadLetters.length + ' agent run(s)');
+  return deadLetters.length;
+}
+
+/**
+ * Backoff for the given attempt: base * 2^(attempts - 1), capped, but never below retryAfterMs
+ * @private
+ */
+function getAgentRetryDelayMs_(attempts, retryAfterMs, cfg) {
+  const minute = 60 * 1000;
+  const backoff = Math.min(
+    cfg.AGENT_RETRY_BASE_DELAY_MINUTES * minute * Math.pow(2, attempts - 1),
+    cfg.AGENT_RETRY_MAX_DELAY_MINUTES * minute
+  );
+  return Math.max(backoff, typeof retryAfterMs === 'number' ? retryAfterMs : 0);
+}
+
+/**
+ * Add an entry to the dead-letter list (newest first, bounded)
+ * @private
+ */
+function recordAgentDeadLetter_(entry, cfg) {
+  const deadLetters = readJsonProperty_(AGENT_DEAD_LETTERS_KEY, []);
+  deadLetters.unshift({
+    agent: entry.agent,
+    label: entry.label,
+    threadId: entry.threadId,
+    attempts: entry.attempts,
+    lastError: entry.lastError,
+    failedAt: new Date().toISOString()
+  });
+  const bounded = deadLetters.slice(0, cfg.AGENT_DEAD_LETTER_MAX);
+  while (bounded.length > 1 && JSON.stringify(bounded).length > AGENT_RETRY_STORAGE_LIMIT) {
+    bounded.pop();
+  }
+  writeJsonProperty_(AGENT_DEAD_LETTERS_KEY, bounded);
+  console.log('Agent ' + entry.agent + ' gave up on thread ' + entry.threadId + ' after ' + entry.attempts + ' attempt(s): ' + entry.lastError);
+}
+
+/**
+ * Store the queue, dropping the entries due last if it outgrows the property limit
+ * @private
+ */
+function writeAgentRetryQueue_(queue) {
+  const keys = Object.keys(queue).sort(function(a, b) { return queue[a].nextAt - queue[b].nextAt; });
+  while (keys.length && JSON.stringify(queue).length > AGENT_RETRY_STORAGE_LIMIT) {
+    const key = keys.pop();
+    console.log('Agent retry queue full, dropping ' + key);
+    delete queue[key];
+  }
+  writeJsonProperty_(AGENT_RETRY_QUEUE_KEY, keys.length ? queue : null);
+}
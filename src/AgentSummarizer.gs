@@ -7,7 +7,9 @@
  * - Generates summaries in "The Economist's World in Brief" style
  * - Delivers summaries via email with hyperlinks and source references
  * - Re-labels processed emails as "summarized" and archives them
- * - Runs on scheduled triggers (daily at 5am by default)
+ * - Runs named digest profiles, each on its own schedule (daily, weekly, or once
+ *   enough emails have queued up) with its own filter, destination, instructions
+ *   and length (see getDigestProfiles_())
  *
  * Features:
  * - Self-contained: manages own config, labels, and triggers
@@ -15,8 +17,18 @@
  * - Leverages existing AI infrastructure (LLMService, PromptBuilder)
  * - Configurable age limits, destination email, and archive behavior
  * - Full error handling and dry-run support
+ *
+ * Storage: SUMMARIZER_PROFILE_RUNS script property
+ * { "<profile name>": "<ISO time of the last completed run>" }
+ * Partial summaries of large batches are kept in the script cache (see summarizeInParts_())
  */
 
+const SUMMARIZER_PROFILE_RUNS_KEY = 'SUMMARIZER_PROFILE_RUNS';
+// Partial summaries are kept for six hours (the CacheService maximum). A failed digest stays
+// due and is retried by the hourly trigger whatever its schedule; retries after that rebuild them.
+const SUMMARY_PARTIAL_CACHE_SECONDS = 6 * 60 * 60;
+const DIGEST_WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
 // ============================================================================
 // Configuration Management (Self-Contained)
 // ============================================================================
@@ -48,6 +60,15 @@ function getSummarizerConfig_() {
     SUMMARIZER_KNOWLEDGE_FOLDER_URL: props.getProperty('SUMMARIZER_KNOWLEDGE_FOLDER_URL'),
     SUMMARIZER_KNOWLEDGE_MAX_DOCS: parseInt(props.getProperty('SUMMARIZER_KNOWLEDGE_MAX_DOCS') || '5', 10),
 
+    // Digest profiles (JSON array, see getDigestProfiles_()); unset means one daily digest
+    SUMMARIZER_PROFILES: props.getProperty('SUMMARIZER_PROFILES'),
+    SUMMARIZER_HOUR: parseInt(props.getProperty('SUMMARIZER_HOUR') || '5', 10),
+    SUMMARIZER_MAX_WORDS: parseInt(props.getProperty('SUMMARIZER_MAX_WORDS') || '400', 10),
+
+    // Large batches: summarize groups of up to CHUNK_SIZE emails (by sender or thread), then merge
+    SUMMARIZER_CHUNK_SIZE: parseInt(props.getProperty('SUMMARIZER_CHUNK_SIZE') || '15', 10),
+    SUMMARIZER_GROUP_BY: (props.getProperty('SUMMARIZER_GROUP_BY') || 'sender').toLowerCase(),
+
     // Debugging and testing
     SUMMARIZER_DEBUG: (props.getProperty('SUMMARIZER_DEBUG') || 'false').toLowerCase() === 'true',
     SUMMARIZER_DRY_RUN: (props.getProperty('SUMMARIZER_DRY_RUN') || 'false').toLowerCase() === 'true'
@@ -67,6 +88,149 @@ function ensureSummarizedLabel_() {
   return GmailApp.getUserLabelByName(labelName) || GmailApp.createLabel(labelName);
 }
 
+// ============================================================================
+// Digest Profiles
+// ============================================================================
+
+/**
+ * Digest profiles with defaults applied
+ *
+ * SUMMARIZER_PROFILES holds a JSON array; every field except name is optional:
+ *   [{ "name": "internal", "schedule": "daily", "hour": 7, "senders": ["@example.com"] },
+ *    { "name": "vendors", "schedule": "weekly", "day": "friday", "labels": ["newsletters"],
+ *      "destination": "team@example.com", "instructionsUrl": "...", "maxWords": 250 },
+ *    { "name": "alerts", "schedule": "count", "minEmails": 20, "query": "subject:alert" }]
+ * Missing fields fall back to the SUMMARIZER_* properties. Without the property (or
+ * when it can't be parsed) there is one "default" profile: daily at SUMMARIZER_HOUR.
+ *
+ * All profiles summarize emails labeled "summarize". A profile without senders,
+ * labels or query takes the emails no other profile matches.
+ *
+ * @param {Object} config - From getSummarizerConfig_()
+ * @return {Array<Object>} Profiles { name, schedule, hour, day, minEmails, senders, labels,
+ *   query, destination, instructionsUrl, knowledgeFolderUrl, maxWords, maxAgeDays, maxEmails }
+ */
+function getDigestProfiles_(config) {
+  let raw = null;
+  if (config.SUMMARIZER_PROFILES) {
+    try {
+      raw = JSON.parse(config.SUMMARIZER_PROFILES);
+    } catch (e) {
+      Logger.log('AgentSummarizer: SUMMARIZER_PROFILES is not valid JSON, using the default profile - ' + e.toString());
+    }
+  }
+  if (!Array.isArray(raw) || raw.length === 0) {
+    raw = [{ name: 'default' }];
+  }
+
+  return raw.map(function(p, i) {
+    p = p || {};
+    const schedule = String(p.schedule || 'daily').toLowerCase();
+    const name = String(p.name || 'digest-' + (i + 1));
+    const maxEmails = parseInt(p.maxEmails || config.SUMMARIZER_MAX_EMAILS_PER_SUMMARY, 10);
+    let minEmails = parseInt(p.minEmails || 10, 10);
+    // At most maxEmails are counted, so a higher threshold would never be reached
+    if (schedule === 'count' && minEmails > maxEmails) {
+      Logger.log(`AgentSummarizer: Profile ${name} has minEmails ${minEmails} above maxEmails ${maxEmails}, using ${maxEmails}`);
+      minEmails = maxEmails;
+    }
+    return {
+      name: name,
+      schedule: schedule,
+      hour: p.hour !== undefined ? parseInt(p.hour, 10) : config.SUMMARIZER_HOUR,
+      day: String(p.day || 'monday').toLowerCase(),
+      minEmails: minEmails,
+      senders: [].concat(p.senders || []),
+      labels: [].concat(p.labels || []),
+      query: p.query || '',
+      destination: p.destination || config.SUMMARIZER_DESTINATION_EMAIL,
+      instructionsUrl: p.instructionsUrl || config.SUMMARIZER_INSTRUCTIONS_DOC_URL,
+      knowledgeFolderUrl: p.knowledgeFolderUrl || config.SUMMARIZER_KNOWLEDGE_FOLDER_URL,
+      maxWords: parseInt(p.maxWords || config.SUMMARIZER_MAX_WORDS, 10),
+      maxAgeDays: parseInt(p.maxAgeDays || config.SUMMARIZER_MAX_AGE_DAYS, 10),
+      maxEmails: maxEmails
+    };
+  });
+}
+
+/**
+ * Gmail search terms for a profile's filter ('' for a catch-all profile)
+ * Senders and labels each match any of their entries; all given parts must match.
+ * @private
+ */
+function buildDigestFilter_(profile) {
+  const parts = [];
+  if (profile.senders.length) {
+    parts.push('{' + profile.senders.map(function(s) { return 'from:' + s; }).join(' ') + '}');
+  }
+  if (profile.labels.length) {
+    parts.push('{' + profile.labels.map(function(l) { return 'label:' + String(l).replace(/\s+/g, '-'); }).join(' ') + '}');
+  }
+  if (profile.query) {
+    parts.push('(' + profile.query + ')');
+  }
+  return parts.join(' ');
+}
+
+/**
+ * Full search terms for a profile: its own filter, or for a catch-all profile the
+ * exclusion of every other profile's filter
+ *
+ * @param {Object} profile - From getDigestProfiles_()
+ * @param {Array<Object>} profiles - All profiles
+ * @return {string} Search terms added to "label:summarize"
+ */
+function buildDigestQuery_(profile, profiles) {
+  const own = buildDigestFilter_(profile);
+  if (own) {
+    return own;
+  }
+  return profiles
+    .map(buildDigestFilter_)
+    .filter(Boolean)
+    .map(function(filter) { return '-(' + filter + ')'; })
+    .join(' ');
+}
+
+/**
+ * Whether a daily or weekly profile is due: its latest scheduled time has passed
+ * since the last run. Count profiles are checked against queued emails instead.
+ *
+ * @param {Object} profile - From getDigestProfiles_()
+ * @param {string} lastRun - ISO time of the last run (undefined if never run)
+ * @param {Date} now - Current time
+ * @return {boolean} True when the profile should run now
+ */
+function isDigestDue_(profile, lastRun, now) {
+  if (profile.schedule === 'count') {
+    return true;
+  }
+  if (!lastRun) {
+    return true;
+  }
+
+  const scheduled = new Date(now.getTime());
+  scheduled.setHours(profile.hour, 0, 0, 0);
+  if (profile.schedule === 'weekly') {
+    const target = DIGEST_WEEKDAYS.indexOf(profile.day);
+    scheduled.setDate(scheduled.getDate() - ((scheduled.getDay() - target + 7) % 7));
+  }
+  if (scheduled > now) {
+    scheduled.setDate(scheduled.getDate() - (profile.schedule === 'weekly' ? 7 : 1));
+  }
+  return new Date(lastRun) < scheduled;
+}
+
+/**
+ * Describe a profile's schedule for logs: "daily at 5:00", "weekly on friday at 16:00", "at 20 emails"
+ * @private
+ */
+function describeDigestSchedule_(profile) {
+  if (profile.schedule === 'count') return 'at ' + profile.minEmails + ' emails';
+  const time = profile.hour + ':00';
+  return profile.schedule === 'weekly' ? 'weekly on ' + profile.day + ' at ' + time : 'daily at ' + time;
+}
+
 // ============================================================================
 // Email Processing Logic
 // ============================================================================
@@ -74,25 +238,33 @@ function ensureSummarizedLabel_() {
 /**
  * Find emails for summarization using generic service layer
  * Returns structured email data compatible with existing AI services
+ *
+ * @param {Object} profile - From getDigestProfiles_() (optional; defaults to the first profile)
+ * @param {string} query - Search terms from buildDigestQuery_() (optional)
  */
-function findEmailsForSummary_() {
-  const config = getSummarizerConfig_();
+function findEmailsForSummary_(profile, query) {
+  profile = profile || getDigestProfiles_(getSummarizerConfig_())[0];
 
   // Use generic service function for email finding
   return findEmailsByLabelWithAge_(
     'summarize',
-    config.SUMMARIZER_MAX_AGE_DAYS,
-    config.SUMMARIZER_MAX_EMAILS_PER_SUMMARY
+    profile.maxAgeDays,
+    profile.maxEmails,
+    query
   );
 }
 
 /**
  * Process emails through AI summarization pipeline
  * Uses existing LLMService and PromptBuilder infrastructure
+ *
+ * @param {Array<Object>} emails - Emails from findEmailsForSummary_()
+ * @param {Object} profile - From getDigestProfiles_() (optional; defaults to the first profile)
  */
-function generateSummaryFromEmails_(emails) {
+function generateSummaryFromEmails_(emails, profile) {
   try {
     const config = getSummarizerConfig_();
+    profile = profile || getDigestProfiles_(config)[0];
 
     if (!emails || emails.length === 0) {
       return {
@@ -103,14 +275,14 @@ function generateSummaryFromEmails_(emails) {
 
     // Fetch summarization knowledge (new: KnowledgeService integration)
     if (config.SUMMARIZER_DEBUG) {
-      const hasInstructions = !!config.SUMMARIZER_INSTRUCTIONS_DOC_URL;
-      const hasFolder = !!config.SUMMARIZER_KNOWLEDGE_FOLDER_URL;
-      Logger.log('AgentSummarizer: Knowledge configuration: instructions=' + hasInstructions + ', folder=' + hasFolder);
+      const hasInstructions = !!profile.instructionsUrl;
+      const hasFolder = !!profile.knowledgeFolderUrl;
+      Logger.log('AgentSummarizer: Knowledge configuration (' + profile.name + '): instructions=' + hasInstructions + ', folder=' + hasFolder);
     }
 
     const knowledge = fetchSummarizerKnowledge_({
-      instructionsUrl: config.SUMMARIZER_INSTRUCTIONS_DOC_URL,
-      knowledgeFolderUrl: config.SUMMARIZER_KNOWLEDGE_FOLDER_URL,
+      instructionsUrl: profile.instructionsUrl,
+      knowledgeFolderUrl: profile.knowledgeFolderUrl,
       maxDocs: config.SUMMARIZER_KNOWLEDGE_MAX_DOCS
     });
 
@@ -124,12 +296,6 @@ function generateSummaryFromEmails_(emails) {
       }
     }
 
-    // Extract web links from emails for inclusion in summary
-    const webLinks = extractWebLinksFromEmails_(emails);
-
-    // Generate email permalink references for the AI
-    const emailLinks = generateEmailPermalinks_(emails);
-
     // Fetch global knowledge (shared across all AI operations)
     const globalKnowledge = fetchGlobalKnowledge_();
 
@@ -140,17 +306,29 @@ function generateSummaryFromEmails_(emails) {
       }
     }
 
+    // Large batches: summarize groups first, then merge the partial summaries
+    if (emails.length > config.SUMMARIZER_CHUNK_SIZE) {
+      return summarizeInParts_(emails, profile, knowledge, globalKnowledge, config);
+    }
+
+    // Extract web links from emails for inclusion in summary
+    const webLinks = extractWebLinksFromEmails_(emails);
+
+    // Generate email permalink references for the AI
+    const emailLinks = generateEmailPermalinks_(emails);
+
     // Build configuration for summary generation
     const summaryConfig = {
       emailLinks: emailLinks,
-      includeWebLinks: webLinks
+      includeWebLinks: webLinks,
+      maxWords: profile.maxWords
     };
 
     // Build prompt with knowledge injection (new: prompt built by agent, not LLMService)
     const prompt = buildSummaryPrompt_(emails, knowledge, summaryConfig, globalKnowledge);
 
     // Use existing LLMService function for AI summarization
-    const result = generateConsolidatedSummary_(prompt, summaryConfig);
+    const result = checkSummaryLinks_(generateConsolidatedSummary_(prompt, summaryConfig), emailLinks, webLinks);
 
     if (config.SUMMARIZER_DEBUG) {
       Logger.log(`AgentSummarizer: Generated summary for ${emails.length} emails, length: ${result.summary ? result.summary.length : 0} chars`);
@@ -167,16 +345,186 @@ function generateSummaryFromEmails_(emails) {
   }
 }
 
+/**
+ * Map-reduce summarization for batches larger than SUMMARIZER_CHUNK_SIZE
+ *
+ * Each group of emails (see groupEmailsForSummary_()) gets a partial summary from
+ * buildSummaryPrompt_(), cached for SUMMARY_PARTIAL_CACHE_SECONDS under the group's
+ * message ids and the profile's instructions (see partialSummaryCacheKey_()). The
+ * partials are then merged with buildSummaryMergePrompt_(). When the merge (or a later
+ * group) fails, a retry within that time reuses the partials that finished instead of
+ * spending budget on them again; new messages change the key of their group only.
+ *
+ * @param {Array<Object>} emails - Emails from findEmailsForSummary_()
+ * @param {Object} profile - From getDigestProfiles_()
+ * @param {Object} knowledge - From fetchSummarizerKnowledge_()
+ * @param {Object} globalKnowledge - From fetchGlobalKnowledge_()
+ * @param {Object} config - From getSummarizerConfig_()
+ * @return {Object} { success, summary, parts, cached, error }
+ */
+function summarizeInParts_(emails, profile, knowledge, globalKnowledge, config) {
+  const groups = groupEmailsForSummary_(emails, config.SUMMARIZER_GROUP_BY, config.SUMMARIZER_CHUNK_SIZE);
+  const cache = CacheService.getScriptCache();
+  const partials = [];
+  let cached = 0;
+
+  for (let i = 0; i < groups.length; i++) {
+    const group = groups[i];
+    const key = partialSummaryCacheKey_(profile, group, knowledge, globalKnowledge);
+    const hit = cache.get(key);
+    if (hit) {
+      partials.push(hit);
+      cached++;
+      continue;
+    }
+
+    const summaryConfig = {
+      emailLinks: generateEmailPermalinks_(group),
+      includeWebLinks: extractWebLinksFromEmails_(group),
+      maxWords: profile.maxWords
+    };
+    const result = checkSummaryLinks_(
+      generateConsolidatedSummary_(buildSummaryPrompt_(group, knowledge, summaryConfig, globalKnowledge), summaryConfig),
+      summaryConfig.emailLinks, summaryConfig.includeWebLinks
+    );
+    if (!result.success) {
+      return {
+        success: false,
+        error: `Partial summary ${i + 1} of ${groups.length} failed (${cached} cached, ${partials.length - cached} new kept for the next run): ${result.error}`
+      };
+    }
+
+    try {
+      cache.put(key, result.summary, SUMMARY_PARTIAL_CACHE_SECONDS);
+    } catch (e) {
+      // Too large for the cache: still usable for this run's merge
+      Logger.log('AgentSummarizer: Could not cache partial summary ' + (i + 1) + ': ' + e.toString());
+    }
+    partials.push(result.summary);
+  }
+
+  if (config.SUMMARIZER_DEBUG) {
+    Logger.log(`AgentSummarizer: ${emails.length} emails in ${groups.length} groups by ${config.SUMMARIZER_GROUP_BY}, ${cached} partial summaries from cache`);
+  }
+
+  // Partials already carry permalinks; the merged text is checked against every email
+  const mergeConfig = { maxWords: profile.maxWords };
+  const merged = checkSummaryLinks_(
+    generateConsolidatedSummary_(buildSummaryMergePrompt_(partials, emails.length, knowledge, mergeConfig, globalKnowledge), mergeConfig),
+    generateEmailPermalinks_(emails), extractWebLinksFromEmails_(emails)
+  );
+  if (!merged.success) {
+    return {
+      success: false,
+      error: `Merging ${partials.length} partial summaries failed (partials cached for the next run): ${merged.error}`
+    };
+  }
+
+  return {
+    success: true,
+    summary: merged.summary,
+    parts: partials.length,
+    cached: cached
+  };
+}
+
+/**
+ * Resolve reference tokens and drop unverifiable links in a summary result
+ * (see resolveSummaryLinks_()); failed results pass through unchanged
+ * @private
+ */
+function checkSummaryLinks_(result, emailLinks, webLinks) {
+  if (!result.success) {
+    return result;
+  }
+  const links = resolveSummaryLinks_(result.summary, emailLinks, webLinks);
+  if (links.repaired || links.removed) {
+    Logger.log(`AgentSummarizer: Summary links checked - ${links.repaired} repaired, ${links.removed} removed`);
+  }
+  return Object.assign({}, result, { summary: links.text });
+}
+
+/**
+ * Split emails into groups of at most chunkSize for partial summaries
+ *
+ * Emails are taken oldest first and kept together by sender address (groupBy "sender")
+ * or by thread ("thread"), so related emails land in the same partial summary and
+ * newly arrived emails mostly add to the last groups, leaving earlier cache keys intact.
+ *
+ * @param {Array<Object>} emails - Emails from findEmailsForSummary_()
+ * @param {string} groupBy - "sender" or "thread"
+ * @param {number} chunkSize - Maximum emails per group
+ * @return {Array<Array<Object>>} Groups of emails
+ */
+function groupEmailsForSummary_(emails, groupBy, chunkSize) {
+  const size = Math.max(1, chunkSize || 1);
+  const byKey = {};
+  const keys = [];
+
+  emails.slice()
+    .sort(function(a, b) { return new Date(a.date) - new Date(b.date); })
+    .forEach(function(email) {
+      const key = groupBy === 'thread' ? email.threadId : extractEmailAddress_(email.from);
+      if (!byKey[key]) {
+        byKey[key] = [];
+        keys.push(key);
+      }
+      byKey[key].push(email);
+    });
+
+  // Fill groups in order; a sender with more than chunkSize emails spans several groups
+  const groups = [];
+  let current = [];
+  keys.forEach(function(key) {
+    const related = byKey[key];
+    for (let start = 0; start < related.length; start += size) {
+      const piece = related.slice(start, start + size);
+      if (current.length + piece.length > size) {
+        groups.push(current);
+        current = [];
+      }
+      current = current.concat(piece);
+    }
+  });
+  if (current.length) {
+    groups.push(current);
+  }
+  return groups;
+}
+
+/**
+ * Cache key for a group's partial summary: profile, length, instructions and the latest
+ * message ids. The knowledge text is part of the key, so editing an instructions document
+ * (or the global knowledge) produces new partials even though its URL stays the same.
+ * @private
+ */
+function partialSummaryCacheKey_(profile, group, knowledge, globalKnowledge) {
+  const source = [
+    profile.name,
+    profile.maxWords,
+    profile.instructionsUrl || '',
+    profile.knowledgeFolderUrl || '',
+    knowledge && knowledge.knowledge || '',
+    globalKnowledge && globalKnowledge.knowledge || ''
+  ].concat(group.map(function(email) { return email.id; })).join('|');
+  const digest = Utilities.computeDigest(Utilities.DigestAlgorithm.MD5, source);
+  return 'summary_partial_' + Utilities.base64Encode(digest);
+}
+
 // Note: Markdown conversion now handled by shared utility in Utility.gs
 // This eliminates 44 lines of duplicate code and standardizes markdown processing
 
 /**
  * Send summary email to configured destination
  * Uses generic service layer for email delivery
+ *
+ * @param {string} summaryText - Markdown summary
+ * @param {Array<Object>} sourceEmails - Summarized emails
+ * @param {Object} profile - From getDigestProfiles_() (optional; defaults to the first profile)
  */
-function deliverSummaryEmail_(summaryText, sourceEmails) {
+function deliverSummaryEmail_(summaryText, sourceEmails, profile) {
   try {
-    const config = getSummarizerConfig_();
+    profile = profile || getDigestProfiles_(getSummarizerConfig_())[0];
 
     if (!summaryText) {
       return {
@@ -188,7 +536,8 @@ function deliverSummaryEmail_(summaryText, sourceEmails) {
     const dateResult = formatEmailDate_(new Date());
     const currentDate = dateResult && dateResult.success ? dateResult.date : new Date().toISOString().slice(0, 10);
     // Fix emoji encoding issue by using plain text
-    const subject = `Email Summary - ${currentDate}`;
+    const title = profile.name === 'default' ? 'Email Summary' : `Email Summary: ${profile.name}`;
+    const subject = `${title} - ${currentDate}`;
 
     // Convert markdown to HTML using shared utility with email styling
     const conversionResult = convertMarkdownToHtml_(summaryText, 'email');
@@ -204,21 +553,21 @@ function deliverSummaryEmail_(summaryText, sourceEmails) {
     const htmlContent = `
       <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
         <h2 style="color: #333; border-bottom: 2px solid #e74c3c; padding-bottom: 10px; margin-bottom: 1.5em;">
-          Email Summary - ${currentDate}
+          ${title} - ${currentDate}
         </h2>
         <div style="line-height: 1.6; color: #444;">
           ${htmlSummary}
         </div>
         <p style="margin-top: 2em; font-size: 12px; color: #666;">
           This summary was generated automatically from ${sourceEmails.length} email(s)
-          with the "summarize" label from the past ${config.SUMMARIZER_MAX_AGE_DAYS} days.
+          with the "summarize" label from the past ${profile.maxAgeDays} days${profile.name === 'default' ? '' : ` (digest "${profile.name}", ${describeDigestSchedule_(profile)})`}.
         </p>
       </div>
     `;
 
     // Use generic service function for email sending
     return sendFormattedEmail_(
-      config.SUMMARIZER_DESTINATION_EMAIL,
+      profile.destination,
       subject,
       htmlContent,
       sourceEmails
@@ -274,6 +623,11 @@ function processEmailsAfterSummary_(emails) {
     // Use generic service function for archiving
     const archiveResult = archiveEmailsByIds_(emailIds);
 
+    // Feed the Unsubscribe agent's bulk sender tally (optional module)
+    if (typeof recordSummarizedSenders_ === 'function') {
+      recordSummarizedSenders_(emails);
+    }
+
     if (config.SUMMARIZER_DEBUG) {
       Logger.log(`AgentSummarizer: Processed ${labelResult.processed} emails, archived ${archiveResult.archived} emails`);
     }
@@ -353,8 +707,13 @@ function summarizerAgentHandler(ctx) {
 /**
  * Main scheduled summarization workflow
  * Runs independently of individual email processing
+ *
+ * The hourly trigger runs every digest profile that is due. Run from the Apps
+ * Script editor (no trigger event), it runs every profile with queued emails now.
+ *
+ * @param {Object} e - Time-driven trigger event (undefined when run manually)
  */
-function runEmailSummarizer() {
+function runEmailSummarizer(e) {
   try {
     const config = getSummarizerConfig_();
 
@@ -363,54 +722,51 @@ function runEmailSummarizer() {
       return { success: false, reason: 'disabled' };
     }
 
-    console.log('Email Summarizer: Starting scheduled run');
-
-    // Step 1: Find emails for summarization
-    const emailResult = findEmailsForSummary_();
-    if (!emailResult.success) {
-      console.log('Email Summarizer: Error finding emails - ' + emailResult.error);
-      return { success: false, error: emailResult.error };
-    }
-
-    if (emailResult.count === 0) {
-      console.log('Email Summarizer: No emails found for summarization');
-      return { success: true, reason: 'no_emails', processed: 0 };
-    }
-
-    console.log(`Email Summarizer: Found ${emailResult.count} emails for summarization`);
-
-    // Step 2: Generate AI summary
-    const summaryResult = generateSummaryFromEmails_(emailResult.emails);
-    if (!summaryResult.success) {
-      console.log('Email Summarizer: Error generating summary - ' + summaryResult.error);
-      return { success: false, error: summaryResult.error };
-    }
-
-    // Step 3: Deliver summary email
-    const deliveryResult = deliverSummaryEmail_(summaryResult.summary, emailResult.emails);
-    if (!deliveryResult.success) {
-      console.log('Email Summarizer: Error delivering summary - ' + deliveryResult.error);
-      return { success: false, error: deliveryResult.error };
-    }
+    const manual = !(e && e.triggerUid);
+    const profiles = getDigestProfiles_(config);
+    const runs = readJsonProperty_(SUMMARIZER_PROFILE_RUNS_KEY, {});
+    const now = new Date();
+    console.log(`Email Summarizer: Starting ${manual ? 'manual' : 'scheduled'} run for ${profiles.length} digest profile(s)`);
+
+    const results = profiles.map(function(profile) {
+      if (['daily', 'weekly', 'count'].indexOf(profile.schedule) === -1 ||
+          (profile.schedule === 'weekly' && DIGEST_WEEKDAYS.indexOf(profile.day) === -1)) {
+        console.log(`Email Summarizer [${profile.name}]: Unknown schedule "${profile.schedule}"${profile.schedule === 'weekly' ? ' or day "' + profile.day + '"' : ''}, skipping`);
+        return { name: profile.name, success: false, error: 'invalid schedule' };
+      }
+      if (!manual && !isDigestDue_(profile, runs[profile.name], now)) {
+        if (config.SUMMARIZER_DEBUG) {
+          console.log(`Email Summarizer [${profile.name}]: Not due (${describeDigestSchedule_(profile)}, last run ${runs[profile.name]})`);
+        }
+        return { name: profile.name, success: true, reason: 'not_due', processed: 0 };
+      }
 
-    console.log('Email Summarizer: Summary email delivered successfully');
+      const result = runDigestProfile_(profile, buildDigestQuery_(profile, profiles), manual);
+      result.name = profile.name;
+      if (result.success && result.reason !== 'below_threshold' && !config.SUMMARIZER_DRY_RUN) {
+        runs[profile.name] = now.toISOString();
+      }
+      return result;
+    });
 
-    // Step 4: Process emails (relabel and archive)
-    const processResult = processEmailsAfterSummary_(emailResult.emails);
-    if (!processResult.success) {
-      console.log('Email Summarizer: Error processing emails - ' + processResult.error);
-      return { success: false, error: processResult.error };
-    }
+    // Forget profiles that were removed from the configuration
+    Object.keys(runs).forEach(function(name) {
+      if (!profiles.some(function(p) { return p.name === name; })) delete runs[name];
+    });
+    writeJsonProperty_(SUMMARIZER_PROFILE_RUNS_KEY, Object.keys(runs).length ? runs : null);
 
-    const finalMessage = `Email Summarizer completed: processed ${emailResult.count} emails, delivered summary to ${config.SUMMARIZER_DESTINATION_EMAIL}`;
+    const processed = results.reduce(function(sum, r) { return sum + (r.processed || 0); }, 0);
+    const failed = results.filter(function(r) { return !r.success; });
+    const finalMessage = `Email Summarizer completed: processed ${processed} emails in ${results.length} digest profile(s)` +
+      (failed.length ? `, ${failed.length} failed` : '');
     console.log(finalMessage);
 
     return {
-      success: true,
-      processed: emailResult.count,
-      delivered: true,
-      archived: processResult.archived || 0,
-      message: finalMessage
+      success: failed.length === 0,
+      processed: processed,
+      profiles: results,
+      message: finalMessage,
+      error: failed.length ? failed.map(function(r) { return r.name + ': ' + r.error; }).join('; ') : undefined
     };
 
   } catch (error) {
@@ -420,19 +776,96 @@ function runEmailSummarizer() {
   }
 }
 
+/**
+ * Find, summarize, deliver and relabel the emails of one digest profile
+ *
+ * @param {Object} profile - From getDigestProfiles_()
+ * @param {string} query - Search terms from buildDigestQuery_()
+ * @param {boolean} manual - Run from the editor: count profiles ignore their threshold
+ * @return {Object} { success, reason?, processed, delivered?, archived?, error? }
+ */
+function runDigestProfile_(profile, query, manual) {
+  const tag = `Email Summarizer [${profile.name}]`;
+
+  // Step 1: Find emails for summarization
+  const emailResult = findEmailsForSummary_(profile, query);
+  if (!emailResult.success) {
+    console.log(`${tag}: Error finding emails - ${emailResult.error}`);
+    return { success: false, error: emailResult.error };
+  }
+
+  if (emailResult.count === 0) {
+    console.log(`${tag}: No emails found for summarization`);
+    return { success: true, reason: 'no_emails', processed: 0 };
+  }
+
+  if (profile.schedule === 'count' && emailResult.count < profile.minEmails && !manual) {
+    console.log(`${tag}: ${emailResult.count} of ${profile.minEmails} emails queued, waiting`);
+    return { success: true, reason: 'below_threshold', processed: 0 };
+  }
+
+  console.log(`${tag}: Found ${emailResult.count} emails for summarization`);
+
+  // Step 2: Generate AI summary
+  const summaryResult = generateSummaryFromEmails_(emailResult.emails, profile);
+  if (!summaryResult.success) {
+    console.log(`${tag}: Error generating summary - ${summaryResult.error}`);
+    return { success: false, error: summaryResult.error };
+  }
+
+  // Step 3: Deliver summary email
+  const deliveryResult = deliverSummaryEmail_(summaryResult.summary, emailResult.emails, profile);
+  if (!deliveryResult.success) {
+    console.log(`${tag}: Error delivering summary - ${deliveryResult.error}`);
+    return { success: false, error: deliveryResult.error };
+  }
+
+  console.log(`${tag}: Summary email delivered to ${profile.destination}`);
+
+  // Step 4: Process emails (relabel and archive)
+  const processResult = processEmailsAfterSummary_(emailResult.emails);
+  if (!processResult.success) {
+    console.log(`${tag}: Error processing emails - ${processResult.error}`);
+    return { success: false, error: processResult.error };
+  }
+
+  return {
+    success: true,
+    processed: emailResult.count,
+    delivered: true,
+    archived: processResult.archived || 0
+  };
+}
+
+/**
+ * Log each digest profile with its schedule, filter, destination and last run
+ * Run from the Apps Script editor to check SUMMARIZER_PROFILES.
+ */
+function listDigestProfiles() {
+  const profiles = getDigestProfiles_(getSummarizerConfig_());
+  const runs = readJsonProperty_(SUMMARIZER_PROFILE_RUNS_KEY, {});
+  profiles.forEach(function(profile) {
+    console.log(`${profile.name}: ${describeDigestSchedule_(profile)}, ` +
+                `label:summarize ${buildDigestQuery_(profile, profiles) || '(all)'}, ` +
+                `to ${profile.destination}, max ${profile.maxWords} words, last run ${runs[profile.name] || 'never'}`);
+  });
+  return profiles;
+}
+
 // ============================================================================
 // Trigger Management (Self-Contained)
 // ============================================================================
 
 /**
- * Install daily trigger for Email Summarizer
- * Agents manage their own trigger lifecycle
+ * Install hourly trigger for Email Summarizer
+ * Agents manage their own trigger lifecycle; each run checks which digest profiles are due
  */
 function installSummarizerTrigger() {
   // Use shared utility for trigger management
-  const result = createTimeTrigger_('runEmailSummarizer', { type: 'daily', hour: 5 });
+  const result = createTimeTrigger_('runEmailSummarizer', { type: 'hourly', interval: 1 });
   if (result.success) {
-    console.log('Email Summarizer trigger installed successfully (daily at 5 AM)');
+    console.log('Email Summarizer trigger installed successfully (hourly check for due digests)');
+    listDigestProfiles();
   }
   return result;
 }
@@ -465,18 +898,18 @@ AGENT_MODULES.push(function(api) {
   /**
    * Register Email Summarizer agent for "summarize" label
    * Agent acknowledges emails via onLabel (immediate archive if enabled)
-   * Separate daily trigger handles actual summarization (runEmailSummarizer)
+   * Separate hourly trigger handles actual summarization (runEmailSummarizer)
    *
    * Uses dual-hook pattern:
    * - onLabel: Immediate archive when label applied (if enabled)
-   * - postLabel: null (uses separate daily trigger instead)
+   * - postLabel: null (uses separate hourly trigger instead)
    */
   api.register(
     'summarize',           // Label to trigger on
     'emailSummarizer',     // Agent name
     {
       onLabel: summarizerAgentHandler,  // Immediate archive behavior
-      postLabel: null                    // Uses separate daily trigger
+      postLabel: null                    // Uses separate hourly trigger
     },
     {
       runWhen: 'afterLabel',  // Run after labeling (respects dry-run)
@@ -0,0 +1,255 @@
+/**
+ * Email Summarizer Manual Tests
+ *
+ * Pure-logic tests for digest profiles and their schedules, grouping of large
+ * batches and source-link checking: no Gmail, Drive or AI access is needed and
+ * SUMMARIZER_PROFILE_RUNS is not touched. Dates are built in the script time
+ * zone. Run these functions individually in the Apps Script editor; each test
+ * logs results to the execution log (View > Logs).
+ */
+
+/**
+ * Summarizer configuration with the given SUMMARIZER_PROFILES value
+ * @private
+ */
+function getTestSummarizerConfig_(profiles) {
+  return Object.assign({}, getSummarizerConfig_(), {
+    SUMMARIZER_PROFILES: profiles === undefined ? '' : profiles,
+    SUMMARIZER_HOUR: 5,
+    SUMMARIZER_MAX_EMAILS_PER_SUMMARY: 50
+  });
+}
+
+/**
+ * Test 1: Profile defaults and validation
+ *
+ * Tests: getDigestProfiles_() fills in defaults, falls back to one default profile
+ * for missing or invalid JSON, and caps a count threshold at maxEmails
+ */
+function testDigestProfiles() {
+  Logger.log('========================================');
+  Logger.log('TEST 1: Digest Profiles');
+  Logger.log('========================================\n');
+
+  try {
+    const fallback = getDigestProfiles_(getTestSummarizerConfig_());
+    Logger.log((fallback.length === 1 && fallback[0].name === 'default' && fallback[0].schedule === 'daily' && fallback[0].hour === 5 ? '✅' : '❌') +
+      ' No SUMMARIZER_PROFILES: one daily default profile at SUMMARIZER_HOUR');
+
+    const invalid = getDigestProfiles_(getTestSummarizerConfig_('[{"name": "broken"'));
+    Logger.log((invalid.length === 1 && invalid[0].name === 'default' ? '✅' : '❌') +
+      ' Invalid JSON: default profile used');
+
+    const profiles = getDigestProfiles_(getTestSummarizerConfig_(JSON.stringify([
+      { name: 'vendors', schedule: 'Weekly', day: 'Friday', hour: 16, labels: ['newsletters'] },
+      { schedule: 'count', minEmails: 80 },
+      { name: 'alerts', schedule: 'count', minEmails: 20, maxEmails: 30 }
+    ])));
+    Logger.log((profiles[0].schedule === 'weekly' && profiles[0].day === 'friday' && profiles[0].hour === 16 ? '✅' : '❌') +
+      ' Schedule and day are lowercased: ' + profiles[0].schedule + ' on ' + profiles[0].day);
+    Logger.log((profiles[1].name === 'digest-2' ? '✅' : '❌') + ' Unnamed profile named by position: ' + profiles[1].name);
+    Logger.log((profiles[1].minEmails === 50 && profiles[1].maxEmails === 50 ? '✅' : '❌') +
+      ' minEmails above maxEmails capped: ' + profiles[1].minEmails);
+    Logger.log((profiles[2].minEmails === 20 && profiles[2].maxEmails === 30 ? '✅' : '❌') +
+      ' minEmails within maxEmails kept: ' + profiles[2].minEmails);
+
+  } catch (e) {
+    Logger.log('❌ ERROR: ' + e.message);
+  }
+}
+
+/**
+ * Test 2: Digest queries
+ *
+ * Tests: buildDigestQuery_() returns a profile's own filter, and for a catch-all
+ * profile excludes what every other profile matches
+ */
+function testBuildDigestQuery() {
+  Logger.log('========================================');
+  Logger.log('TEST 2: Digest Queries');
+  Logger.log('========================================\n');
+
+  try {
+    const profiles = getDigestProfiles_(getTestSummarizerConfig_(JSON.stringify([
+      { name: 'internal', senders: ['@example.com', 'boss@corp.example'] },
+      { name: 'vendors', labels: ['newsletters'], query: 'has:attachment' },
+      { name: 'rest' }
+    ])));
+
+    const internal = buildDigestQuery_(profiles[0], profiles);
+    Logger.log((internal === '{from:@example.com from:boss@corp.example}' ? '✅' : '❌') + ' Senders: ' + internal);
+
+    const vendors = buildDigestQuery_(profiles[1], profiles);
+    Logger.log((vendors === '{label:newsletters} (has:attachment)' ? '✅' : '❌') + ' Labels and query: ' + vendors);
+
+    const rest = buildDigestQuery_(profiles[2], profiles);
+    Logger.log((rest === '-({from:@example.com from:boss@corp.example}) -({label:newsletters} (has:attachment))' ? '✅' : '❌') +
+      ' Catch-all excludes the others: ' + rest);
+
+    const only = getDigestProfiles_(getTestSummarizerConfig_());
+    Logger.log((buildDigestQuery_(only[0], only) === '' ? '✅' : '❌') + ' Single catch-all profile matches everything');
+
+  } catch (e) {
+    Logger.log('❌ ERROR: ' + e.message);
+  }
+}
+
+/**
+ * Test 3: Schedules
+ *
+ * Tests: isDigestDue_() for daily, weekly and count profiles around their
+ * scheduled hour (Friday 2026-10-16 is the reference week)
+ */
+function testIsDigestDue() {
+  Logger.log('========================================');
+  Logger.log('TEST 3: Digest Schedules');
+  Logger.log('========================================\n');
+
+  const at = function(day, hour) { return new Date(2026, 9, day, hour, 0, 0); };
+  const daily = { schedule: 'daily', hour: 7 };
+  const weekly = { schedule: 'weekly', day: 'friday', hour: 16 };
+  const count = { schedule: 'count', minEmails: 10 };
+  const cases = [
+    { name: 'Never run', profile: daily, lastRun: undefined, now: at(16, 3), expect: true },
+    { name: 'Daily, before the hour, ran yesterday after it', profile: daily, lastRun: at(15, 7), now: at(16, 6), expect: false },
+    { name: 'Daily, after the hour, ran yesterday', profile: daily, lastRun: at(15, 7), now: at(16, 7), expect: true },
+    { name: 'Daily, already ran today', profile: daily, lastRun: at(16, 7), now: at(16, 20), expect: false },
+    { name: 'Daily, missed yesterday, before the hour', profile: daily, lastRun: at(14, 7), now: at(16, 6), expect: true },
+    { name: 'Weekly, Friday after the hour, ran last week', profile: weekly, lastRun: at(9, 16), now: at(16, 17), expect: true },
+    { name: 'Weekly, Friday before the hour', profile: weekly, lastRun: at(9, 16), now: at(16, 15), expect: false },
+    { name: 'Weekly, Sunday after this Friday\'s run', profile: weekly, lastRun: at(16, 16), now: at(18, 9), expect: false },
+    { name: 'Weekly, Monday after a missed Friday', profile: weekly, lastRun: at(9, 16), now: at(19, 9), expect: true },
+    { name: 'Count profiles are checked every run', profile: count, lastRun: at(16, 10), now: at(16, 11), expect: true }
+  ];
+
+  cases.forEach(function(c) {
+    try {
+      const actual = isDigestDue_(c.profile, c.lastRun && c.lastRun.toISOString(), c.now);
+      Logger.log((actual === c.expect ? '✅' : '❌') + ' ' + c.name + ': ' + actual);
+    } catch (e) {
+      Logger.log('❌ ' + c.name + ' ERROR: ' + e.message);
+    }
+  });
+}
+
+/**
+ * Sample summarized emails: two share a subject, one thread has two messages
+ * @private
+ */
+function getTestSummaryEmails_() {
+  return [
+    { id: 'm1', threadId: 't1', from: 'News <news@example.com>', subject: 'Weekly update', date: '2026-10-12T08:00:00Z', body: 'Read more at https://example.com/post (archive).' },
+    { id: 'm2', threadId: 't2', from: 'Ann <ann@corp.example>', subject: 'Budget review', date: '2026-10-13T08:00:00Z', body: 'Numbers attached.' },
+    { id: 'm3', threadId: 't3', from: 'news@example.com', subject: 'Weekly update', date: '2026-10-14T08:00:00Z', body: 'See https://en.wikipedia.org/wiki/Mail_(protocol)' },
+    { id: 'm4', threadId: 't2', from: 'Bob <bob@corp.example>', subject: 'Re: Budget review', date: '2026-10-11T08:00:00Z', body: 'Looks good.' }
+  ];
+}
+
+/**
+ * Test 4: Grouping for partial summaries
+ *
+ * Tests: groupEmailsForSummary_() keeps a sender's or thread's emails together,
+ * oldest first, and splits a group only when it is larger than chunkSize
+ */
+function testGroupEmailsForSummary() {
+  Logger.log('========================================');
+  Logger.log('TEST 4: Grouping For Partial Summaries');
+  Logger.log('========================================\n');
+
+  const ids = function(groups) {
+    return JSON.stringify(groups.map(function(group) { return group.map(function(e) { return e.id; }); }));
+  };
+
+  try {
+    const emails = getTestSummaryEmails_();
+
+    const bySender = ids(groupEmailsForSummary_(emails, 'sender', 2));
+    Logger.log((bySender === '[["m4"],["m1","m3"],["m2"]]' ? '✅' : '❌') + ' Grouped by sender, oldest first: ' + bySender);
+
+    const byThread = ids(groupEmailsForSummary_(emails, 'thread', 2));
+    Logger.log((byThread === '[["m4","m2"],["m1","m3"]]' ? '✅' : '❌') + ' Grouped by thread: ' + byThread);
+
+    const small = ids(groupEmailsForSummary_(emails, 'sender', 1));
+    Logger.log((small === '[["m4"],["m1"],["m3"],["m2"]]' ? '✅' : '❌') + ' A sender larger than chunkSize spans groups: ' + small);
+
+    const one = ids(groupEmailsForSummary_(emails, 'sender', 10));
+    Logger.log((one === '[["m4","m1","m3","m2"]]' ? '✅' : '❌') + ' Everything fits in one group: ' + one);
+
+  } catch (e) {
+    Logger.log('❌ ERROR: ' + e.message);
+  }
+}
+
+/**
+ * Test 5: Source links in summaries
+ *
+ * Tests: resolveSummaryLinks_() turns reference tokens into permalinks, repairs
+ * Gmail links with a wrong or partial ID, and removes links it can't verify
+ */
+function testResolveSummaryLinks() {
+  Logger.log('========================================');
+  Logger.log('TEST 5: Summary Source Links');
+  Logger.log('========================================\n');
+
+  const emails = getTestSummaryEmails_();
+  const links = generateEmailPermalinks_(emails);
+  const webLinks = extractWebLinksFromEmails_(emails);
+  const urlOf = function(threadId) { return createGmailUrl_(threadId).url; };
+  const cases = [
+    { name: 'Reference token', md: '[Budget review](E2)', expect: '[Budget review](' + urlOf('t2') + ')', removed: 0 },
+    { name: 'Token with prefix and lowercase', md: '[Update](ref:e3)', expect: '[Update](' + urlOf('t3') + ')', removed: 0 },
+    { name: 'Unknown token, token in text', md: '[E1: Weekly update](E9)', expect: '[E1: Weekly update](' + urlOf('t1') + ')', removed: 0 },
+    { name: 'Unknown token, unique subject', md: '[Re: Budget review](E9)', expect: '[Re: Budget review](' + urlOf('t2') + ')', removed: 0 },
+    { name: 'Unknown token, duplicate subject', md: '[Weekly update](E9)', expect: 'Weekly update', removed: 1 },
+    { name: 'Gmail link with the message ID', md: '[Budget review](https://mail.google.com/mail/u/0/#inbox/m4)', expect: '[Budget review](' + urlOf('t2') + ')', repaired: 1 },
+    { name: 'Gmail link with an invented ID', md: '[Weekly update](https://mail.google.com/mail/u/0/#inbox/zzz)', expect: 'Weekly update', removed: 1 },
+    { name: 'Gmail link with an invented ID, unique subject', md: '[Budget review](https://mail.google.com/mail/u/0/#inbox/zzz)', expect: '[Budget review](' + urlOf('t2') + ')', repaired: 1 },
+    { name: 'Permalink already correct', md: '[Update](' + urlOf('t1') + ')', expect: '[Update](' + urlOf('t1') + ')', removed: 0 },
+    { name: 'Web link from an email', md: '[post](https://example.com/post)', expect: '[post](https://example.com/post)', removed: 0 },
+    { name: 'Web link with parentheses', md: '[RFC](https://en.wikipedia.org/wiki/Mail_(protocol))', expect: '[RFC](https://en.wikipedia.org/wiki/Mail_(protocol))', removed: 0 },
+    { name: 'Invented web link', md: '[details](https://example.com/made-up)', expect: 'details', removed: 1 }
+  ];
+
+  cases.forEach(function(c) {
+    try {
+      const actual = resolveSummaryLinks_(c.md, links, webLinks);
+      const counted = (c.removed === undefined || actual.removed === c.removed) &&
+        (c.repaired === undefined || actual.repaired === c.repaired);
+      Logger.log((actual.text === c.expect && counted ? '✅' : '❌') + ' ' + c.name + ': ' + actual.text +
+        ' (repaired ' + actual.repaired + ', removed ' + actual.removed + ')');
+    } catch (e) {
+      Logger.log('❌ ' + c.name + ' ERROR: ' + e.message);
+    }
+  });
+}
+
+/**
+ * Run All Email Summarizer Tests
+ */
+function runAllSummarizerTests() {
+  Logger.log('\n\n');
+  Logger.log('╔════════════════════════════════════════╗');
+  Logger.log('║  Email Summarizer Test Suite           ║');
+  Logger.log('╚════════════════════════════════════════╝');
+  Logger.log('\n');
+
+  testDigestProfiles();
+  Logger.log('\n\n');
+
+  testBuildDigestQuery();
+  Logger.log('\n\n');
+
+  testIsDigestDue();
+  Logger.log('\n\n');
+
+  testGroupEmailsForSummary();
+  Logger.log('\n\n');
+
+  testResolveSummaryLinks();
+  Logger.log('\n\n');
+
+  Logger.log('╔════════════════════════════════════════╗');
+  Logger.log('║  Test Suite Complete                   ║');
+  Logger.log('╚════════════════════════════════════════╝');
+  Logger.log('\nAll tests should show ✅.');
+}
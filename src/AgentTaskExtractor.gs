@@ -0,0 +1,478 @@
+/**
+ * Task Extractor Agent - Self-Contained Implementation
+ *
+ * This agent turns emails labeled "todo" into Google Tasks and tentative Calendar events:
+ * - Uses AI to extract structured items (title, due date, attendees, notes)
+ * - Creates a Google Task for each to-do, a tentative Calendar event for each proposed meeting
+ * - Links every item back to the source thread (createGmailUrl_)
+ * - Runs after labeling (respects dry-run mode)
+ *
+ * Idempotency:
+ * Every task and event carries a marker in its notes/description with the thread ID,
+ * a short hash of the item and the number of items extracted from the thread. Before
+ * extracting, the agent looks for existing markers and skips the thread when all of
+ * its items exist - even when the "todo" label is removed and applied again.
+ *
+ * Before creating anything, the planned items (keys, titles, dates and notes) are
+ * stored per thread in the TASK_EXTRACTOR_PLANS script property. When an earlier
+ * run failed part-way, the retry creates the items of that stored plan whose marker
+ * is missing, without extracting again, so a title the AI words differently the
+ * second time is never created twice. The plan is removed once every item exists.
+ *
+ * Requirements:
+ * - Google Tasks advanced service (userSymbol "Tasks", declared in appsscript.json)
+ * - Calendar access via CalendarApp
+ *
+ * Features:
+ * - Self-contained: manages own config without core Config.gs changes
+ * - Attendees are listed in the event description, never invited
+ * - Dry-run mode logs the tasks and events that would be created
+ */
+
+// ============================================================================
+// Configuration Management (Self-Contained)
+// ============================================================================
+
+/**
+ * Get Task Extractor agent configuration with sensible defaults
+ * Manages own PropertiesService keys without core Config.gs changes
+ */
+function getTaskExtractorConfig_() {
+  const props = PropertiesService.getScriptProperties();
+  return {
+    // Agent enablement (off by default: the agent writes to Tasks and Calendar)
+    TASK_EXTRACTOR_ENABLED: (props.getProperty('TASK_EXTRACTOR_ENABLED') || 'false').toLowerCase() === 'true',
+    TASK_EXTRACTOR_CREATE_TASKS: (props.getProperty('TASK_EXTRACTOR_CREATE_TASKS') || 'true').toLowerCase() === 'true',
+    TASK_EXTRACTOR_CREATE_EVENTS: (props.getProperty('TASK_EXTRACTOR_CREATE_EVENTS') || 'true').toLowerCase() === 'true',
+
+    // Destinations
+    TASK_EXTRACTOR_TASK_LIST_ID: props.getProperty('TASK_EXTRACTOR_TASK_LIST_ID') || '@default',
+    TASK_EXTRACTOR_CALENDAR_ID: props.getProperty('TASK_EXTRACTOR_CALENDAR_ID') || '',
+    TASK_EXTRACTOR_EVENT_PREFIX: props.getProperty('TASK_EXTRACTOR_EVENT_PREFIX') || 'Tentative: ',
+    TASK_EXTRACTOR_EVENT_MINUTES: parseInt(props.getProperty('TASK_EXTRACTOR_EVENT_MINUTES') || '30', 10),
+
+    // Knowledge configuration
+    TASK_EXTRACTOR_INSTRUCTIONS_URL: props.getProperty('TASK_EXTRACTOR_INSTRUCTIONS_URL'),
+
+    // Debugging and testing
+    TASK_EXTRACTOR_DEBUG: (props.getProperty('TASK_EXTRACTOR_DEBUG') || 'false').toLowerCase() === 'true',
+    TASK_EXTRACTOR_DRY_RUN: (props.getProperty('TASK_EXTRACTOR_DRY_RUN') || 'false').toLowerCase() === 'true'
+  };
+}
+
+// ============================================================================
+// Helper Functions
+// ============================================================================
+
+// Planned items of threads not fully created yet: { threadId: { at, items } }
+const TASK_EXTRACTOR_PLANS_KEY = 'TASK_EXTRACTOR_PLANS';
+const TASK_EXTRACTOR_PLANS_MAX = 20;
+const TASK_EXTRACTOR_PLANS_STORAGE_LIMIT = 8000;
+
+/**
+ * Idempotency marker stored in task notes and event descriptions
+ *
+ * @param {string} threadId - Gmail thread ID
+ * @param {string} itemKey - Key from getActionItemKey_()
+ * @param {number} total - Number of items extracted from the thread
+ * @return {string} Marker text
+ */
+function getTaskExtractorMarker_(threadId, itemKey, total) {
+  return '[email-agent thread:' + threadId + ' item:' + itemKey + ' of:' + total + ']';
+}
+
+/**
+ * Short, stable key for a planned item: a hash of its kind and title
+ *
+ * @param {Object} plan - Result of planActionItem_()
+ * @return {string} Eight URL-safe characters
+ */
+function getActionItemKey_(plan) {
+  const digest = Utilities.computeDigest(Utilities.DigestAlgorithm.MD5, plan.kind + '|' + plan.title.toLowerCase());
+  return Utilities.base64EncodeWebSafe(digest).substring(0, 8);
+}
+
+/**
+ * Planned items stored for a thread by an earlier run
+ *
+ * @param {string} threadId - Gmail thread ID
+ * @return {Array<Object>|null} Items { key, kind, title, due?, start?, end?, notes } or null
+ */
+function readTaskExtractorPlan_(threadId) {
+  const stored = readJsonProperty_(TASK_EXTRACTOR_PLANS_KEY, {})[threadId];
+  if (!stored || !Array.isArray(stored.items)) return null;
+  const toDate = function(value) { return value ? new Date(value) : null; };
+  return stored.items.map(function(item) {
+    return Object.assign({}, item, { due: toDate(item.due), start: toDate(item.start), end: toDate(item.end) });
+  });
+}
+
+/**
+ * Store (or, with null, remove) a thread's planned items
+ *
+ * Keeps the TASK_EXTRACTOR_PLANS_MAX newest plans and drops the oldest while the
+ * property is over its size limit; a thread whose plan was dropped is extracted again.
+ *
+ * @param {string} threadId - Gmail thread ID
+ * @param {Array<Object>|null} items - Planned items, or null once all of them exist
+ */
+function writeTaskExtractorPlan_(threadId, items) {
+  const plans = readJsonProperty_(TASK_EXTRACTOR_PLANS_KEY, {});
+  if (!items && !plans[threadId]) return;
+  if (items) plans[threadId] = { at: Date.now(), items: items };
+  else delete plans[threadId];
+
+  const keys = Object.keys(plans)
+    .sort(function(a, b) { return plans[b].at - plans[a].at; })
+    .slice(0, TASK_EXTRACTOR_PLANS_MAX);
+  const bounded = {};
+  keys.forEach(function(key) { bounded[key] = plans[key]; });
+  while (keys.length > 1 && JSON.stringify(bounded).length > TASK_EXTRACTOR_PLANS_STORAGE_LIMIT) {
+    delete bounded[keys.pop()];
+  }
+  writeJsonProperty_(TASK_EXTRACTOR_PLANS_KEY, keys.length ? bounded : null);
+}
+
+/**
+ * Read the task extractor markers for a thread out of notes or description text
+ *
+ * Markers written before items had keys ("[email-agent thread:<id>]") count as a
+ * complete extraction.
+ *
+ * @param {string} text - Task notes or event description
+ * @param {string} threadId - Gmail thread ID
+ * @param {Object} found - Accumulator from findExtractedItems_(), updated in place
+ * @return {boolean} True when the text carries a marker for the thread
+ */
+function readTaskExtractorMarkers_(text, threadId, found) {
+  const pattern = /\[email-agent thread:(\S+?)(?: item:(\S+) of:(\d+))?\]/g;
+  let match;
+  let matched = false;
+  while ((match = pattern.exec(String(text || ''))) !== null) {
+    if (match[1] !== threadId) continue;
+    matched = true;
+    if (!match[2]) {
+      found.legacy = true;
+      continue;
+    }
+    found.keys[match[2]] = true;
+    found.total = Math.max(found.total, parseInt(match[3], 10));
+  }
+  return matched;
+}
+
+/**
+ * Parse "YYYY-MM-DD" or "YYYY-MM-DDTHH:MM" as a local (script time zone) date
+ *
+ * @param {string} value - Date text from the AI
+ * @return {Date|null} Date, or null when empty or malformed
+ */
+function parseActionItemDate_(value) {
+  const match = String(value || '').trim().match(/^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2}))?/);
+  if (!match) return null;
+  const date = new Date(parseInt(match[1], 10), parseInt(match[2], 10) - 1, parseInt(match[3], 10),
+    match[4] ? parseInt(match[4], 10) : 0, match[5] ? parseInt(match[5], 10) : 0);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Find tasks and events already created for a thread
+ *
+ * Tasks are searched from the thread's first message onwards; events from the
+ * day before the thread started until a year later.
+ *
+ * @param {string} threadId - Gmail thread ID
+ * @param {Date} since - Date of the thread's first message
+ * @param {Object} config - Configuration from getTaskExtractorConfig_()
+ * @return {Object} { tasks, events, keys, total, legacy, complete } - counts of existing
+ *   items, their item keys, the item count recorded in their markers, whether an
+ *   old-style marker was found and whether every item of the thread exists
+ */
+function findExtractedItems_(threadId, since, config) {
+  const found = { tasks: 0, events: 0, keys: {}, total: 0, legacy: false, complete: false };
+
+  if (config.TASK_EXTRACTOR_CREATE_TASKS && typeof Tasks !== 'undefined') {
+    let pageToken = null;
+    let pages = 0;
+    do {
+      const page = Tasks.Tasks.list(config.TASK_EXTRACTOR_TASK_LIST_ID, {
+        showCompleted: true,
+        showHidden: true,
+        maxResults: 100,
+        updatedMin: since.toISOString(),
+        pageToken: pageToken
+      });
+      (page.items || []).forEach(function(task) {
+        if (readTaskExtractorMarkers_(task.notes, threadId, found)) found.tasks++;
+      });
+      pageToken = page.nextPageToken;
+      pages++;
+    } while (pageToken && pages < 5);
+  }
+
+  if (config.TASK_EXTRACTOR_CREATE_EVENTS) {
+    const calendar = getTaskExtractorCalendar_(config);
+    const start = new Date(since.getTime() - 24 * 60 * 60 * 1000);
+    const end = new Date(since.getTime() + 366 * 24 * 60 * 60 * 1000);
+    calendar.getEvents(start, end, { search: threadId }).forEach(function(event) {
+      if (readTaskExtractorMarkers_(event.getDescription(), threadId, found)) found.events++;
+    });
+  }
+
+  found.complete = found.legacy || (found.total > 0 && Object.keys(found.keys).length >= found.total);
+  return found;
+}
+
+/**
+ * Calendar that receives tentative events (TASK_EXTRACTOR_CALENDAR_ID or the default calendar)
+ */
+function getTaskExtractorCalendar_(config) {
+  if (!config.TASK_EXTRACTOR_CALENDAR_ID) return CalendarApp.getDefaultCalendar();
+  const calendar = CalendarApp.getCalendarById(config.TASK_EXTRACTOR_CALENDAR_ID);
+  if (!calendar) throw new Error('Calendar not found: ' + config.TASK_EXTRACTOR_CALENDAR_ID);
+  return calendar;
+}
+
+/**
+ * Notes/description text: item notes, source link, attendees and the idempotency marker
+ */
+function buildActionItemNotes_(item, threadId, marker) {
+  const lines = [];
+  if (item.notes) lines.push(item.notes, '');
+  const link = createGmailUrl_(threadId);
+  if (link.success) lines.push('Source email: ' + link.url);
+  if (item.attendees && item.attendees.length) lines.push('Attendees: ' + item.attendees.join(', '));
+  lines.push(marker);
+  return lines.join('\n');
+}
+
+/**
+ * Turn an AI item into a create action, or explain why it is dropped
+ *
+ * @param {Object} item - Item from extractActionItems_()
+ * @param {Object} config - Configuration from getTaskExtractorConfig_()
+ * @return {Object} { kind: 'task'|'event', title, due?, start?, end? } or { kind: null, reason }
+ */
+function planActionItem_(item, config) {
+  const title = String(item && item.title || '').trim().substring(0, 200);
+  if (!title) return { kind: null, reason: 'missing title' };
+
+  if (item.type === 'event') {
+    const start = parseActionItemDate_(item.start);
+    if (!start || !/T|\s/.test(String(item.start).trim())) {
+      return { kind: null, reason: 'event "' + title + '" has no start time' };
+    }
+    if (!config.TASK_EXTRACTOR_CREATE_EVENTS) return { kind: null, reason: 'events disabled' };
+    let end = parseActionItemDate_(item.end);
+    if (!end || end <= start) end = new Date(start.getTime() + config.TASK_EXTRACTOR_EVENT_MINUTES * 60 * 1000);
+    return { kind: 'event', title: config.TASK_EXTRACTOR_EVENT_PREFIX + title, start: start, end: end };
+  }
+
+  if (!config.TASK_EXTRACTOR_CREATE_TASKS) return { kind: null, reason: 'tasks disabled' };
+  return { kind: 'task', title: title, due: parseActionItemDate_(item.due) };
+}
+
+/**
+ * Create a Google Task or a tentative Calendar event for a planned item
+ *
+ * @param {Object} plan - Result of planActionItem_()
+ * @param {string} notes - Text from buildActionItemNotes_()
+ * @param {Object} config - Configuration from getTaskExtractorConfig_()
+ * @return {Object} Result object with success status and id
+ */
+function createActionItem_(plan, notes, config) {
+  try {
+    if (plan.kind === 'task') {
+      if (typeof Tasks === 'undefined') {
+        return { success: false, error: 'Google Tasks advanced service is not enabled' };
+      }
+      const resource = { title: plan.title, notes: notes };
+      // Tasks only store the date part of "due"
+      if (plan.due) resource.due = formatHistoryDate_(plan.due) + 'T00:00:00.000Z';
+      const task = Tasks.Tasks.insert(resource, config.TASK_EXTRACTOR_TASK_LIST_ID);
+      return { success: true, id: task.id };
+    }
+
+    const event = getTaskExtractorCalendar_(config).createEvent(plan.title, plan.start, plan.end, { description: notes });
+    try {
+      event.setColor(CalendarApp.EventColor.GRAY);
+    } catch (colorError) {
+      // Color is cosmetic - the title prefix already marks the event as tentative
+    }
+    return { success: true, id: event.getId() };
+
+  } catch (error) {
+    Logger.log('Error creating ' + plan.kind + ': ' + error.toString());
+    return {
+      success: false,
+      error: 'Failed to create ' + plan.kind + ': ' + error.toString()
+    };
+  }
+}
+
+// ============================================================================
+// Main Agent Logic
+// ============================================================================
+
+/**
+ * Task Extractor agent handler function
+ * ctx provides: label, decision, threadId, thread (GmailThread), cfg, dryRun, log(msg)
+ * Returns { status: 'ok'|'skip'|'retry'|'error', info?: string, outputs?: { tasks, events } }
+ */
+function processTodo_(ctx) {
+  try {
+    const config = getTaskExtractorConfig_();
+
+    if (!config.TASK_EXTRACTOR_ENABLED) {
+      return { status: 'skip', info: 'task extractor agent disabled' };
+    }
+    if (!config.TASK_EXTRACTOR_CREATE_TASKS && !config.TASK_EXTRACTOR_CREATE_EVENTS) {
+      return { status: 'skip', info: 'tasks and events both disabled' };
+    }
+
+    const dryRun = ctx.dryRun || config.TASK_EXTRACTOR_DRY_RUN;
+    ctx.log('Task Extractor agent running for thread ' + ctx.threadId);
+
+    // Check for items created by an earlier run (idempotent)
+    const since = ctx.thread.getMessages()[0].getDate();
+    let existing;
+    try {
+      existing = findExtractedItems_(ctx.threadId, since, config);
+    } catch (lookupError) {
+      ctx.log('Lookup of existing items failed: ' + lookupError.toString());
+      return { status: 'retry', info: 'existing item lookup failed: ' + lookupError.toString() };
+    }
+    if (existing.complete) {
+      if (!dryRun) writeTaskExtractorPlan_(ctx.threadId, null);
+      ctx.log('Items already extracted for this thread, skipping');
+      return { status: 'skip', info: 'already extracted (' + existing.tasks + ' tasks, ' + existing.events + ' events)' };
+    }
+
+    // A retry creates the missing items of the first run's plan, without extracting again
+    let planned = readTaskExtractorPlan_(ctx.threadId);
+    if (planned) {
+      ctx.log('Resuming stored plan with ' + planned.length + ' item(s)');
+    } else {
+      // Wait for the next budget day instead of failing the extraction
+      const budgetRetry = getAgentBudgetRetry_('task_extractor', getConfig_());
+      if (budgetRetry) {
+        ctx.log('AI budget exhausted (' + budgetRetry.info + '), deferring');
+        return budgetRetry;
+      }
+
+      // Extract items via LLMService
+      let extraction;
+      try {
+        const cfg = getConfig_();
+        const knowledge = fetchDocument_(config.TASK_EXTRACTOR_INSTRUCTIONS_URL, { propertyName: 'TASK_EXTRACTOR_INSTRUCTIONS_URL' });
+        const prompt = buildActionItemPrompt_(
+          getEmailThread_(ctx.threadId),
+          { today: formatHistoryDate_(new Date()), timeZone: Session.getScriptTimeZone() },
+          knowledge,
+          fetchGlobalKnowledge_()
+        );
+        extraction = extractActionItems_(prompt, {
+          model: cfg.MODEL_PRIMARY,
+          responseSchema: cfg.STRUCTURED_OUTPUT ? buildActionItemResponseSchema_() : null
+        });
+      } catch (extractError) {
+        extraction = { success: false, error: extractError.toString() };
+      }
+      if (!extraction.success) {
+        ctx.log('Extraction failed: ' + extraction.error);
+        return { status: 'retry', info: 'extraction failed: ' + extraction.error };
+      }
+
+      planned = [];
+      const items = {};
+      extraction.items.forEach(function(item) {
+        const plan = planActionItem_(item, config);
+        if (!plan.kind) {
+          if (config.TASK_EXTRACTOR_DEBUG) ctx.log('Skipping item: ' + plan.reason);
+          return;
+        }
+        plan.key = getActionItemKey_(plan);
+        if (items[plan.key]) return;  // Same kind and title twice in one extraction
+        items[plan.key] = item;
+        planned.push(plan);
+      });
+
+      // Items from an earlier run without a stored plan keep the total they recorded
+      const total = existing.total || planned.length;
+      planned.forEach(function(plan) {
+        plan.notes = buildActionItemNotes_(items[plan.key], ctx.threadId, getTaskExtractorMarker_(ctx.threadId, plan.key, total));
+      });
+      if (!dryRun && planned.length) writeTaskExtractorPlan_(ctx.threadId, planned);
+    }
+
+    const created = { tasks: [], events: [] };
+    const failures = [];
+    let alreadyCreated = 0;
+    planned.forEach(function(plan) {
+      if (existing.keys[plan.key]) {
+        // Created by an earlier, partly failed run
+        alreadyCreated++;
+        return;
+      }
+
+      if (dryRun) {
+        ctx.log('DRY RUN - Would create ' + plan.kind + ' "' + plan.title + '"' +
+          (plan.kind === 'event' ? ' at ' + plan.start.toISOString() : plan.due ? ' due ' + formatHistoryDate_(plan.due) : ''));
+        created[plan.kind + 's'].push(null);
+        return;
+      }
+
+      const result = createActionItem_(plan, plan.notes, config);
+      if (result.success) {
+        created[plan.kind + 's'].push(result.id);
+      } else {
+        failures.push(result.error);
+      }
+    });
+
+    const summary = created.tasks.length + ' task(s), ' + created.events.length + ' event(s)' +
+      (alreadyCreated ? ' (' + alreadyCreated + ' already existed)' : '');
+    // The stored plan stays until every item exists, so a retry only creates the missing ones
+    if (failures.length) {
+      return { status: 'retry', info: 'created ' + summary + '; ' + failures.join('; ') };
+    }
+    if (!dryRun) writeTaskExtractorPlan_(ctx.threadId, null);
+
+    ctx.log((dryRun ? 'DRY RUN - ' : '') + 'Extracted ' + summary);
+    return {
+      status: 'ok',
+      info: (dryRun ? 'dry-run mode - would create ' : 'created ') + summary,
+      outputs: dryRun ? undefined : created
+    };
+
+  } catch (error) {
+    ctx.log('Task Extractor agent error: ' + error.toString());
+    return { status: 'error', info: error.toString() };
+  }
+}
+
+// ============================================================================
+// Agent Registration
+// ============================================================================
+
+if (typeof AGENT_MODULES === 'undefined') {
+  AGENT_MODULES = [];
+}
+
+AGENT_MODULES.push(function(api) {
+  /**
+   * Register Task Extractor agent for "todo" label
+   */
+  api.register(
+    'todo',                   // Label to trigger on
+    'TaskExtractor',          // Agent name
+    {
+      onLabel: processTodo_   // Extract tasks and events when an email is labeled todo
+    },
+    {
+      runWhen: 'afterLabel',  // Run after labeling (respects dry-run)
+      timeoutMs: 30000,       // Soft timeout guidance
+      enabled: true           // Registered by default (TASK_EXTRACTOR_ENABLED turns it on)
+    }
+  );
+});
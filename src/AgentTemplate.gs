@@ -76,7 +76,7 @@ function ensureTemplateAgentLabels_() {
 /**
  * Template agent onLabel handler (immediate action on newly-classified emails)
  * ctx provides: label, decision, threadId, thread (GmailThread), cfg, dryRun, log(msg)
- * Returns { status: 'ok'|'skip'|'retry'|'error', info?: string }
+ * Returns { status: 'ok'|'skip'|'retry'|'error', info?: string, addLabels?: string[], outputs?: any }
  *
  * This hook fires immediately as each email is labeled during classification.
  * Use for actions that should happen right away (forward, draft, notify).
@@ -422,6 +422,7 @@ AGENT_MODULES.push(function(api) {
       postLabel: templateAgentPostLabel_  // Inbox-wide scan
     },
     {
+      // after: 'OtherAgent', // Run after another agent ('before' runs this one first)
       runWhen: 'afterLabel',  // Run after labeling (respects dry-run)
       timeoutMs: 30000,       // Soft timeout guidance
       enabled: false          // Disabled by default (enable for testing)
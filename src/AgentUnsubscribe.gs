@@ -0,0 +1,380 @@
+/**
+ * Unsubscribe Agent - Self-Contained Implementation
+ *
+ * This agent tracks bulk senders whose mail ends up in summaries and helps get rid of them:
+ * - Keeps a per-sender tally of summarized emails and how many were still unread
+ *   when the Email Summarizer archived them (recordSummarizedSenders_)
+ * - Parses List-Unsubscribe / List-Unsubscribe-Post headers (RFC 2369, RFC 8058)
+ * - Proposes unsubscribing from senders that are mostly archived unread
+ * - With UNSUBSCRIBE_AUTO=true, performs RFC 8058 one-click unsubscribes (postLabel hook)
+ * - Reports top bulk senders by volume (showBulkSenderReport)
+ *
+ * Only one-click unsubscribes are performed automatically: they are a single POST
+ * with no confirmation page. Senders offering only a web page or mailto address are
+ * listed in the report with their unsubscribe link for the user to follow.
+ *
+ * Storage: BULK_SENDERS script property
+ *   { "<address>": { count, unread, lastAt, method, status, unsubscribedAt?, attempts?, lastError? } }
+ *   status: 'tracked' | 'proposed' | 'unsubscribed' | 'failed'
+ *   Failed senders are tried again on later runs until UNSUBSCRIBE_MAX_ATTEMPTS is reached.
+ */
+
+const BULK_SENDERS_KEY = 'BULK_SENDERS';
+const BULK_SENDERS_LIMIT = 8000;
+
+// ============================================================================
+// Configuration Management (Self-Contained)
+// ============================================================================
+
+/**
+ * Get Unsubscribe agent configuration with sensible defaults
+ * Manages own PropertiesService keys without core Config.gs changes
+ */
+function getUnsubscribeConfig_() {
+  const props = PropertiesService.getScriptProperties();
+  return {
+    // Agent enablement (tracking and proposals)
+    UNSUBSCRIBE_ENABLED: (props.getProperty('UNSUBSCRIBE_ENABLED') || 'true').toLowerCase() === 'true',
+
+    // Opt-in: perform one-click unsubscribes for proposed senders
+    UNSUBSCRIBE_AUTO: (props.getProperty('UNSUBSCRIBE_AUTO') || 'false').toLowerCase() === 'true',
+    UNSUBSCRIBE_MAX_PER_RUN: parseInt(props.getProperty('UNSUBSCRIBE_MAX_PER_RUN') || '3', 10),
+    UNSUBSCRIBE_MAX_ATTEMPTS: parseInt(props.getProperty('UNSUBSCRIBE_MAX_ATTEMPTS') || '3', 10),
+
+    // Proposal thresholds
+    UNSUBSCRIBE_MIN_MESSAGES: parseInt(props.getProperty('UNSUBSCRIBE_MIN_MESSAGES') || '5', 10),
+    UNSUBSCRIBE_UNREAD_RATIO: parseFloat(props.getProperty('UNSUBSCRIBE_UNREAD_RATIO') || '0.8'),
+
+    // Debugging and testing
+    UNSUBSCRIBE_DEBUG: (props.getProperty('UNSUBSCRIBE_DEBUG') || 'false').toLowerCase() === 'true',
+    UNSUBSCRIBE_DRY_RUN: (props.getProperty('UNSUBSCRIBE_DRY_RUN') || 'false').toLowerCase() === 'true'
+  };
+}
+
+// ============================================================================
+// Helper Functions
+// ============================================================================
+
+/**
+ * Parse the unsubscribe options of a message
+ *
+ * @param {GmailMessage} message - Gmail message
+ * @return {Object} { http: string|null, mailto: string|null, oneClick: boolean, method: 'one-click'|'http'|'mailto'|null }
+ */
+function parseListUnsubscribe_(message) {
+  const header = String(message.getHeader('List-Unsubscribe') || '');
+  const post = String(message.getHeader('List-Unsubscribe-Post') || '');
+  const options = { http: null, mailto: null, oneClick: false, method: null };
+
+  (header.match(/<[^>]+>/g) || []).forEach(function(entry) {
+    const uri = entry.slice(1, -1).trim();
+    if (!options.http && /^https:\/\//i.test(uri)) options.http = uri;
+    if (!options.mailto && /^mailto:/i.test(uri)) options.mailto = uri;
+  });
+
+  // RFC 8058: one-click needs an HTTPS URI plus "List-Unsubscribe=One-Click"
+  options.oneClick = !!options.http && /List-Unsubscribe=One-Click/i.test(post);
+  options.method = options.oneClick ? 'one-click' : options.http ? 'http' : options.mailto ? 'mailto' : null;
+  return options;
+}
+
+/**
+ * Check whether a tracked sender meets the proposal thresholds
+ */
+function shouldProposeUnsubscribe_(entry, config) {
+  return entry.status === 'tracked' &&
+    !!entry.method &&
+    entry.count >= config.UNSUBSCRIBE_MIN_MESSAGES &&
+    entry.unread / entry.count >= config.UNSUBSCRIBE_UNREAD_RATIO;
+}
+
+/**
+ * Store the sender tally, dropping the smallest tracked senders if it outgrows the property limit
+ */
+function writeBulkSenders_(senders) {
+  const droppable = Object.keys(senders)
+    .sort(function(a, b) {
+      const aTracked = senders[a].status === 'tracked' ? 0 : 1;
+      const bTracked = senders[b].status === 'tracked' ? 0 : 1;
+      return aTracked - bTracked || senders[a].count - senders[b].count;
+    });
+  while (droppable.length && JSON.stringify(senders).length > BULK_SENDERS_LIMIT) {
+    delete senders[droppable.shift()];
+  }
+  writeJsonProperty_(BULK_SENDERS_KEY, Object.keys(senders).length ? senders : null);
+}
+
+/**
+ * Latest summarized message from a sender, used to read current unsubscribe headers
+ */
+function findLatestBulkMessage_(sender) {
+  const summarized = ensureSummarizedLabel_().getName();
+  const threads = GmailApp.search('from:"' + sender + '" ' + toLabelSearchTerm_(summarized), 0, 1);
+  if (!threads.length) return null;
+  const messages = threads[0].getMessages().filter(function(m) {
+    return extractEmailAddress_(m.getFrom()) === sender;
+  });
+  return messages.length ? messages[messages.length - 1] : null;
+}
+
+// ============================================================================
+// Tally (called by the Email Summarizer)
+// ============================================================================
+
+/**
+ * Count summarized emails per sender and how many were never opened
+ * Called by processEmailsAfterSummary_() once the emails are relabeled and archived.
+ *
+ * @param {Array<Object>} emails - Emails from findEmailsByLabelWithAge_() ({ id, from })
+ * @return {Object} Result object with success status and number of senders updated
+ */
+function recordSummarizedSenders_(emails) {
+  try {
+    const config = getUnsubscribeConfig_();
+    if (!config.UNSUBSCRIBE_ENABLED || !emails || !emails.length) {
+      return { success: true, updated: 0 };
+    }
+
+    const senders = readJsonProperty_(BULK_SENDERS_KEY, {});
+    const today = formatHistoryDate_(new Date());
+    const updated = {};
+
+    emails.forEach(function(email) {
+      const sender = extractEmailAddress_(email.from);
+      if (!sender) return;
+      const message = GmailApp.getMessageById(email.id);
+      if (!message) return;
+
+      const entry = senders[sender] || { count: 0, unread: 0, method: null, status: 'tracked' };
+      entry.count++;
+      if (message.isUnread()) entry.unread++;
+      entry.lastAt = today;
+      const options = parseListUnsubscribe_(message);
+      if (options.method) entry.method = options.method;
+      if (shouldProposeUnsubscribe_(entry, config)) {
+        entry.status = 'proposed';
+        Logger.log(`Unsubscribe: Proposing to unsubscribe from ${sender} (${entry.unread}/${entry.count} summarized unread, ${entry.method})`);
+      }
+      senders[sender] = entry;
+      updated[sender] = true;
+    });
+
+    writeBulkSenders_(senders);
+    if (config.UNSUBSCRIBE_DEBUG) {
+      Logger.log(`Unsubscribe: Tallied ${emails.length} emails from ${Object.keys(updated).length} senders`);
+    }
+    return { success: true, updated: Object.keys(updated).length };
+
+  } catch (error) {
+    Logger.log('Unsubscribe recordSummarizedSenders_ error: ' + error.toString());
+    return {
+      success: false,
+      error: 'Failed to record bulk senders: ' + error.toString()
+    };
+  }
+}
+
+// ============================================================================
+// Unsubscribe Actions
+// ============================================================================
+
+/**
+ * Perform a one-click unsubscribe for a sender (RFC 8058)
+ *
+ * @param {string} sender - Sender address from the tally
+ * @param {Object} config - Configuration from getUnsubscribeConfig_()
+ * @return {Object} Result object with success status
+ */
+function unsubscribeBulkSender_(sender, config) {
+  try {
+    const message = findLatestBulkMessage_(sender);
+    const options = message ? parseListUnsubscribe_(message) : null;
+    if (!options || !options.oneClick) {
+      return { success: false, error: 'No one-click unsubscribe available for ' + sender };
+    }
+
+    if (config.UNSUBSCRIBE_DRY_RUN) {
+      Logger.log(`Unsubscribe: DRY RUN - Would POST one-click unsubscribe for ${sender}`);
+      return { success: true, dryRun: true };
+    }
+
+    const response = UrlFetchApp.fetch(options.http, {
+      method: 'post',
+      contentType: 'application/x-www-form-urlencoded',
+      payload: 'List-Unsubscribe=One-Click',
+      muteHttpExceptions: true,
+      followRedirects: true
+    });
+    const code = response.getResponseCode();
+    if (code < 200 || code >= 300) {
+      return { success: false, error: 'Unsubscribe request for ' + sender + ' returned HTTP ' + code };
+    }
+    return { success: true };
+
+  } catch (error) {
+    Logger.log('Error unsubscribing from ' + sender + ': ' + error.toString());
+    return {
+      success: false,
+      error: 'Failed to unsubscribe from ' + sender + ': ' + error.toString()
+    };
+  }
+}
+
+/**
+ * Unsubscribe from proposed senders that support one-click unsubscribe
+ * Senders that failed before are included until they reach UNSUBSCRIBE_MAX_ATTEMPTS.
+ *
+ * @param {Object} config - Configuration from getUnsubscribeConfig_()
+ * @param {number} maxSenders - Maximum senders to unsubscribe from
+ * @return {{unsubscribed: number, failed: number}} Outcome counts
+ */
+function unsubscribeProposedSenders_(config, maxSenders) {
+  const senders = readJsonProperty_(BULK_SENDERS_KEY, {});
+  const proposed = Object.keys(senders)
+    .filter(function(s) {
+      const entry = senders[s];
+      const due = entry.status === 'proposed' ||
+        (entry.status === 'failed' && (entry.attempts || 1) < config.UNSUBSCRIBE_MAX_ATTEMPTS);
+      return due && entry.method === 'one-click';
+    })
+    .sort(function(a, b) { return senders[b].count - senders[a].count; })
+    .slice(0, maxSenders);
+  const stats = { unsubscribed: 0, failed: 0 };
+
+  proposed.forEach(function(sender) {
+    const result = unsubscribeBulkSender_(sender, config);
+    if (result.dryRun) return;
+    if (result.success) {
+      senders[sender].status = 'unsubscribed';
+      senders[sender].unsubscribedAt = formatHistoryDate_(new Date());
+      delete senders[sender].lastError;
+      stats.unsubscribed++;
+      Logger.log('Unsubscribe: Unsubscribed from ' + sender);
+    } else {
+      senders[sender].status = 'failed';
+      senders[sender].attempts = (senders[sender].attempts || 0) + 1;
+      senders[sender].lastError = result.error;
+      stats.failed++;
+      Logger.log('Unsubscribe: ' + result.error);
+    }
+  });
+
+  if (stats.unsubscribed || stats.failed) writeBulkSenders_(senders);
+  return stats;
+}
+
+/**
+ * Top bulk senders by summarized volume
+ *
+ * @param {number} limit - Maximum senders to return (default 20)
+ * @return {Object} { success, senders: [{ sender, count, unread, unreadRatio, method, status, lastAt, unsubscribedAt? }], error? }
+ */
+function getBulkSenderReport_(limit) {
+  try {
+    const senders = readJsonProperty_(BULK_SENDERS_KEY, {});
+    const rows = Object.keys(senders).map(function(sender) {
+      const entry = senders[sender];
+      return Object.assign({ sender: sender, unreadRatio: entry.count ? Math.round(entry.unread / entry.count * 100) / 100 : 0 }, entry);
+    }).sort(function(a, b) { return b.count - a.count; });
+    return { success: true, senders: rows.slice(0, limit || 20) };
+
+  } catch (error) {
+    Logger.log('Unsubscribe getBulkSenderReport_ error: ' + error.toString());
+    return {
+      success: false,
+      error: 'Failed to build bulk sender report: ' + error.toString()
+    };
+  }
+}
+
+/**
+ * Log the top bulk senders, with unsubscribe links for proposed senders that need
+ * a manual step and for senders whose one-click unsubscribe failed
+ * Run from the Apps Script editor.
+ */
+function showBulkSenderReport() {
+  const report = getBulkSenderReport_(20);
+  if (!report.success) {
+    console.log(report.error);
+    return report;
+  }
+
+  console.log('Top bulk senders by summarized volume:');
+  report.senders.forEach(function(row) {
+    let line = `${row.sender}: ${row.count} summarized, ${row.unread} unread (${Math.round(row.unreadRatio * 100)}%), ${row.method || 'no unsubscribe header'}, ${row.status}`;
+    if (row.status === 'failed') {
+      line += ` after ${row.attempts || 1} attempt(s) (${row.lastError || 'unknown error'})`;
+    }
+    if ((row.status === 'proposed' && row.method !== 'one-click') || row.status === 'failed') {
+      const message = findLatestBulkMessage_(row.sender);
+      const options = message ? parseListUnsubscribe_(message) : null;
+      if (options) line += ' -> ' + (options.http || options.mailto);
+    }
+    console.log(line);
+  });
+  return report;
+}
+
+/**
+ * Unsubscribe from every proposed sender that supports one-click unsubscribe
+ * Run from the Apps Script editor to act on proposals without enabling UNSUBSCRIBE_AUTO.
+ */
+function unsubscribeProposedBulkSenders() {
+  const config = getUnsubscribeConfig_();
+  const stats = unsubscribeProposedSenders_(config, Number.MAX_SAFE_INTEGER);
+  console.log(`Unsubscribed from ${stats.unsubscribed} sender(s), ${stats.failed} failed`);
+  return stats;
+}
+
+// ============================================================================
+// postLabel Handler - Opt-In Automatic Unsubscribe
+// ============================================================================
+
+/**
+ * Unsubscribe from proposed senders after labeling (postLabel hook)
+ * Only runs with UNSUBSCRIBE_AUTO=true; at most UNSUBSCRIBE_MAX_PER_RUN senders per run.
+ */
+function unsubscribePostLabel_() {
+  try {
+    const config = getUnsubscribeConfig_();
+    if (!config.UNSUBSCRIBE_ENABLED || !config.UNSUBSCRIBE_AUTO) {
+      return;
+    }
+
+    const stats = unsubscribeProposedSenders_(config, config.UNSUBSCRIBE_MAX_PER_RUN);
+    if (stats.unsubscribed || stats.failed || config.UNSUBSCRIBE_DEBUG) {
+      Logger.log(`Unsubscribe postLabel completed: unsubscribed ${stats.unsubscribed}, failed ${stats.failed}`);
+    }
+
+  } catch (error) {
+    Logger.log('Unsubscribe postLabel error: ' + error.toString());
+  }
+}
+
+// ============================================================================
+// Agent Registration
+// ============================================================================
+
+if (typeof AGENT_MODULES === 'undefined') {
+  AGENT_MODULES = [];
+}
+
+AGENT_MODULES.push(function(api) {
+  /**
+   * Register Unsubscribe agent for "summarize" label
+   * The tally is fed by the Email Summarizer; the hook only acts on proposals
+   */
+  api.register(
+    'summarize',              // Label whose senders are tracked
+    'Unsubscribe',            // Agent name
+    {
+      onLabel: null,                        // Tally happens when emails are summarized
+      postLabel: unsubscribePostLabel_      // Opt-in automatic unsubscribe
+    },
+    {
+      runWhen: 'afterLabel',  // Run after labeling
+      timeoutMs: 30000,       // Soft timeout guidance
+      enabled: true           // Enabled by default (UNSUBSCRIBE_AUTO gates unsubscribing)
+    }
+  );
+});
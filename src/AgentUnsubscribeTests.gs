@@ -0,0 +1,125 @@
+/**
+ * Unsubscribe Agent Manual Tests
+ *
+ * Pure-logic tests for List-Unsubscribe parsing and the proposal thresholds:
+ * messages are stubbed, so no Gmail access is needed and BULK_SENDERS is not
+ * touched. Run these functions individually in the Apps Script editor; each
+ * test logs results to the execution log (View > Logs).
+ */
+
+/**
+ * Minimal stand-in for a GmailMessage with the given headers
+ * @private
+ */
+function createTestUnsubscribeMessage_(headers) {
+  return {
+    getHeader: function(name) { return headers[name] || ''; }
+  };
+}
+
+/**
+ * Test 1: List-Unsubscribe parsing
+ *
+ * Tests: parseListUnsubscribe_() picks the HTTPS and mailto URIs and only reports
+ * one-click when RFC 8058's List-Unsubscribe-Post header is present
+ */
+function testParseListUnsubscribe() {
+  Logger.log('========================================');
+  Logger.log('TEST 1: List-Unsubscribe Parsing');
+  Logger.log('========================================\n');
+
+  const cases = [
+    {
+      name: 'One-click',
+      headers: {
+        'List-Unsubscribe': '<mailto:unsub@news.example>, <https://news.example/u?id=1>',
+        'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+      },
+      expect: { http: 'https://news.example/u?id=1', mailto: 'mailto:unsub@news.example', oneClick: true, method: 'one-click' }
+    },
+    {
+      name: 'HTTPS without List-Unsubscribe-Post',
+      headers: { 'List-Unsubscribe': '<https://shop.example/unsubscribe>' },
+      expect: { http: 'https://shop.example/unsubscribe', mailto: null, oneClick: false, method: 'http' }
+    },
+    {
+      name: 'Plain HTTP link is ignored',
+      headers: { 'List-Unsubscribe': '<http://old.example/u>, <mailto:leave@old.example?subject=unsubscribe>' },
+      expect: { http: null, mailto: 'mailto:leave@old.example?subject=unsubscribe', oneClick: false, method: 'mailto' }
+    },
+    {
+      name: 'One-click header without an HTTPS link',
+      headers: { 'List-Unsubscribe': '<mailto:unsub@list.example>', 'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click' },
+      expect: { http: null, mailto: 'mailto:unsub@list.example', oneClick: false, method: 'mailto' }
+    },
+    {
+      name: 'No header',
+      headers: {},
+      expect: { http: null, mailto: null, oneClick: false, method: null }
+    }
+  ];
+
+  cases.forEach(function(c) {
+    try {
+      const actual = parseListUnsubscribe_(createTestUnsubscribeMessage_(c.headers));
+      Logger.log((JSON.stringify(actual) === JSON.stringify(c.expect) ? '✅' : '❌') +
+        ' ' + c.name + ': ' + JSON.stringify(actual));
+    } catch (e) {
+      Logger.log('❌ ' + c.name + ' ERROR: ' + e.message);
+    }
+  });
+}
+
+/**
+ * Test 2: Proposal thresholds
+ *
+ * Tests: shouldProposeUnsubscribe_() needs a tracked sender with an unsubscribe
+ * method, enough summarized emails and a high enough unread share
+ */
+function testShouldProposeUnsubscribe() {
+  Logger.log('========================================');
+  Logger.log('TEST 2: Proposal Thresholds');
+  Logger.log('========================================\n');
+
+  const config = { UNSUBSCRIBE_MIN_MESSAGES: 5, UNSUBSCRIBE_UNREAD_RATIO: 0.8 };
+  const cases = [
+    { name: 'Mostly unread', entry: { count: 10, unread: 9, method: 'one-click', status: 'tracked' }, expect: true },
+    { name: 'Exactly at the thresholds', entry: { count: 5, unread: 4, method: 'http', status: 'tracked' }, expect: true },
+    { name: 'Too few emails', entry: { count: 4, unread: 4, method: 'one-click', status: 'tracked' }, expect: false },
+    { name: 'Mostly read', entry: { count: 10, unread: 5, method: 'one-click', status: 'tracked' }, expect: false },
+    { name: 'No unsubscribe header', entry: { count: 10, unread: 10, method: null, status: 'tracked' }, expect: false },
+    { name: 'Already proposed', entry: { count: 10, unread: 10, method: 'one-click', status: 'proposed' }, expect: false },
+    { name: 'Already unsubscribed', entry: { count: 10, unread: 10, method: 'one-click', status: 'unsubscribed' }, expect: false }
+  ];
+
+  cases.forEach(function(c) {
+    try {
+      const actual = shouldProposeUnsubscribe_(c.entry, config);
+      Logger.log((actual === c.expect ? '✅' : '❌') + ' ' + c.name + ': ' + actual);
+    } catch (e) {
+      Logger.log('❌ ' + c.name + ' ERROR: ' + e.message);
+    }
+  });
+}
+
+/**
+ * Run All Unsubscribe Agent Tests
+ */
+function runAllUnsubscribeTests() {
+  Logger.log('\n\n');
+  Logger.log('╔════════════════════════════════════════╗');
+  Logger.log('║  Unsubscribe Agent Test Suite          ║');
+  Logger.log('╚════════════════════════════════════════╝');
+  Logger.log('\n');
+
+  testParseListUnsubscribe();
+  Logger.log('\n\n');
+
+  testShouldProposeUnsubscribe();
+  Logger.log('\n\n');
+
+  Logger.log('╔════════════════════════════════════════╗');
+  Logger.log('║  Test Suite Complete                   ║');
+  Logger.log('╚════════════════════════════════════════╝');
+  Logger.log('\nAll tests should show ✅.');
+}
@@ -1,6 +1,8 @@
 var Agents = (function() {
   var registryByLabel = new Map();
   var runCountThisExecution = 0;
+  // Agent names in dependency order, recomputed on every registration
+  var agentOrder = [];
 
   function isFunction_(f) {
     return typeof f === 'function';
@@ -15,6 +17,9 @@ var Agents = (function() {
    *   - onLabel: Called per-email during labeling (immediate action)
    *   - postLabel: Called once after all labeling (inbox-wide scan)
    * @param {Object} options - Configuration options
+   *   - after: agent name(s) that must run before this agent
+   *   - before: agent name(s) that must run after this agent
+   * @throws {Error} If the dependencies would create a cycle
    */
   function register(label, name, hooks, options) {
     if (!label || !name) {
@@ -42,75 +47,195 @@ var Agents = (function() {
       throw new Error('Agent "' + name + '": postLabel must be a function');
     }
 
+    options = options || {};
+    validateDependencyNames_(name, options.after, 'after');
+    validateDependencyNames_(name, options.before, 'before');
+
     var list = registryByLabel.get(label);
     if (!list) {
       list = [];
       registryByLabel.set(label, list);
     }
 
-    list.push({
+    var entry = {
       name: name,
       onLabel: onLabel,
       postLabel: postLabel,
-      options: options || {}
+      options: options
+    };
+    list.push(entry);
+
+    // Reject the registration if it makes the dependency graph cyclic
+    try {
+      agentOrder = sortAgentNames_();
+    } catch (e) {
+      list.splice(list.indexOf(entry), 1);
+      if (!list.length) registryByLabel.delete(label);
+      throw e;
+    }
+  }
+
+  function validateDependencyNames_(name, value, key) {
+    if (value === undefined || value === null) return;
+    [].concat(value).forEach(function(dep) {
+      if (typeof dep !== 'string' || !dep) {
+        throw new Error('Agent "' + name + '": options.' + key + ' must be an agent name or an array of agent names');
+      }
+      if (dep === name) {
+        throw new Error('Agent "' + name + '": options.' + key + ' cannot reference itself');
+      }
     });
   }
 
+  /**
+   * Topologically sort registered agent names by their after/before options
+   * Agents without dependencies keep registration order. Dependencies on agents
+   * that are not registered are ignored.
+   */
+  function sortAgentNames_() {
+    var names = [];
+    var runsAfter = {};  // name -> names that must run first
+
+    registryByLabel.forEach(function(list) {
+      list.forEach(function(agent) {
+        if (!runsAfter[agent.name]) {
+          runsAfter[agent.name] = [];
+          names.push(agent.name);
+        }
+      });
+    });
+
+    registryByLabel.forEach(function(list) {
+      list.forEach(function(agent) {
+        [].concat(agent.options.after || []).forEach(function(dep) {
+          if (runsAfter[dep] && runsAfter[agent.name].indexOf(dep) === -1) runsAfter[agent.name].push(dep);
+        });
+        [].concat(agent.options.before || []).forEach(function(next) {
+          if (runsAfter[next] && runsAfter[next].indexOf(agent.name) === -1) runsAfter[next].push(agent.name);
+        });
+      });
+    });
+
+    var order = [];
+    var state = {};  // 1 = visiting, 2 = done
+    function visit(name, path) {
+      if (state[name] === 2) return;
+      if (state[name] === 1) {
+        var cycle = path.slice(path.indexOf(name)).concat(name).reverse();
+        throw new Error('Agent dependency cycle (a -> b means a runs before b): ' + cycle.join(' -> '));
+      }
+      state[name] = 1;
+      runsAfter[name].forEach(function(dep) { visit(dep, path.concat(name)); });
+      state[name] = 2;
+      order.push(name);
+    }
+    names.forEach(function(name) { visit(name, []); });
+    return order;
+  }
+
   /**
    * Run onLabel handlers for a specific label
    * Called during labeling to provide immediate per-email actions
+   *
+   * Agents run in dependency order. A handler may return:
+   * - addLabels: labels to add to the thread; agents registered for them join this run
+   * - outputs: any value, visible to later agents as ctx.outputs[agentName]
+   * Each agent runs at most once per call.
+   *
+   * @param {string} label - Label whose agents should run
+   * @param {Object} ctx - Agent context
+   * @param {string} agentName - Run only this agent (used by the retry queue), optional
+   * @returns {Array<Object>} Results { agent, label, status, info, retryAfterMs, deferred }
    */
-  function runFor(label, ctx) {
+  function runFor(label, ctx, agentName) {
     var results = [];
     var cfg = ctx && ctx.cfg || {};
     if (cfg.AGENTS_ENABLED === false) return results;
 
-    var list = registryByLabel.get(label) || [];
+    var pending = [];
+    var queuedNames = {};
+    var queuedLabels = {};
+    var outputs = {};
+
+    function enqueue(lbl) {
+      if (queuedLabels[lbl]) return;
+      queuedLabels[lbl] = true;
 
-    // Optional filtering by config map
-    var allowList = cfg.AGENTS_LABEL_MAP && cfg.AGENTS_LABEL_MAP[label];
-    if (allowList && allowList.length) {
-      list = list.filter(function(item) { return allowList.indexOf(item.name) !== -1; });
+      var list = registryByLabel.get(lbl) || [];
+      if (agentName && lbl === label) {
+        list = list.filter(function(item) { return item.name === agentName; });
+      }
+
+      // Optional filtering by config map
+      var allowList = cfg.AGENTS_LABEL_MAP && cfg.AGENTS_LABEL_MAP[lbl];
+      if (allowList && allowList.length) {
+        list = list.filter(function(item) { return allowList.indexOf(item.name) !== -1; });
+      }
+
+      list.forEach(function(item) {
+        if (queuedNames[item.name]) return;
+        queuedNames[item.name] = true;
+        pending.push({ item: item, label: lbl });
+      });
     }
 
-    if (!list.length) return results;
+    enqueue(label);
+    if (!pending.length) return results;
 
     var budget = typeof cfg.AGENTS_BUDGET_PER_RUN === 'number' ? cfg.AGENTS_BUDGET_PER_RUN : 50;
 
-    for (var i = 0; i < list.length; i++) {
-      var item = list[i];
+    while (pending.length) {
+      // Chained labels add agents mid-run, so pick the earliest in dependency order each time
+      pending.sort(function(a, b) { return agentOrder.indexOf(a.item.name) - agentOrder.indexOf(b.item.name); });
+      var next = pending.shift();
+      var item = next.item;
 
       // Skip if agent doesn't have onLabel hook
       if (!item.onLabel) {
-        results.push({ agent: item.name, status: 'skip', info: 'no-onLabel-hook' });
+        results.push({ agent: item.name, label: next.label, status: 'skip', info: 'no-onLabel-hook' });
         continue;
       }
 
       // Respect per-agent enabled flag (default: enabled)
       var isEnabled = !(item.options && item.options.enabled === false);
       if (!isEnabled) {
-        results.push({ agent: item.name, status: 'skip', info: 'disabled' });
+        results.push({ agent: item.name, label: next.label, status: 'skip', info: 'disabled' });
         continue;
       }
 
       if (runCountThisExecution >= budget) {
-        results.push({ agent: item.name, status: 'skip', info: 'budget-exceeded' });
+        results.push({ agent: item.name, label: next.label, status: 'skip', info: 'budget-exceeded' });
         continue;
       }
 
       var runWhen = item.options && item.options.runWhen || 'afterLabel';
       var shouldSkipForDryRun = ctx.dryRun && runWhen !== 'always' && (cfg.AGENTS_DRY_RUN !== false);
       if (shouldSkipForDryRun) {
-        results.push({ agent: item.name, status: 'skip', info: 'dry-run' });
+        results.push({ agent: item.name, label: next.label, status: 'skip', info: 'dry-run' });
         continue;
       }
 
+      // Each agent gets its own copy, so the caller's ctx is never modified
+      var itemCtx = Object.assign({}, ctx, { outputs: outputs });
+      if (next.label !== label) {
+        itemCtx.label = next.label;
+        itemCtx.decision = { required_action: next.label, reason: 'chained' };
+      }
+
       try {
         runCountThisExecution++;
-        var result = item.onLabel(ctx) || { status: 'ok' };
-        results.push({ agent: item.name, status: result.status || 'ok', info: result.info, retryAfterMs: result.retryAfterMs });
+        var result = item.onLabel(itemCtx) || { status: 'ok' };
+        var status = result.status || 'ok';
+        results.push({ agent: item.name, label: next.label, status: status, info: result.info, retryAfterMs: result.retryAfterMs, deferred: result.deferred });
+        if (result.outputs !== undefined) outputs[item.name] = result.outputs;
+        if (status === 'ok' && result.addLabels) {
+          [].concat(result.addLabels).forEach(function(added) {
+            if (!ctx.dryRun && ctx.thread) ctx.thread.addLabel(ensureLabelPath_(added));
+            enqueue(added);
+          });
+        }
       } catch (e) {
-        results.push({ agent: item.name, status: 'error', info: (e && e.toString ? e.toString() : String(e)) });
+        results.push({ agent: item.name, label: next.label, status: 'error', info: (e && e.toString ? e.toString() : String(e)) });
       }
     }
     return results;
@@ -120,15 +245,20 @@ var Agents = (function() {
    * Run postLabel handlers for all agents
    * Called once after all labeling is complete
    * Enables inbox-wide scans to catch manually-labeled emails
+   *
+   * @param {Object} cfg - Configuration from getConfig_()
+   * @param {Object} options - { deadline } from createRunDeadline_(); agents not started
+   *   before it expires are reported in stats.deferred (optional)
    */
-  function runPostLabelHandlers(cfg) {
+  function runPostLabelHandlers(cfg, options) {
     cfg = cfg || {};
+    var deadline = options && options.deadline || null;
 
     if (cfg.AGENTS_ENABLED === false) {
-      return { total: 0, executed: 0, skipped: 0, errors: 0 };
+      return { total: 0, executed: 0, skipped: 0, errors: 0, deferred: [] };
     }
 
-    var stats = { total: 0, executed: 0, skipped: 0, errors: 0 };
+    var stats = { total: 0, executed: 0, skipped: 0, errors: 0, deferred: [] };
 
     // Get all unique agents across all labels
     var allAgents = [];
@@ -143,6 +273,8 @@ var Agents = (function() {
       });
     });
 
+    allAgents.sort(function(a, b) { return agentOrder.indexOf(a.name) - agentOrder.indexOf(b.name); });
+
     if (cfg.DEBUG) {
       Logger.log('Running postLabel handlers for ' + allAgents.length + ' agents...');
     }
@@ -166,6 +298,12 @@ var Agents = (function() {
         return;
       }
 
+      // Out of execution time - the scan runs again on the next trigger
+      if (deadline && deadline.expired()) {
+        stats.deferred.push(agent.name);
+        return;
+      }
+
       try {
         var startTime = Date.now();
 
@@ -210,7 +348,8 @@ var Agents = (function() {
         var registrar = mods[i];
         if (typeof registrar === 'function') {
           try { registrar({ register: register }); } catch (e) {
-            // swallow to avoid breaking startup; errors will be visible in DEBUG logs elsewhere
+            // don't break startup for one bad module (e.g. a dependency cycle)
+            console.log('Agent module registration failed: ' + (e && e.toString ? e.toString() : String(e)));
           }
         }
       }
@@ -224,9 +363,17 @@ var Agents = (function() {
     }
   }
 
+  /**
+   * Registered agent names in the order they run
+   */
+  function getOrder() {
+    return agentOrder.slice();
+  }
+
   return {
     register: register,
     runFor: runFor,
+    getOrder: getOrder,
     runPostLabelHandlers: runPostLabelHandlers,
     registerAllModules: registerAllModules
   };
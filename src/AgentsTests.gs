@@ -0,0 +1,155 @@
+/**
+ * Agents Registry Manual Tests
+ *
+ * Covers dependency ordering (after/before), cycle detection and label chaining
+ * in Agents.gs. Test agents are registered on labels no real agent uses and stay
+ * registered only for the current execution; no Gmail access is needed. Run these
+ * functions individually in the Apps Script editor; each test logs results to the
+ * execution log (View > Logs).
+ */
+
+/**
+ * Registered names in run order, limited to the given test agents
+ * @private
+ */
+function getTestAgentOrder_(names) {
+  return Agents.getOrder().filter(function(name) { return names.indexOf(name) !== -1; });
+}
+
+/**
+ * Test 1: Dependency ordering
+ *
+ * Tests: sortAgentNames_() (through Agents.getOrder()) honours after/before and
+ * ignores dependencies on agents that are not registered
+ */
+function testAgentDependencyOrder() {
+  Logger.log('========================================');
+  Logger.log('TEST 1: Agent Dependency Order');
+  Logger.log('========================================\n');
+
+  try {
+    const hook = { onLabel: function() { return { status: 'ok' }; } };
+    Agents.register('test_order', 'TestOrderB', hook, { after: 'TestOrderA' });
+    Agents.register('test_order', 'TestOrderA', hook, {});
+    Agents.register('test_order', 'TestOrderC', hook, { before: 'TestOrderA' });
+    Agents.register('test_order', 'TestOrderD', hook, { after: 'TestOrderMissing' });
+
+    const order = getTestAgentOrder_(['TestOrderA', 'TestOrderB', 'TestOrderC', 'TestOrderD']);
+    Logger.log((order.indexOf('TestOrderC') < order.indexOf('TestOrderA') ? '✅' : '❌') +
+      ' before: C runs before A: ' + JSON.stringify(order));
+    Logger.log((order.indexOf('TestOrderA') < order.indexOf('TestOrderB') ? '✅' : '❌') +
+      ' after: B runs after A, although registered first');
+    Logger.log((order.indexOf('TestOrderD') !== -1 ? '✅' : '❌') +
+      ' Dependency on an unregistered agent is ignored');
+
+  } catch (e) {
+    Logger.log('❌ ERROR: ' + e.message);
+  }
+}
+
+/**
+ * Test 2: Invalid dependencies
+ *
+ * Tests: a registration that closes a cycle or references itself is rejected,
+ * and the rejected agent is not left in the registry
+ */
+function testAgentDependencyCycle() {
+  Logger.log('========================================');
+  Logger.log('TEST 2: Agent Dependency Cycle');
+  Logger.log('========================================\n');
+
+  const hook = { onLabel: function() { return { status: 'ok' }; } };
+
+  try {
+    Agents.register('test_cycle', 'TestCycleX', hook, { after: 'TestCycleY' });
+    Agents.register('test_cycle', 'TestCycleY', hook, { after: 'TestCycleZ' });
+    Agents.register('test_cycle', 'TestCycleZ', hook, { after: 'TestCycleX' });
+    Logger.log('❌ Expected a cycle error for X -> Y -> Z -> X');
+  } catch (e) {
+    Logger.log((e.message.indexOf('cycle') !== -1 ? '✅' : '❌') + ' ' + e.message);
+  }
+
+  const order = getTestAgentOrder_(['TestCycleX', 'TestCycleY', 'TestCycleZ']);
+  Logger.log((order.indexOf('TestCycleZ') === -1 && order.length === 2 ? '✅' : '❌') +
+    ' Rejected agent removed, others kept: ' + JSON.stringify(order));
+
+  try {
+    Agents.register('test_cycle', 'TestCycleSelf', hook, { before: 'TestCycleSelf' });
+    Logger.log('❌ Expected an error for an agent that runs before itself');
+  } catch (e) {
+    Logger.log((e.message.indexOf('cannot reference itself') !== -1 ? '✅' : '❌') + ' ' + e.message);
+  }
+}
+
+/**
+ * Test 3: Label chaining and outputs
+ *
+ * Tests: Agents.runFor() runs agents for labels added by earlier agents, passes
+ * outputs along, and leaves the caller's ctx unchanged
+ */
+function testAgentChaining() {
+  Logger.log('========================================');
+  Logger.log('TEST 3: Agent Chaining');
+  Logger.log('========================================\n');
+
+  try {
+    let seen = null;
+    Agents.register('test_chain', 'TestChainFirst', {
+      onLabel: function() { return { status: 'ok', outputs: { items: 2 }, addLabels: ['test_chained'] }; }
+    }, {});
+    Agents.register('test_chained', 'TestChainSecond', {
+      onLabel: function(ctx) {
+        seen = { label: ctx.label, reason: ctx.decision.reason, outputs: ctx.outputs };
+        return { status: 'ok' };
+      }
+    }, { after: 'TestChainFirst' });
+
+    const ctx = {
+      label: 'test_chain',
+      decision: { required_action: 'test_chain', reason: 'test' },
+      threadId: 'test-thread',
+      thread: null,
+      cfg: {},
+      dryRun: false,
+      log: function() {}
+    };
+    const results = Agents.runFor('test_chain', ctx);
+
+    Logger.log((results.length === 2 && results[1].agent === 'TestChainSecond' && results[1].label === 'test_chained' ? '✅' : '❌') +
+      ' Chained agent ran: ' + JSON.stringify(results));
+    Logger.log((seen && seen.label === 'test_chained' && seen.reason === 'chained' ? '✅' : '❌') +
+      ' Chained agent got its own label and decision: ' + JSON.stringify(seen));
+    Logger.log((seen && seen.outputs && seen.outputs.TestChainFirst && seen.outputs.TestChainFirst.items === 2 ? '✅' : '❌') +
+      ' Outputs of the first agent visible to the second');
+    Logger.log((!('outputs' in ctx) && ctx.label === 'test_chain' ? '✅' : '❌') +
+      ' Caller ctx unchanged');
+
+  } catch (e) {
+    Logger.log('❌ ERROR: ' + e.message);
+  }
+}
+
+/**
+ * Run All Agents Registry Tests
+ */
+function runAllAgentsTests() {
+  Logger.log('\n\n');
+  Logger.log('╔════════════════════════════════════════╗');
+  Logger.log('║  Agents Registry Test Suite            ║');
+  Logger.log('╚════════════════════════════════════════╝');
+  Logger.log('\n');
+
+  testAgentDependencyOrder();
+  Logger.log('\n\n');
+
+  testAgentDependencyCycle();
+  Logger.log('\n\n');
+
+  testAgentChaining();
+  Logger.log('\n\n');
+
+  Logger.log('╔════════════════════════════════════════╗');
+  Logger.log('║  Test Suite Complete                   ║');
+  Logger.log('╚════════════════════════════════════════╝');
+  Logger.log('\nAll tests should show ✅.');
+}
@@ -0,0 +1,136 @@
+/**
+ * AttachmentService.gs - Attachment metadata and text excerpts for prompts
+ *
+ * Every prompt that shows an email also lists its attachments (name, type, size),
+ * so invoices, PDFs and calendar invites are no longer invisible to the model.
+ *
+ * With ATTACHMENT_EXCERPTS_ENABLED, small text-extractable attachments are also
+ * excerpted:
+ * - text/plain, text/csv and other text types: the file content
+ * - text/calendar (.ics): the SUMMARY, DTSTART, DTEND, LOCATION, ORGANIZER lines
+ * - application/pdf: converted to a temporary Google Doc through the Drive advanced
+ *   service, exported as text, then deleted (ATTACHMENT_PDF_CONVERSION)
+ *
+ * Excerpts share a token allowance (ATTACHMENT_EXCERPT_TOKENS, measured with
+ * estimateTokens_()) per email - or per thread for getEmailThread_() - so
+ * attachments can't crowd out the message bodies.
+ */
+
+/**
+ * Attachment options from configuration
+ *
+ * @param {Object} cfg - Configuration from getConfig_()
+ * @returns {{excerpts: boolean, excerptTokens: number, maxBytes: number, pdf: boolean}} Options for describeAttachments_()
+ */
+function getAttachmentOptions_(cfg) {
+  return {
+    excerpts: !!cfg.ATTACHMENT_EXCERPTS_ENABLED,
+    excerptTokens: cfg.ATTACHMENT_EXCERPT_TOKENS,
+    maxBytes: cfg.ATTACHMENT_MAX_BYTES,
+    pdf: !!cfg.ATTACHMENT_PDF_CONVERSION
+  };
+}
+
+/**
+ * Describe the attachments of a message, with excerpts when enabled
+ *
+ * @param {GmailMessage} message - Gmail message
+ * @param {Object} options - From getAttachmentOptions_() (metadata only when omitted)
+ * @param {Object} budget - Shared token allowance { remaining }, optional (defaults to options.excerptTokens for this message)
+ * @returns {Array<Object>} [{ name, type, size, excerpt? }] - size in bytes
+ */
+function describeAttachments_(message, options, budget) {
+  options = options || {};
+  budget = budget || { remaining: options.excerptTokens || 0 };
+
+  return message.getAttachments({ includeInlineImages: false }).map(function(attachment) {
+    const item = {
+      name: attachment.getName() || '(unnamed)',
+      type: attachment.getContentType() || 'application/octet-stream',
+      size: attachment.getSize()
+    };
+
+    if (options.excerpts && budget.remaining > 0 && item.size <= options.maxBytes) {
+      let text = null;
+      try {
+        text = extractAttachmentText_(attachment, item, options);
+      } catch (e) {
+        // Unreadable attachments keep their metadata only
+        console.log('AttachmentService: could not read "' + item.name + '": ' + e.toString());
+      }
+      const excerpt = fitToTokens_(text, budget.remaining);
+      if (excerpt) {
+        item.excerpt = excerpt;
+        budget.remaining -= estimateTokens_(excerpt);
+      }
+    }
+    return item;
+  });
+}
+
+/**
+ * Text content of an attachment, or null when the type can't be read
+ * @private
+ */
+function extractAttachmentText_(attachment, item, options) {
+  const type = item.type.toLowerCase();
+  const name = item.name.toLowerCase();
+
+  if (type.indexOf('text/calendar') === 0 || /\.ics$/.test(name)) {
+    return summarizeIcs_(attachment.getDataAsString());
+  }
+  if (type.indexOf('text/') === 0 || /\.(txt|csv|md)$/.test(name)) {
+    return attachment.getDataAsString();
+  }
+  if ((type === 'application/pdf' || /\.pdf$/.test(name)) && options.pdf) {
+    return convertPdfToText_(attachment.copyBlob(), item.name);
+  }
+  return null;
+}
+
+/**
+ * Keep the lines of an invite that matter for triage
+ * @private
+ */
+function summarizeIcs_(text) {
+  // Unfold continuation lines (RFC 5545) before picking properties
+  const lines = String(text || '').replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+  const wanted = /^(METHOD|SUMMARY|DTSTART|DTEND|LOCATION|ORGANIZER)[;:]/i;
+  return lines.filter(function(line) { return wanted.test(line); }).join('\n');
+}
+
+/**
+ * Convert a PDF to text via a temporary Google Doc (Drive advanced service)
+ * @private
+ */
+function convertPdfToText_(blob, name) {
+  if (typeof Drive === 'undefined') {
+    throw new Error('Drive advanced service is not enabled');
+  }
+
+  const doc = Drive.Files.create({ name: 'email-agent-attachment: ' + name, mimeType: MimeType.GOOGLE_DOCS }, blob);
+  try {
+    // Same export endpoint KnowledgeService uses for knowledge documents
+    const response = UrlFetchApp.fetch(
+      'https://docs.google.com/feeds/download/documents/export/Export?exportFormat=txt&id=' + encodeURIComponent(doc.id),
+      { headers: { 'Authorization': 'Bearer ' + ScriptApp.getOAuthToken() }, followRedirects: true, muteHttpExceptions: true }
+    );
+    if (response.getResponseCode() !== 200) {
+      throw new Error('Export failed with status ' + response.getResponseCode());
+    }
+    return response.getContentText();
+  } finally {
+    Drive.Files.remove(doc.id);
+  }
+}
+
+/**
+ * Collapse whitespace (keeping line breaks, which matter for CSV rows) and cut text to fit a token allowance
+ * @private
+ */
+function fitToTokens_(text, tokens) {
+  const clean = String(text || '').replace(/[ \t]+/g, ' ').replace(/\s*\n\s*/g, '\n').trim();
+  if (!clean || tokens <= 0) return '';
+  const maxChars = tokens * 4;
+  return clean.length > maxChars ? clean.slice(0, maxChars - 1) + '…' : clean;
+}
@@ -0,0 +1,240 @@
+/**
+ * BudgetService.gs - Per-consumer AI budgets with call and token accounting
+ *
+ * Every AI consumer has its own counters, so one consumer running out doesn't
+ * block the others:
+ * - labeling:      categorization requests
+ * - escalation:    re-sends to MODEL_ESCALATE (DAILY_ESCALATION_BUDGET)
+ * - summarizer:    Email Summarizer agent
+ * - reply_drafter: Reply Drafter agent
+ * - webapp:        on-demand summaries from the web app
+ * - followup:      Follow-Up agent nudge drafts
+ * - task_extractor: Task Extractor agent
+ * Other agents can pass their own consumer name.
+ *
+ * Limits per consumer (BUDGET_LIMITS overrides, 0 = unlimited):
+ * - dailyCalls:  requests per day (escalation: DAILY_ESCALATION_BUDGET, labeling: DAILY_GEMINI_BUDGET
+ *                minus a fifth, every other consumer: a fifth of DAILY_GEMINI_BUDGET)
+ * - dailyTokens: prompt + output tokens per day (default 0)
+ * - runCalls:    requests per execution (default 0)
+ *
+ * On top of those, DAILY_GEMINI_BUDGET caps the calls of all consumers together
+ * (escalation excepted, it keeps its own DAILY_ESCALATION_BUDGET), so adding
+ * consumers never raises the total daily spend. Labeling's default stops a fifth
+ * short of that cap, so a busy inbox still leaves calls for the agents.
+ *
+ * Calls are reserved before a request with reserveBudget_(). Tokens are charged
+ * afterwards by callLLM_() from the provider's usage data, so a consumer stops
+ * once a day's token total reaches dailyTokens.
+ *
+ * Daily state lives in `BUDGET-YYYY-MM-DD-<consumer>` script properties as
+ * { calls, tokens }, with the shared total in `BUDGET-YYYY-MM-DD`, and is removed
+ * by cleanupOldBudgetProperties_().
+ */
+
+const BUDGET_CONSUMERS = ['labeling', 'escalation', 'summarizer', 'reply_drafter', 'followup', 'task_extractor', 'webapp'];
+
+// Calls per consumer in this execution (Apps Script starts every execution with fresh globals)
+const BUDGET_RUN_CALLS = {};
+
+/**
+ * Reserve AI calls for a consumer
+ *
+ * @param {string} consumer - Consumer name (e.g. 'labeling', 'reply_drafter')
+ * @param {Object} cfg - Configuration from getConfig_()
+ * @param {number} nCalls - Calls to reserve (default 1)
+ * @returns {{allowed: boolean, reason: string|null}} reason names the exhausted limit
+ */
+function reserveBudget_(consumer, cfg, nCalls) {
+  const calls = nCalls || 1;
+  const check = checkBudget_(consumer, cfg, calls);
+  if (!check.allowed) {
+    if (cfg.DEBUG) console.log('Budget exhausted for ' + consumer + ': ' + check.reason);
+    return check;
+  }
+
+  const key = getBudgetKey_(consumer);
+  const props = PropertiesService.getScriptProperties();
+  const usage = parseBudgetUsage_(props.getProperty(key));
+  usage.calls += calls;
+  props.setProperty(key, JSON.stringify(usage));
+  if (countsTowardDailyTotal_(consumer)) {
+    const totalKey = getBudgetKey_(null);
+    const total = parseBudgetUsage_(props.getProperty(totalKey));
+    total.calls += calls;
+    props.setProperty(totalKey, JSON.stringify(total));
+  }
+  BUDGET_RUN_CALLS[consumer] = (BUDGET_RUN_CALLS[consumer] || 0) + calls;
+  return check;
+}
+
+/**
+ * Check whether a consumer could make calls, without reserving them
+ *
+ * @param {string} consumer - Consumer name
+ * @param {Object} cfg - Configuration from getConfig_()
+ * @param {number} nCalls - Calls that would be made (default 1)
+ * @returns {{allowed: boolean, reason: string|null}} reason is 'daily-total', 'daily-calls', 'daily-tokens' or 'run-calls'
+ */
+function checkBudget_(consumer, cfg, nCalls) {
+  const calls = nCalls || 1;
+  const limits = getBudgetLimits_(consumer, cfg);
+  const props = PropertiesService.getScriptProperties();
+  const usage = parseBudgetUsage_(props.getProperty(getBudgetKey_(consumer)));
+
+  if (countsTowardDailyTotal_(consumer) && cfg.DAILY_GEMINI_BUDGET > 0) {
+    const total = parseBudgetUsage_(props.getProperty(getBudgetKey_(null)));
+    if (total.calls + calls > cfg.DAILY_GEMINI_BUDGET) {
+      return { allowed: false, reason: 'daily-total' };
+    }
+  }
+
+  if (limits.dailyCalls > 0 && usage.calls + calls > limits.dailyCalls) {
+    return { allowed: false, reason: 'daily-calls' };
+  }
+  if (limits.dailyTokens > 0 && usage.tokens >= limits.dailyTokens) {
+    return { allowed: false, reason: 'daily-tokens' };
+  }
+  if (limits.runCalls > 0 && (BUDGET_RUN_CALLS[consumer] || 0) + calls > limits.runCalls) {
+    return { allowed: false, reason: 'run-calls' };
+  }
+  return { allowed: true, reason: null };
+}
+
+/**
+ * Add tokens used by a completed request to the consumer's daily total
+ *
+ * @param {string} consumer - Consumer name
+ * @param {number} tokens - Prompt + output tokens
+ */
+function chargeBudgetTokens_(consumer, tokens) {
+  if (!consumer || !tokens) return;
+  const key = getBudgetKey_(consumer);
+  const props = PropertiesService.getScriptProperties();
+  const usage = parseBudgetUsage_(props.getProperty(key));
+  usage.tokens += tokens;
+  props.setProperty(key, JSON.stringify(usage));
+}
+
+/**
+ * Milliseconds until the daily counters reset (the next local midnight)
+ *
+ * @returns {number} Delay in milliseconds
+ */
+function getMsUntilBudgetReset_() {
+  const now = new Date();
+  return new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1).getTime() - now.getTime();
+}
+
+/**
+ * Current usage and limits for every known consumer
+ *
+ * @param {Object} cfg - Configuration from getConfig_()
+ * @returns {Object} { date, total: { calls, limit, remainingCalls }, consumers: { name: { calls, tokens, runCalls, limits, remainingCalls, remainingTokens } } }
+ */
+function getBudgetState_(cfg) {
+  const props = PropertiesService.getScriptProperties();
+  const prefix = getBudgetKey_('');
+  const names = BUDGET_CONSUMERS.slice();
+
+  // Include consumers that are only known from today's counters (e.g. custom agents)
+  Object.keys(props.getProperties()).forEach(function(key) {
+    const name = key.indexOf(prefix) === 0 ? key.substring(prefix.length) : '';
+    if (name && names.indexOf(name) === -1) names.push(name);
+  });
+  Object.keys(cfg.BUDGET_LIMITS || {}).forEach(function(name) {
+    if (name !== 'default' && names.indexOf(name) === -1) names.push(name);
+  });
+
+  const consumers = {};
+  names.forEach(function(name) {
+    const usage = parseBudgetUsage_(props.getProperty(getBudgetKey_(name)));
+    const limits = getBudgetLimits_(name, cfg);
+    consumers[name] = {
+      calls: usage.calls,
+      tokens: usage.tokens,
+      runCalls: BUDGET_RUN_CALLS[name] || 0,
+      limits: limits,
+      remainingCalls: limits.dailyCalls > 0 ? Math.max(0, limits.dailyCalls - usage.calls) : null,
+      remainingTokens: limits.dailyTokens > 0 ? Math.max(0, limits.dailyTokens - usage.tokens) : null
+    };
+  });
+
+  const total = parseBudgetUsage_(props.getProperty(getBudgetKey_(null)));
+  return {
+    date: formatHistoryDate_(new Date()),
+    total: {
+      calls: total.calls,
+      limit: cfg.DAILY_GEMINI_BUDGET,
+      remainingCalls: cfg.DAILY_GEMINI_BUDGET > 0 ? Math.max(0, cfg.DAILY_GEMINI_BUDGET - total.calls) : null
+    },
+    consumers: consumers
+  };
+}
+
+/**
+ * Log today's budget usage per consumer
+ * Run from the Apps Script editor.
+ */
+function showBudgetStatus() {
+  const state = getBudgetState_(getConfig_());
+  console.log(JSON.stringify(state, null, 2));
+  return state;
+}
+
+/**
+ * Resolve limits for a consumer: built-in defaults, then BUDGET_LIMITS.default, then BUDGET_LIMITS[consumer]
+ * @private
+ */
+function getBudgetLimits_(consumer, cfg) {
+  const overrides = cfg.BUDGET_LIMITS || {};
+  let dailyCalls = Math.max(1, Math.ceil(cfg.DAILY_GEMINI_BUDGET / 5));
+  // Labeling leaves one share of the shared total to the other consumers
+  if (consumer === 'labeling') {
+    dailyCalls = cfg.DAILY_GEMINI_BUDGET > dailyCalls ? cfg.DAILY_GEMINI_BUDGET - dailyCalls : cfg.DAILY_GEMINI_BUDGET;
+  }
+  if (consumer === 'escalation') dailyCalls = cfg.DAILY_ESCALATION_BUDGET;
+  const limits = {
+    dailyCalls: dailyCalls,
+    dailyTokens: 0,
+    runCalls: 0
+  };
+  [overrides['default'], overrides[consumer]].forEach(function(source) {
+    if (!source || typeof source !== 'object') return;
+    ['dailyCalls', 'dailyTokens', 'runCalls'].forEach(function(field) {
+      if (typeof source[field] === 'number') limits[field] = source[field];
+    });
+  });
+  return limits;
+}
+
+/**
+ * Today's counter key for a consumer: BUDGET-YYYY-MM-DD-<consumer>, or the shared total BUDGET-YYYY-MM-DD
+ * @private
+ */
+function getBudgetKey_(consumer) {
+  return 'BUDGET-' + formatHistoryDate_(new Date()) + (consumer === null ? '' : '-' + consumer);
+}
+
+/**
+ * Whether a consumer's calls count toward the shared DAILY_GEMINI_BUDGET total
+ * @private
+ */
+function countsTowardDailyTotal_(consumer) {
+  return consumer !== 'escalation';
+}
+
+/**
+ * Parse a stored counter ({ calls, tokens } JSON, or a plain call count)
+ * @private
+ */
+function parseBudgetUsage_(value) {
+  if (!value) return { calls: 0, tokens: 0 };
+  if (/^\d+$/.test(value)) return { calls: parseInt(value, 10), tokens: 0 };
+  try {
+    const parsed = JSON.parse(value);
+    return { calls: parsed.calls || 0, tokens: parsed.tokens || 0 };
+  } catch (e) {
+    return { calls: 0, tokens: 0 };
+  }
+}
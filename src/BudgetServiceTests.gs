@@ -0,0 +1,123 @@
+/**
+ * Budget Service Manual Tests
+ *
+ * Covers the default per-consumer limits and the shared daily total in
+ * BudgetService.gs. The tests use their own configuration and restore today's
+ * BUDGET-* properties afterwards, so real usage is not changed. Run these
+ * functions individually in the Apps Script editor; each test logs results to
+ * the execution log (View > Logs).
+ */
+
+/**
+ * Run fn with today's counters for the given consumers cleared, then restore them
+ * @private
+ */
+function withTestBudgetCounters_(consumers, fn) {
+  const props = PropertiesService.getScriptProperties();
+  const keys = consumers.map(getBudgetKey_).concat([getBudgetKey_(null)]);
+  const saved = {};
+  const savedRunCalls = {};
+  keys.forEach(function(key) { saved[key] = props.getProperty(key); props.deleteProperty(key); });
+  consumers.forEach(function(name) { savedRunCalls[name] = BUDGET_RUN_CALLS[name]; delete BUDGET_RUN_CALLS[name]; });
+  try {
+    fn();
+  } finally {
+    keys.forEach(function(key) {
+      if (saved[key] === null) props.deleteProperty(key);
+      else props.setProperty(key, saved[key]);
+    });
+    consumers.forEach(function(name) {
+      if (savedRunCalls[name] === undefined) delete BUDGET_RUN_CALLS[name];
+      else BUDGET_RUN_CALLS[name] = savedRunCalls[name];
+    });
+  }
+}
+
+/**
+ * Test 1: Default limits
+ *
+ * Tests: getBudgetLimits_() gives every consumer a fifth of DAILY_GEMINI_BUDGET,
+ * labeling the rest, and applies BUDGET_LIMITS on top
+ */
+function testBudgetDefaultLimits() {
+  Logger.log('========================================');
+  Logger.log('TEST 1: Default Budget Limits');
+  Logger.log('========================================\n');
+
+  const cases = [
+    { name: 'Labeling leaves a fifth', consumer: 'labeling', cfg: { DAILY_GEMINI_BUDGET: 50 }, expect: 40 },
+    { name: 'Agent gets a fifth', consumer: 'reply_drafter', cfg: { DAILY_GEMINI_BUDGET: 50 }, expect: 10 },
+    { name: 'Escalation has its own budget', consumer: 'escalation', cfg: { DAILY_GEMINI_BUDGET: 50, DAILY_ESCALATION_BUDGET: 5 }, expect: 5 },
+    { name: 'Labeling with a one-call budget', consumer: 'labeling', cfg: { DAILY_GEMINI_BUDGET: 1 }, expect: 1 },
+    { name: 'BUDGET_LIMITS override', consumer: 'labeling', cfg: { DAILY_GEMINI_BUDGET: 50, BUDGET_LIMITS: { labeling: { dailyCalls: 50 } } }, expect: 50 }
+  ];
+
+  cases.forEach(function(c) {
+    try {
+      const actual = getBudgetLimits_(c.consumer, c.cfg).dailyCalls;
+      Logger.log((actual === c.expect ? '✅' : '❌') + ' ' + c.name + ': ' + actual);
+    } catch (e) {
+      Logger.log('❌ ' + c.name + ' ERROR: ' + e.message);
+    }
+  });
+}
+
+/**
+ * Test 2: Labeling can't starve the agents
+ *
+ * Tests: once labeling has used its whole default share, the agents can still
+ * reserve calls until the shared DAILY_GEMINI_BUDGET total is reached
+ */
+function testLabelingLeavesAgentBudget() {
+  Logger.log('========================================');
+  Logger.log('TEST 2: Labeling Leaves Agent Budget');
+  Logger.log('========================================\n');
+
+  const cfg = { DAILY_GEMINI_BUDGET: 50, DAILY_ESCALATION_BUDGET: 5, BUDGET_LIMITS: {} };
+
+  try {
+    withTestBudgetCounters_(['labeling', 'reply_drafter', 'summarizer'], function() {
+      let labelingCalls = 0;
+      let refused = null;
+      while (labelingCalls < cfg.DAILY_GEMINI_BUDGET) {
+        const result = reserveBudget_('labeling', cfg);
+        if (!result.allowed) { refused = result.reason; break; }
+        labelingCalls++;
+      }
+      Logger.log((labelingCalls === 40 && refused === 'daily-calls' ? '✅' : '❌') +
+        ' Labeling stopped by its own limit after ' + labelingCalls + ' calls (' + refused + ')');
+
+      const drafter = reserveBudget_('reply_drafter', cfg, 10);
+      Logger.log((drafter.allowed ? '✅' : '❌') +
+        ' Reply Drafter can still use its share: ' + JSON.stringify(drafter));
+
+      const summarizer = reserveBudget_('summarizer', cfg);
+      Logger.log((!summarizer.allowed && summarizer.reason === 'daily-total' ? '✅' : '❌') +
+        ' Shared total still caps all consumers: ' + JSON.stringify(summarizer));
+    });
+  } catch (e) {
+    Logger.log('❌ ERROR: ' + e.message);
+  }
+}
+
+/**
+ * Run All Budget Service Tests
+ */
+function runAllBudgetTests() {
+  Logger.log('\n\n');
+  Logger.log('╔════════════════════════════════════════╗');
+  Logger.log('║  Budget Service Test Suite             ║');
+  Logger.log('╚════════════════════════════════════════╝');
+  Logger.log('\n');
+
+  testBudgetDefaultLimits();
+  Logger.log('\n\n');
+
+  testLabelingLeavesAgentBudget();
+  Logger.log('\n\n');
+
+  Logger.log('╔════════════════════════════════════════╗');
+  Logger.log('║  Test Suite Complete                   ║');
+  Logger.log('╚════════════════════════════════════════╝');
+  Logger.log('\nAll tests should show ✅.');
+}
@@ -1,48 +1,278 @@
-function categorizeWithGemini_(emails, knowledge, cfg, globalKnowledge) {
-  const allowed = new Set(['reply_needed','review','todo','summarize']);
-  const batches = [];
-  for (let i = 0; i < emails.length; i += cfg.BATCH_SIZE) {
-    batches.push(emails.slice(i, i + cfg.BATCH_SIZE));
-  }
+/**
+ * Categorize emails with the configured LLM in token-budgeted batches
+ *
+ * @param {Array<Object>} emails - Minimalized emails
+ * @param {Object} knowledge - Labeling knowledge from fetchLabelingKnowledge_()
+ * @param {Object} cfg - Configuration from getConfig_()
+ * @param {Object} globalKnowledge - Global knowledge from fetchGlobalKnowledge_()
+ * @param {Object} options - { deadline } from createRunDeadline_(); batches not started before
+ *   it expires return { required_action: null, reason: 'deferred', deferred: true } (optional)
+ * @returns {Array<Object>} One result per email
+ */
+function categorizeWithGemini_(emails, knowledge, cfg, globalKnowledge, options) {
+  const deadline = options && options.deadline || null;
+  const taxonomy = cfg.LABEL_TAXONOMY || getDefaultLabelTaxonomy_();
+  // Map lowercase names back to the configured spelling (e.g. 'action/reply' -> 'Action/Reply')
+  const allowed = new Map(taxonomy.map(function(l) { return [l.name.toLowerCase(), l.name]; }));
+  // Fallback must be part of the taxonomy; otherwise use the lowest-precedence label
+  const fallback = allowed.get(String(cfg.DEFAULT_FALLBACK_LABEL || '').toLowerCase()) || taxonomy[taxonomy.length - 1].name;
+  const corrections = getCorrectionExamples_(cfg);
+  const canEscalate = cfg.ESCALATION_ENABLED && !!cfg.MODEL_ESCALATE && cfg.MODEL_ESCALATE !== cfg.MODEL_PRIMARY;
+  // Pack batches against the token budget left after knowledge and instructions
+  const overheadTokens = estimateTokens_(buildCategorizePrompt_([], knowledge, taxonomy,
+    fallback, globalKnowledge, corrections));
+  const batches = planCategorizeBatches_(emails, overheadTokens, cfg);
+
+  // Send a subset of emails to a model and return validated decisions (null when unparsable)
+  const requestDecisions = function(subset, model) {
+    // Build prompt using PromptBuilder (enforces separation of concerns)
+    const prompt = buildCategorizePrompt_(subset, knowledge, taxonomy,
+      fallback, globalKnowledge, corrections);
+    const responseSchema = cfg.STRUCTURED_OUTPUT
+      ? buildCategorizeResponseSchema_(getLabelNames_(taxonomy), subset.map(function(e) { return e.id; }))
+      : null;
+
+    // LLMService now receives complete prompt (no longer builds it internally)
+    const consumer = model === cfg.MODEL_PRIMARY ? 'labeling' : 'escalation';
+    const out = categorizeBatch_(prompt, model, cfg, { responseSchema: responseSchema, consumer: consumer });
+    if (cfg.DEBUG) {
+      console.log(JSON.stringify({ batchSize: subset.length, model: model, llmRaw: out }, null, 2));
+    }
+    return out ? validateCategorizeOutput_(out, subset, cfg) : null;
+  };
 
   const results = [];
   for (const batch of batches) {
-    if (!enforceBudget_(1, cfg.DAILY_GEMINI_BUDGET)) {
+    // Out of execution time - these emails stay unlabeled and are picked up by the next run
+    if (deadline && deadline.expired()) {
+      results.push.apply(results, batch.map(function(e) { return { id: e.id, required_action: null, reason: 'deferred', threadId: e.threadId, deferred: true }; }));
+      continue;
+    }
+    if (!reserveBudget_('labeling', cfg).allowed) {
       results.push.apply(results, batch.map(function(e) { return { id: e.id, required_action: null, reason: 'budget-exceeded', threadId: e.threadId }; }));
       continue;
     }
-    // Build prompt using PromptBuilder (enforces separation of concerns)
-    const prompt = buildCategorizePrompt_(batch, knowledge,
-      ['reply_needed', 'review', 'todo', 'summarize'],
-      cfg.DEFAULT_FALLBACK_LABEL, globalKnowledge);
 
-    // LLMService now receives complete prompt (no longer builds it internally)
-    const out = categorizeBatch_(prompt, cfg.MODEL_PRIMARY, cfg.PROJECT_ID,
-      cfg.LOCATION, cfg.GEMINI_API_KEY);
-    if (cfg.DEBUG) {
-      console.log(JSON.stringify({ batchSize: batch.length, llmRaw: out }, null, 2));
+    let out = requestDecisions(batch, cfg.MODEL_PRIMARY);
+
+    // Re-request only the emails the model skipped instead of failing the whole batch
+    for (let attempt = 0; out && attempt < cfg.CATEGORIZE_REPAIR_ATTEMPTS; attempt++) {
+      const returned = new Set(out.map(function(o) { return o.id; }));
+      const missing = batch.filter(function(e) { return !returned.has(e.id); });
+      if (!missing.length || !reserveBudget_('labeling', cfg).allowed) break;
+      if (cfg.DEBUG) {
+        console.log('Re-requesting ' + missing.length + ' missing decision(s) (attempt ' + (attempt + 1) + ')');
+      }
+      const repaired = requestDecisions(missing, cfg.MODEL_PRIMARY);
+      if (repaired) out = out.concat(repaired);
     }
 
-    // Handle parsing failure - LLMService returns null when it can't parse response
-    if (!out) {
-      results.push.apply(results, batch.map(function(e) {
-        return { id: e.id, required_action: null, reason: 'fallback-on-error', threadId: e.threadId };
-      }));
-      continue;
+    const decisions = normalizeDecisions_(batch, out, allowed, cfg, cfg.MODEL_PRIMARY);
+
+    // Escalate only the emails the primary model failed on (malformed, invalid, or low confidence)
+    const failing = batch.filter(function(e) { return decisions.get(e.id).needsEscalation; });
+    if (failing.length && canEscalate) {
+      // Stays undefined when escalation is skipped or throws; null means an unparsable answer
+      let escalateOut;
+      if (reserveBudget_('escalation', cfg).allowed) {
+        try {
+          escalateOut = requestDecisions(failing, cfg.MODEL_ESCALATE);
+        } catch (e) {
+          // e.g. a token limit on the escalation model: the primary decisions for this batch stand
+          console.log('Escalation failed for ' + failing.length + ' email(s), keeping the primary decisions: ' + e.message);
+        }
+      } else if (cfg.DEBUG) {
+        console.log('Escalation skipped for ' + failing.length + ' email(s): escalation budget exhausted');
+      }
+
+      if (escalateOut !== undefined) {
+        const escalated = normalizeDecisions_(failing, escalateOut, allowed, cfg, cfg.MODEL_ESCALATE);
+
+        failing.forEach(function(e) {
+          const primary = decisions.get(e.id);
+          const second = escalated.get(e.id);
+          // Keep the primary decision when the escalation model did no better
+          const useSecond = second.required_action &&
+            (!primary.required_action || confidenceOf_(second) >= confidenceOf_(primary));
+          const chosen = useSecond ? second : primary;
+          chosen.escalated = true;
+          decisions.set(e.id, chosen);
+        });
+      }
     }
 
-    const byId = new Map(out.map(function(o) { return [o.id, o]; }));
     for (const e of batch) {
-      const r = byId.get(e.id);
-      const normalized = r && typeof r.required_action === 'string' ? String(r.required_action).toLowerCase().trim() : null;
-      const valid = normalized && allowed.has(normalized);
-      results.push({
+      const d = decisions.get(e.id);
+      const result = {
         id: e.id,
         threadId: e.threadId,
-        required_action: valid ? normalized : null,
-        reason: valid ? (r.reason || 'ok') : 'invalid-or-missing'
-      });
+        required_action: d.required_action,
+        reason: d.reason,
+        model: d.model
+      };
+      if (typeof d.confidence === 'number') result.confidence = d.confidence;
+      if (d.escalated) result.escalated = true;
+      results.push(result);
     }
   }
   return results;
 }
+
+/**
+ * Split emails into batches that fit BATCH_TOKEN_BUDGET
+ *
+ * Each batch holds at most BATCH_SIZE emails and at most the tokens left after the
+ * fixed prompt overhead (knowledge, label definitions, corrections). An email too
+ * large for a batch on its own has its body trimmed further so it still fits.
+ *
+ * @param {Array} emails - Minimalized emails
+ * @param {number} overheadTokens - Estimated tokens of the prompt without emails
+ * @param {Object} cfg - Configuration from getConfig_()
+ * @returns {Array<Array>} Batches of emails (bodies may be shortened copies)
+ */
+function planCategorizeBatches_(emails, overheadTokens, cfg) {
+  const MIN_EMAIL_TOKENS = 100;
+  const available = Math.max(cfg.BATCH_TOKEN_BUDGET - overheadTokens, MIN_EMAIL_TOKENS);
+  if (overheadTokens >= cfg.BATCH_TOKEN_BUDGET) {
+    console.log('Categorizer: prompt overhead (~' + overheadTokens + ' tokens) exceeds BATCH_TOKEN_BUDGET (' +
+      cfg.BATCH_TOKEN_BUDGET + '). Sending one email per request; consider reducing knowledge documents.');
+  }
+
+  const batches = [];
+  let current = [];
+  let used = 0;
+  emails.forEach(function(e) {
+    let email = e;
+    let tokens = estimateTokens_(JSON.stringify(toCategorizePromptItem_(email), null, 2));
+    // Attachment excerpts go before the body
+    if (tokens > available && (email.attachments || []).some(function(a) { return a.excerpt; })) {
+      email = Object.assign({}, e, {
+        attachments: e.attachments.map(function(a) { return { name: a.name, type: a.type, size: a.size }; })
+      });
+      tokens = estimateTokens_(JSON.stringify(toCategorizePromptItem_(email), null, 2));
+    }
+    if (tokens > available) {
+      const excessChars = (tokens - available) * 4;
+      const bodyChars = Math.max(0, (email.plainBody || '').length - excessChars);
+      email = Object.assign({}, email, { plainBody: trimEmailBody_(e.plainBody, bodyChars) });
+      tokens = estimateTokens_(JSON.stringify(toCategorizePromptItem_(email), null, 2));
+    }
+
+    if (current.length && (used + tokens > available || current.length >= cfg.BATCH_SIZE)) {
+      batches.push(current);
+      current = [];
+      used = 0;
+    }
+    current.push(email);
+    used += tokens;
+  });
+  if (current.length) batches.push(current);
+
+  if (cfg.DEBUG) {
+    console.log(JSON.stringify({
+      batchPlan: { emails: emails.length, batches: batches.length, overheadTokens: overheadTokens, tokensPerBatch: available }
+    }, null, 2));
+  }
+  return batches;
+}
+
+/**
+ * Strictly validate parsed model output against the emails that were sent
+ *
+ * - Drops entries that are not objects or whose ID was not in the request
+ * - Keeps only the first entry for each ID (duplicates are discarded)
+ *
+ * @param {Array} out - Parsed `emails` array from categorizeBatch_()
+ * @param {Array} subset - Emails included in the request
+ * @param {Object} cfg - Configuration from getConfig_()
+ * @returns {Array} Validated entries, at most one per requested email
+ */
+function validateCategorizeOutput_(out, subset, cfg) {
+  const requested = new Set(subset.map(function(e) { return e.id; }));
+  const seen = new Set();
+  const valid = [];
+  let unknown = 0;
+  let duplicates = 0;
+
+  out.forEach(function(o) {
+    const id = o && typeof o === 'object' && o.id !== undefined ? String(o.id) : null;
+    if (!id || !requested.has(id)) {
+      unknown++;
+      return;
+    }
+    if (seen.has(id)) {
+      duplicates++;
+      return;
+    }
+    seen.add(id);
+    valid.push(Object.assign({}, o, { id: id }));
+  });
+
+  if (cfg.DEBUG && (unknown || duplicates)) {
+    console.log(JSON.stringify({ rejectedUnknownIds: unknown, droppedDuplicates: duplicates }, null, 2));
+  }
+  return valid;
+}
+
+/**
+ * Normalize raw model output into one decision per email in the batch
+ *
+ * A decision needs escalation when the response could not be parsed, the label is
+ * missing or not in the taxonomy, or the reported confidence is below
+ * ESCALATION_CONFIDENCE_THRESHOLD.
+ *
+ * @param {Array} batch - Emails that were sent to the model
+ * @param {Array|null} out - Validated entries from validateCategorizeOutput_(), or null on failure
+ * @param {Map<string, string>} allowed - Lowercase label name -> configured label name
+ * @param {Object} cfg - Configuration from getConfig_()
+ * @param {string} model - Model that produced the output
+ * @returns {Map<string, Object>} Email ID -> { required_action, reason, confidence?, model, needsEscalation }
+ */
+function normalizeDecisions_(batch, out, allowed, cfg, model) {
+  const decisions = new Map();
+
+  // Handle parsing failure - LLMService returns null when it can't parse response
+  if (!out) {
+    batch.forEach(function(e) {
+      decisions.set(e.id, { required_action: null, reason: 'fallback-on-error', model: model, needsEscalation: true });
+    });
+    return decisions;
+  }
+
+  const byId = new Map(out.map(function(o) { return [o.id, o]; }));
+  batch.forEach(function(e) {
+    const r = byId.get(e.id);
+    const normalized = r && typeof r.required_action === 'string' ? String(r.required_action).toLowerCase().trim() : null;
+    const valid = normalized && allowed.has(normalized);
+    if (!valid) {
+      decisions.set(e.id, { required_action: null, reason: 'invalid-or-missing', model: model, needsEscalation: true });
+      return;
+    }
+
+    const confidence = parseConfidence_(r.confidence);
+    const decision = {
+      required_action: allowed.get(normalized),
+      reason: r.reason || 'ok',
+      model: model,
+      needsEscalation: confidence !== null && confidence < cfg.ESCALATION_CONFIDENCE_THRESHOLD
+    };
+    if (confidence !== null) decision.confidence = confidence;
+    decisions.set(e.id, decision);
+  });
+  return decisions;
+}
+
+/**
+ * Parse a model-reported confidence into a number between 0 and 1
+ * Accepts 0-1 fractions or 0-100 percentages; returns null when absent or invalid
+ */
+function parseConfidence_(value) {
+  const n = typeof value === 'string' ? parseFloat(value) : value;
+  if (typeof n !== 'number' || isNaN(n)) return null;
+  const scaled = n > 1 ? n / 100 : n;
+  return Math.max(0, Math.min(1, scaled));
+}
+
+function confidenceOf_(decision) {
+  return typeof decision.confidence === 'number' ? decision.confidence : 1;
+}
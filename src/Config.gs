@@ -7,18 +7,65 @@ function getConfig_() {
     RULE_DOC_ID: p.getProperty('RULE_DOC_ID'),
     RULE_DOC_URL: p.getProperty('RULE_DOC_URL'),
     DEFAULT_FALLBACK_LABEL: p.getProperty('DEFAULT_FALLBACK_LABEL') || 'review',
+    // Label taxonomy (names, descriptions, precedence) - see parseLabelTaxonomy_()
+    LABEL_TAXONOMY: parseLabelTaxonomy_(p.getProperty('LABEL_TAXONOMY')),
     MAX_EMAILS_PER_RUN: parseInt(p.getProperty('MAX_EMAILS_PER_RUN') || '20', 10),
     BATCH_SIZE: parseInt(p.getProperty('BATCH_SIZE') || '10', 10),
+    // Estimated input tokens per categorization request, including knowledge overhead
+    BATCH_TOKEN_BUDGET: parseInt(p.getProperty('BATCH_TOKEN_BUDGET') || '30000', 10),
     BODY_CHARS: parseInt(p.getProperty('BODY_CHARS') || '1200', 10),
+    // Seconds of work per run before remaining work is deferred (Apps Script stops executions at 360s)
+    RUN_TIME_BUDGET_SECONDS: parseInt(p.getProperty('RUN_TIME_BUDGET_SECONDS') || '300', 10),
+    // Thread digest for categorization (participants, replies, earlier excerpts)
+    THREAD_CONTEXT_ENABLED: (p.getProperty('THREAD_CONTEXT_ENABLED') || 'false').toLowerCase() === 'true',
+    THREAD_CONTEXT_MAX_MESSAGES: parseInt(p.getProperty('THREAD_CONTEXT_MAX_MESSAGES') || '3', 10),
+    THREAD_CONTEXT_EXCERPT_CHARS: parseInt(p.getProperty('THREAD_CONTEXT_EXCERPT_CHARS') || '200', 10),
+    // Attachments: metadata is always included, text excerpts are opt-in (see AttachmentService.gs)
+    ATTACHMENT_EXCERPTS_ENABLED: (p.getProperty('ATTACHMENT_EXCERPTS_ENABLED') || 'false').toLowerCase() === 'true',
+    ATTACHMENT_EXCERPT_TOKENS: parseInt(p.getProperty('ATTACHMENT_EXCERPT_TOKENS') || '300', 10),
+    ATTACHMENT_MAX_BYTES: parseInt(p.getProperty('ATTACHMENT_MAX_BYTES') || '1048576', 10),
+    ATTACHMENT_PDF_CONVERSION: (p.getProperty('ATTACHMENT_PDF_CONVERSION') || 'true').toLowerCase() === 'true',
     DAILY_GEMINI_BUDGET: parseInt(p.getProperty('DAILY_GEMINI_BUDGET') || '50', 10),
+    // Per-consumer overrides, e.g. {"reply_drafter": {"dailyCalls": 20, "dailyTokens": 200000, "runCalls": 5}} - see BudgetService.gs
+    BUDGET_LIMITS: (function(){
+      try { return JSON.parse(p.getProperty('BUDGET_LIMITS') || 'null'); } catch (e) { return null; }
+    })(),
     DRY_RUN: (p.getProperty('DRY_RUN') || 'false').toLowerCase() === 'true',
     DEBUG: (p.getProperty('DEBUG') || 'false').toLowerCase() === 'true',
-    MODEL_PRIMARY: 'gemini-2.5-flash',
-    MODEL_ESCALATE: 'gemini-2.5-pro',
+    // LLM provider layer (see LLMProviders.gs)
+    LLM_PROVIDER: (p.getProperty('LLM_PROVIDER') || 'auto').toLowerCase(),
+    LLM_BASE_URL: p.getProperty('LLM_BASE_URL'),
+    LLM_API_KEY: p.getProperty('LLM_API_KEY'),
+    MODEL_PRIMARY: p.getProperty('MODEL_PRIMARY') || 'gemini-2.5-flash',
+    MODEL_ESCALATE: p.getProperty('MODEL_ESCALATE') || 'gemini-2.5-pro',
+    // Escalation: retry failing or low-confidence emails with MODEL_ESCALATE
+    ESCALATION_ENABLED: (p.getProperty('ESCALATION_ENABLED') || 'true').toLowerCase() === 'true',
+    ESCALATION_CONFIDENCE_THRESHOLD: parseFloat(p.getProperty('ESCALATION_CONFIDENCE_THRESHOLD') || '0.5'),
+    DAILY_ESCALATION_BUDGET: parseInt(p.getProperty('DAILY_ESCALATION_BUDGET') || '10', 10),
+    // Structured output: constrain categorization responses to a JSON schema
+    STRUCTURED_OUTPUT: (p.getProperty('STRUCTURED_OUTPUT') || 'true').toLowerCase() === 'true',
+    CATEGORIZE_REPAIR_ATTEMPTS: parseInt(p.getProperty('CATEGORIZE_REPAIR_ATTEMPTS') || '1', 10),
+    // Review queue: low-confidence decisions get TRIAGE_LABEL instead (0 disables)
+    TRIAGE_LABEL: p.getProperty('TRIAGE_LABEL') || 'needs_triage',
+    TRIAGE_CONFIDENCE_THRESHOLD: parseFloat(p.getProperty('TRIAGE_CONFIDENCE_THRESHOLD') || '0.5'),
+    // Learning from manual relabels (see CorrectionService.gs)
+    CORRECTIONS_ENABLED: (p.getProperty('CORRECTIONS_ENABLED') || 'true').toLowerCase() === 'true',
+    CORRECTION_TRACK_DAYS: parseInt(p.getProperty('CORRECTION_TRACK_DAYS') || '7', 10),
+    CORRECTION_TRACK_MAX: parseInt(p.getProperty('CORRECTION_TRACK_MAX') || '50', 10),
+    CORRECTION_EXAMPLES_MAX: parseInt(p.getProperty('CORRECTION_EXAMPLES_MAX') || '5', 10),
+    CORRECTION_HALF_LIFE_DAYS: parseInt(p.getProperty('CORRECTION_HALF_LIFE_DAYS') || '14', 10),
+    // Pre-classification rules evaluated before the LLM (see RulesEngine.gs)
+    PRECLASSIFY_RULES: p.getProperty('PRECLASSIFY_RULES'),
+    PRECLASSIFY_RULES_DOC_URL: p.getProperty('PRECLASSIFY_RULES_DOC_URL'),
     // Agents framework
     AGENTS_ENABLED: (p.getProperty('AGENTS_ENABLED') || 'true').toLowerCase() === 'true',
     AGENTS_DRY_RUN: (p.getProperty('AGENTS_DRY_RUN') || '').toLowerCase() === 'true' ? true : ((p.getProperty('AGENTS_DRY_RUN') || '').toLowerCase() === 'false' ? false : null),
     AGENTS_BUDGET_PER_RUN: parseInt(p.getProperty('AGENTS_BUDGET_PER_RUN') || '50', 10),
+    // Retry queue for agents returning { status: 'retry' } - see AgentRetryQueue.gs
+    AGENT_RETRY_MAX_ATTEMPTS: parseInt(p.getProperty('AGENT_RETRY_MAX_ATTEMPTS') || '5', 10),
+    AGENT_RETRY_BASE_DELAY_MINUTES: parseInt(p.getProperty('AGENT_RETRY_BASE_DELAY_MINUTES') || '15', 10),
+    AGENT_RETRY_MAX_DELAY_MINUTES: parseInt(p.getProperty('AGENT_RETRY_MAX_DELAY_MINUTES') || '1440', 10),
+    AGENT_DEAD_LETTER_MAX: parseInt(p.getProperty('AGENT_DEAD_LETTER_MAX') || '50', 10),
     AGENTS_LABEL_MAP: (function(){
       try { return JSON.parse(p.getProperty('AGENTS_LABEL_MAP') || 'null'); } catch (e) { return null; }
     })(),
@@ -41,20 +88,120 @@ function getConfig_() {
     TEST_DOC_URL: p.getProperty('TEST_DOC_URL'),
     TEST_FOLDER_URL: p.getProperty('TEST_FOLDER_URL'),
     // Budget History Configuration
-    BUDGET_HISTORY_DAYS: parseInt(p.getProperty('BUDGET_HISTORY_DAYS') || '3', 10)
+    BUDGET_HISTORY_DAYS: parseInt(p.getProperty('BUDGET_HISTORY_DAYS') || '3', 10),
+    // Days of run history (RUN_HISTORY-YYYY-MM-DD) to keep for metrics; per-run records
+    // only for the most recent RUN_HISTORY_DETAIL_DAYS, daily totals after that
+    RUN_HISTORY_DAYS: parseInt(p.getProperty('RUN_HISTORY_DAYS') || '30', 10),
+    RUN_HISTORY_DETAIL_DAYS: parseInt(p.getProperty('RUN_HISTORY_DETAIL_DAYS') || '3', 10)
   };
 }
 
-function ensureLabels_() {
-  ['reply_needed','review','todo','summarize'].forEach(function(name) {
-    if (!GmailApp.getUserLabelByName(name)) GmailApp.createLabel(name);
+/**
+ * Built-in label taxonomy used when LABEL_TAXONOMY is not configured
+ * Lower precedence values win when more than one label could apply
+ *
+ * @returns {Array<{name: string, description: string, precedence: number}>}
+ */
+function getDefaultLabelTaxonomy_() {
+  return [
+    { name: 'reply_needed', description: 'Someone is waiting on a written response from me.', precedence: 1 },
+    { name: 'review', description: 'Worth reading, but no reply or task is required.', precedence: 2 },
+    { name: 'todo', description: 'Requires an action from me other than replying.', precedence: 3 },
+    { name: 'summarize', description: 'Newsletters, notifications and FYI content suitable for a digest.', precedence: 4 }
+  ];
+}
+
+/**
+ * Parse the LABEL_TAXONOMY script property into a normalized label list
+ *
+ * Expected format (JSON array):
+ *   [{ "name": "Action/Reply", "description": "Needs my answer", "precedence": 1 }, ...]
+ *
+ * - name is required; nested Gmail labels use "/" (e.g. "Action/Reply")
+ * - description is optional and is shown to the model in the categorization prompt
+ * - precedence is optional (defaults to list position); lower values win
+ * - Duplicate names (case-insensitive) keep the first occurrence
+ *
+ * Invalid or empty configuration falls back to the built-in taxonomy.
+ *
+ * @param {string} raw - Raw LABEL_TAXONOMY property value
+ * @returns {Array<{name: string, description: string, precedence: number}>} Labels sorted by precedence
+ */
+function parseLabelTaxonomy_(raw) {
+  if (!raw) return getDefaultLabelTaxonomy_();
+
+  let parsed;
+  try {
+    parsed = JSON.parse(raw);
+  } catch (e) {
+    console.log('LABEL_TAXONOMY is not valid JSON, using built-in labels: ' + e.toString());
+    return getDefaultLabelTaxonomy_();
+  }
+
+  if (!Array.isArray(parsed)) {
+    console.log('LABEL_TAXONOMY must be a JSON array, using built-in labels');
+    return getDefaultLabelTaxonomy_();
+  }
+
+  const seen = {};
+  const labels = [];
+  parsed.forEach(function(entry, index) {
+    const name = entry && typeof entry.name === 'string' ? entry.name.trim().replace(/^\/+|\/+$/g, '') : '';
+    if (!name) {
+      console.log('LABEL_TAXONOMY entry ' + index + ' has no name, ignoring');
+      return;
+    }
+    const key = name.toLowerCase();
+    if (seen[key]) return;
+    seen[key] = true;
+    labels.push({
+      name: name,
+      description: typeof entry.description === 'string' ? entry.description.trim() : '',
+      precedence: typeof entry.precedence === 'number' ? entry.precedence : index + 1,
+      order: index
+    });
+  });
+
+  if (!labels.length) return getDefaultLabelTaxonomy_();
+
+  labels.sort(function(a, b) { return (a.precedence - b.precedence) || (a.order - b.order); });
+  return labels.map(function(l) {
+    return { name: l.name, description: l.description, precedence: l.precedence };
+  });
+}
+
+/**
+ * Names of all labels in a taxonomy, in precedence order
+ *
+ * @param {Array<{name: string}>} taxonomy - Taxonomy from getConfig_().LABEL_TAXONOMY
+ * @returns {string[]} Label names
+ */
+function getLabelNames_(taxonomy) {
+  return (taxonomy || getDefaultLabelTaxonomy_()).map(function(l) { return l.name; });
+}
+
+function ensureLabels_(cfg) {
+  getManagedLabelNames_(cfg || getConfig_()).forEach(function(name) {
+    ensureLabelPath_(name);
   });
 }
 
+/**
+ * Labels the labeler owns: the taxonomy plus the review-queue label when enabled
+ * Threads carrying any of these are not picked up again by findUnprocessed_()
+ */
+function getManagedLabelNames_(cfg) {
+  const names = getLabelNames_(cfg.LABEL_TAXONOMY);
+  if (cfg.TRIAGE_CONFIDENCE_THRESHOLD > 0 && cfg.TRIAGE_LABEL && names.indexOf(cfg.TRIAGE_LABEL) === -1) {
+    names.push(cfg.TRIAGE_LABEL);
+  }
+  return names;
+}
+
 /**
  * Clean up old budget properties to prevent property accumulation
  * Removes date-based budget properties older than BUDGET_HISTORY_DAYS (default: 3 days)
- * Budget properties follow the format: BUDGET-YYYY-MM-DD
+ * Budget properties follow the format: BUDGET-YYYY-MM-DD (optionally suffixed with a scope)
  *
  * @param {Object} cfg - Configuration object from getConfig_()
  * @returns {Object} - Cleanup summary with counts of deleted and retained properties
@@ -72,8 +219,8 @@ function cleanupOldBudgetProperties_(cfg) {
   let retainedCount = 0;
   const deletedKeys = [];
 
-  // Pattern to match budget properties: BUDGET-YYYY-MM-DD
-  const budgetPattern = /^BUDGET-(\d{4})-(\d{2})-(\d{2})$/;
+  // Pattern to match budget properties: BUDGET-YYYY-MM-DD with optional scope suffix (e.g. BUDGET-YYYY-MM-DD-gemini-2.5-pro)
+  const budgetPattern = /^BUDGET-(\d{4})-(\d{2})-(\d{2})(?:-.+)?$/;
 
   Object.keys(allProps).forEach(function(key) {
     const match = key.match(budgetPattern);
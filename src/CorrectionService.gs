@@ -0,0 +1,180 @@
+/**
+ * CorrectionService.gs - Learn from manual relabels
+ *
+ * Organizer.apply_ records the label it assigned to each thread. On later runs
+ * detectLabelCorrections_() re-reads those threads; when the assigned label was
+ * replaced by a different taxonomy label, the relabel is stored as a correction
+ * example. Review-queue confirmations that change the proposed label are
+ * recorded the same way.
+ *
+ * buildCategorizePrompt_() receives the highest-weighted examples (repeated
+ * corrections count more, older ones decay by CORRECTION_HALF_LIFE_DAYS), so the
+ * prompt stays bounded by CORRECTION_EXAMPLES_MAX.
+ *
+ * Storage (script properties, each value < 9KB):
+ * - LABEL_ASSIGNMENTS: { threadId: { label, at } } - at most CORRECTION_TRACK_MAX entries
+ * - LABEL_CORRECTIONS: [{ from, subject, excerpt, fromLabel, label, count, at }]
+ */
+
+const CORRECTION_ASSIGNMENTS_KEY = 'LABEL_ASSIGNMENTS';
+const CORRECTION_EXAMPLES_KEY = 'LABEL_CORRECTIONS';
+const CORRECTION_STORAGE_LIMIT = 8000;
+
+/**
+ * Remember labels assigned in this run so later relabels can be detected
+ *
+ * @param {Array<{threadId: string, label: string}>} assignments - Labels applied by Organizer
+ * @param {Object} cfg - Configuration from getConfig_()
+ */
+function recordLabelAssignments_(assignments, cfg) {
+  if (!cfg.CORRECTIONS_ENABLED || !assignments.length) return;
+
+  const tracked = readJsonProperty_(CORRECTION_ASSIGNMENTS_KEY, {});
+  const now = Date.now();
+  assignments.forEach(function(a) {
+    tracked[a.threadId] = { label: a.label, at: now };
+  });
+
+  // Keep the most recent assignments only
+  const newest = Object.keys(tracked)
+    .sort(function(a, b) { return tracked[b].at - tracked[a].at; })
+    .slice(0, cfg.CORRECTION_TRACK_MAX);
+  const bounded = {};
+  newest.forEach(function(threadId) { bounded[threadId] = tracked[threadId]; });
+  writeJsonProperty_(CORRECTION_ASSIGNMENTS_KEY, bounded);
+}
+
+/**
+ * Compare tracked assignments with the threads' current labels
+ *
+ * - Assigned label replaced by another taxonomy label: stored as a correction
+ * - Assigned label removed without a replacement, or thread gone: tracking stops
+ * - Unchanged: tracked until CORRECTION_TRACK_DAYS have passed
+ *
+ * @param {Object} cfg - Configuration from getConfig_()
+ * @returns {{checked: number, corrections: number, expired: number}} Detection summary
+ */
+function detectLabelCorrections_(cfg) {
+  const summary = { checked: 0, corrections: 0, expired: 0 };
+  if (!cfg.CORRECTIONS_ENABLED) return summary;
+
+  const tracked = readJsonProperty_(CORRECTION_ASSIGNMENTS_KEY, {});
+  const threadIds = Object.keys(tracked);
+  if (!threadIds.length) return summary;
+
+  const names = getLabelNames_(cfg.LABEL_TAXONOMY);
+  const maxAgeMs = cfg.CORRECTION_TRACK_DAYS * 24 * 60 * 60 * 1000;
+  const now = Date.now();
+  const remaining = {};
+
+  threadIds.forEach(function(threadId) {
+    const entry = tracked[threadId];
+    summary.checked++;
+    try {
+      const thread = GmailApp.getThreadById(threadId);
+      if (!thread) return;
+
+      const current = thread.getLabels().map(function(l) { return l.getName(); });
+      if (current.indexOf(entry.label) !== -1) {
+        if (now - entry.at < maxAgeMs) remaining[threadId] = entry;
+        else summary.expired++;
+        return;
+      }
+
+      // Taxonomy order is precedence order, so the first match is the strongest label
+      const replacement = names.filter(function(name) { return current.indexOf(name) !== -1; })[0];
+      if (replacement) {
+        recordCorrectionExample_(thread, entry.label, replacement, cfg);
+        summary.corrections++;
+      }
+    } catch (e) {
+      console.log('Correction check failed for thread ' + threadId + ': ' + e.toString());
+      if (now - entry.at < maxAgeMs) remaining[threadId] = entry;
+    }
+  });
+
+  writeJsonProperty_(CORRECTION_ASSIGNMENTS_KEY, remaining);
+  if (cfg.DEBUG) {
+    console.log(JSON.stringify({ labelCorrections: summary }, null, 2));
+  }
+  return summary;
+}
+
+/**
+ * Store a correction as a few-shot example
+ *
+ * Repeating a correction for the same sender and labels bumps its count instead
+ * of adding another entry.
+ *
+ * @param {GmailThread} thread - Thread that was relabeled
+ * @param {string} fromLabel - Label the system assigned (or proposed)
+ * @param {string} toLabel - Label the user chose
+ * @param {Object} cfg - Configuration from getConfig_()
+ */
+function recordCorrectionExample_(thread, fromLabel, toLabel, cfg) {
+  if (!cfg.CORRECTIONS_ENABLED || !fromLabel || fromLabel === toLabel) return;
+
+  const messages = thread.getMessages();
+  const msg = messages[messages.length - 1];
+  const from = msg.getFrom() || '';
+  const example = {
+    from: from.slice(0, 100),
+    subject: (msg.getSubject() || '').slice(0, 120),
+    excerpt: (msg.getPlainBody() || '').replace(/\s+/g, ' ').trim().slice(0, 160),
+    fromLabel: fromLabel,
+    label: toLabel,
+    count: 1,
+    at: Date.now()
+  };
+
+  const examples = readJsonProperty_(CORRECTION_EXAMPLES_KEY, []);
+  const existing = examples.filter(function(e) {
+    return e.from === example.from && e.fromLabel === fromLabel && e.label === toLabel;
+  })[0];
+  if (existing) {
+    example.count = (existing.count || 1) + 1;
+    examples.splice(examples.indexOf(existing), 1);
+  }
+  examples.unshift(example);
+
+  // Keep a pool larger than the prompt cap, dropping the weakest examples first
+  const pool = rankCorrectionExamples_(examples, cfg).slice(0, cfg.CORRECTION_EXAMPLES_MAX * 3);
+  while (pool.length > 1 && JSON.stringify(pool).length > CORRECTION_STORAGE_LIMIT) {
+    pool.pop();
+  }
+  writeJsonProperty_(CORRECTION_EXAMPLES_KEY, pool);
+
+  if (cfg.DEBUG) {
+    console.log('Recorded label correction: ' + fromLabel + ' -> ' + toLabel + ' (' + example.from + ')');
+  }
+}
+
+/**
+ * Get the correction examples to include in the categorization prompt
+ *
+ * @param {Object} cfg - Configuration from getConfig_()
+ * @returns {Array<Object>} At most CORRECTION_EXAMPLES_MAX examples, strongest first
+ */
+function getCorrectionExamples_(cfg) {
+  if (!cfg.CORRECTIONS_ENABLED || cfg.CORRECTION_EXAMPLES_MAX <= 0) return [];
+  const labels = getLabelNames_(cfg.LABEL_TAXONOMY);
+  // Examples for labels that left the taxonomy would teach the model an invalid answer
+  const valid = readJsonProperty_(CORRECTION_EXAMPLES_KEY, []).filter(function(e) {
+    return labels.indexOf(e.label) !== -1;
+  });
+  return rankCorrectionExamples_(valid, cfg).slice(0, cfg.CORRECTION_EXAMPLES_MAX);
+}
+
+/**
+ * Sort examples by weight: count * 0.5^(ageDays / CORRECTION_HALF_LIFE_DAYS)
+ * @private
+ */
+function rankCorrectionExamples_(examples, cfg) {
+  const now = Date.now();
+  const halfLife = cfg.CORRECTION_HALF_LIFE_DAYS > 0 ? cfg.CORRECTION_HALF_LIFE_DAYS : 14;
+  const weight = function(e) {
+    const ageDays = Math.max(0, now - (e.at || 0)) / (24 * 60 * 60 * 1000);
+    return (e.count || 1) * Math.pow(0.5, ageDays / halfLife);
+  };
+  return examples.slice().sort(function(a, b) { return weight(b) - weight(a); });
+}
@@ -1,17 +1,59 @@
-function findUnprocessed_(max) {
-  const q = 'in:inbox -label:reply_needed -label:review -label:todo -label:summarize';
+function findUnprocessed_(max, labelNames) {
+  const names = labelNames || getLabelNames_(getConfig_().LABEL_TAXONOMY);
+  const exclusions = names.map(function(name) { return '-' + toLabelSearchTerm_(name); });
+  const q = ['in:inbox'].concat(exclusions).join(' ');
   return GmailApp.search(q, 0, max);
 }
 
-function minimalize_(threads, bodyChars) {
+/**
+ * Convert a Gmail label name into a search operator
+ * Gmail matches spaces and nesting separators as hyphens ("Action/Reply" -> label:action-reply)
+ *
+ * @param {string} labelName - Gmail label name, optionally nested with "/"
+ * @returns {string} Search term such as 'label:action-reply'
+ */
+function toLabelSearchTerm_(labelName) {
+  return 'label:' + String(labelName).trim().toLowerCase().replace(/[\s\/]+/g, '-');
+}
+
+/**
+ * Get or create a (possibly nested) Gmail label
+ * Parent labels are created first so "Action/Reply" nests under "Action"
+ *
+ * @param {string} labelName - Label name using "/" for nesting
+ * @returns {GmailLabel} The leaf label
+ */
+function ensureLabelPath_(labelName) {
+  const segments = String(labelName).split('/');
+  let label = null;
+  for (let i = 1; i <= segments.length; i++) {
+    const path = segments.slice(0, i).join('/');
+    label = GmailApp.getUserLabelByName(path) || GmailApp.createLabel(path);
+  }
+  return label;
+}
+
+/**
+ * Reduce threads to the fields the categorizer and rules need (latest message only)
+ *
+ * @param {Array<GmailThread>} threads - Threads to process
+ * @param {number} bodyChars - Maximum body characters to keep
+ * @param {Array<string>} headerNames - Extra headers to read (e.g. 'List-Unsubscribe'), optional
+ * @param {Object} threadContext - Include a thread digest: { maxMessages, excerptChars }, optional
+ * @param {Object} attachmentOptions - Attachment excerpts from getAttachmentOptions_(), optional (metadata is always read)
+ * @returns {Array<Object>} { id, threadId, subject, from, date, ageDays, plainBody, attachments?, headers?, thread? }
+ */
+function minimalize_(threads, bodyChars, headerNames, threadContext, attachmentOptions) {
+  const userAddresses = threadContext ? getUserAddresses_() : null;
   return threads.map(function(t) {
-    const msg = t.getMessages().pop();
+    const messages = t.getMessages();
+    const msg = messages[messages.length - 1];
     const subj = msg.getSubject() || '';
     const from = msg.getFrom() || '';
     const date = msg.getDate();
     const days = Math.floor((Date.now() - date.getTime()) / (1000*60*60*24));
-    const body = (msg.getPlainBody() || msg.getBody() || '').slice(0, bodyChars);
-    return {
+    const body = trimEmailBody_(msg.getPlainBody() || msg.getBody() || '', bodyChars);
+    const email = {
       id: msg.getId(),
       threadId: t.getId(),
       subject: subj,
@@ -20,9 +62,139 @@ function minimalize_(threads, bodyChars) {
       ageDays: days,
       plainBody: body
     };
+    const attachments = describeAttachments_(msg, attachmentOptions);
+    if (attachments.length) email.attachments = attachments;
+    if (headerNames && headerNames.length) {
+      email.headers = {};
+      headerNames.forEach(function(name) { email.headers[name] = msg.getHeader(name) || ''; });
+    }
+    if (threadContext) {
+      email.thread = buildThreadDigest_(messages, userAddresses, threadContext);
+    }
+    return email;
   });
 }
 
+/**
+ * Summarize a thread compactly so the categorizer sees earlier requests and replies
+ *
+ * @param {Array<GmailMessage>} messages - Thread messages, oldest first
+ * @param {Array<string>} userAddresses - The user's own addresses (lowercase)
+ * @param {Object} options - { maxMessages, excerptChars }
+ * @returns {Object} { message_count, participants, user_replied, last_message_from_me, earlier_messages }
+ */
+function buildThreadDigest_(messages, userAddresses, options) {
+  const isMe = function(address) { return userAddresses.indexOf(address) !== -1; };
+  const participants = [];
+  let userReplied = false;
+
+  messages.forEach(function(m, index) {
+    const sender = extractEmailAddress_(m.getFrom());
+    if (isMe(sender) && index > 0) userReplied = true;
+    [m.getFrom(), m.getTo(), m.getCc()].join(',').split(',').forEach(function(entry) {
+      const address = extractEmailAddress_(entry);
+      if (address && !isMe(address) && participants.indexOf(address) === -1) participants.push(address);
+    });
+  });
+
+  const latest = messages[messages.length - 1];
+  const earlier = messages.slice(0, -1).slice(-options.maxMessages).map(function(m) {
+    const sender = extractEmailAddress_(m.getFrom());
+    return {
+      from: isMe(sender) ? 'me' : sender,
+      date: m.getDate().toISOString().slice(0, 10),
+      excerpt: trimEmailBody_(m.getPlainBody() || '', options.excerptChars)
+    };
+  });
+
+  return {
+    message_count: messages.length,
+    participants: participants.slice(0, 10),
+    user_replied: userReplied,
+    last_message_from_me: isMe(extractEmailAddress_(latest.getFrom())),
+    earlier_messages: earlier
+  };
+}
+
+/**
+ * Extract the bare, lowercase address from a header value like 'Name <a@b.com>'
+ *
+ * @param {string} value - From/To/Cc entry
+ * @returns {string} Address, or '' when none is present
+ */
+function extractEmailAddress_(value) {
+  const text = String(value || '');
+  const bracketed = text.match(/<([^>]+)>/);
+  const address = (bracketed ? bracketed[1] : text).trim().toLowerCase();
+  return address.indexOf('@') !== -1 ? address : '';
+}
+
+/**
+ * The user's own addresses (primary account plus Gmail send-as aliases), lowercase
+ *
+ * @returns {Array<string>} Addresses
+ */
+function getUserAddresses_() {
+  const addresses = [Session.getEffectiveUser().getEmail()];
+  try {
+    GmailApp.getAliases().forEach(function(alias) { addresses.push(alias); });
+  } catch (e) {
+    // Aliases are optional - fall back to the primary address
+  }
+  return addresses.filter(Boolean).map(function(a) { return String(a).toLowerCase(); });
+}
+
+/**
+ * Strip quoted replies, signatures and footers from a plain-text body, then truncate
+ *
+ * Removal happens before truncation so the character budget is spent on the new
+ * content of the message instead of the thread history below it.
+ * - Quoted replies: "On ... wrote:", "-----Original Message-----", Outlook
+ *   "From:/Sent:" headers, and lines starting with ">"
+ * - Signatures: the "-- " delimiter and "Sent from my ..." lines
+ * - Footers: unsubscribe/confidentiality boilerplate in the last third of the text
+ *
+ * @param {string} body - Plain-text email body
+ * @param {number} maxChars - Maximum characters to return
+ * @returns {string} Trimmed body (never longer than maxChars)
+ */
+function trimEmailBody_(body, maxChars) {
+  let text = String(body || '').replace(/\r\n?/g, '\n');
+
+  const cutMarkers = [
+    /^On .{0,200}wrote:\s*$/m,
+    /^-{2,}\s*Original Message\s*-{2,}/mi,
+    /^_{10,}\s*$/m,
+    /^From: .+\n(?:.+\n){0,3}?(?:Sent|Date): /m,
+    /^-- ?$/m,
+    /^Sent from my .+$/m
+  ];
+  cutMarkers.forEach(function(marker) {
+    const m = text.match(marker);
+    // Keep the body when the marker is at the very top (e.g. a forwarded message)
+    if (m && m.index > 0) text = text.slice(0, m.index);
+  });
+
+  text = text.split('\n').filter(function(line) { return !/^\s*>/.test(line); }).join('\n');
+
+  const footer = /^.*(unsubscribe|you are receiving this|this e-?mail and any attachments|confidentiality notice|manage (your )?(email )?preferences).*$/gim;
+  let m;
+  while ((m = footer.exec(text)) !== null) {
+    if (m.index > text.length * 2 / 3) {
+      text = text.slice(0, m.index);
+      break;
+    }
+  }
+
+  text = text.replace(/[ \t]+\n/g, '\n').replace(/\n{3,}/g, '\n\n').trim();
+  if (text.length <= maxChars) return text;
+
+  // Prefer cutting at a word boundary
+  const cut = text.slice(0, maxChars);
+  const space = cut.lastIndexOf(' ');
+  return (space > maxChars * 0.8 ? cut.slice(0, space) : cut).trim();
+}
+
 /**
  * Phase 2: Gmail Integration - Web App Service Extensions
  * Added for Interactive Web App Agent
@@ -45,6 +217,7 @@ function findEmailsWithSummarizeLabel_() {
     // Use Gmail search to find emails with summarize label that are in inbox only
     const query = 'in:inbox label:summarize';
     const threads = GmailApp.search(query);
+    const attachmentOptions = getAttachmentOptions_(getConfig_());
     const emails = [];
 
     for (let i = 0; i < threads.length; i++) {
@@ -59,6 +232,7 @@ function findEmailsWithSummarizeLabel_() {
         from: latestMessage.getFrom() || '(Unknown Sender)',
         date: latestMessage.getDate().toISOString(),
         body: latestMessage.getPlainBody() || latestMessage.getBody() || '',
+        attachments: describeAttachments_(latestMessage, attachmentOptions),
         thread: thread  // Keep reference for operations
       });
     }
@@ -138,13 +312,18 @@ function bulkArchiveEmails_(emailIds) {
 
 /**
  * Generate Gmail permalinks for email references
- * Returns: array of { subject: string, url: string }
+ * Each email gets a reference token by position ("E1", "E2", ...) that summary prompts
+ * use instead of URLs; resolveSummaryLinks_() turns the tokens back into these links.
+ * Returns: array of { ref: string, id: string, threadId: string, subject: string, url: string }
  */
 function generateEmailPermalinks_(emails) {
-  return emails.map(function(email) {
+  return emails.map(function(email, index) {
     return {
+      ref: 'E' + (index + 1),
+      id: email.id,
+      threadId: email.threadId,
       subject: email.subject,
-      url: 'https://mail.google.com/mail/u/0/#inbox/' + email.threadId
+      url: createGmailUrl_(email.threadId || email.id).url
     };
   });
 }
@@ -171,6 +350,62 @@ function extractWebLinksFromEmails_(emails) {
   return Array.from(uniqueUrls);
 }
 
+/**
+ * Check every markdown link in an AI summary against the source emails
+ * - Reference tokens ([Subject](E3)) become the email's permalink
+ * - Gmail links must point to a source email; a wrong one is repaired from the thread or
+ *   message ID in the URL, a token in the link text, or a unique subject match
+ * - Other web links must appear in one of the source emails (webLinks)
+ * Links that can't be verified or repaired are replaced by their text.
+ * Returns: { text: string, repaired: number, removed: number }
+ */
+function resolveSummaryLinks_(markdown, emailLinks, webLinks) {
+  const byRef = {};
+  const byUrl = {};
+  const byId = {};
+  const bySubject = {};
+  emailLinks.forEach(function(link) {
+    byRef[link.ref.toUpperCase()] = link;
+    byUrl[link.url] = link;
+    if (link.threadId) byId[link.threadId] = link;
+    if (link.id) byId[link.id] = link;
+    const subject = String(link.subject || '').trim().toLowerCase();
+    // Duplicate subjects can't identify an email
+    bySubject[subject] = bySubject.hasOwnProperty(subject) ? null : link;
+  });
+  const knownWebLinks = new Set(webLinks || []);
+  const result = { text: '', repaired: 0, removed: 0 };
+
+  function findByText(text) {
+    const token = text.match(/\bE\d+\b/i);
+    if (token && byRef[token[0].toUpperCase()]) return byRef[token[0].toUpperCase()];
+    return bySubject[text.trim().toLowerCase()] || null;
+  }
+
+  // [text](target), allowing one level of parentheses inside the target
+  result.text = String(markdown || '').replace(/\[([^\]]+)\]\(((?:[^()\s]|\([^()\s]*\))+)\)/g, function(match, text, target) {
+    const token = target.replace(/^(ref:|#)/i, '').toUpperCase();
+    if (/^E\d+$/.test(token)) {
+      const link = byRef[token] || findByText(text);
+      if (link) return '[' + text + '](' + link.url + ')';
+    } else if (byUrl[target] || knownWebLinks.has(target) || knownWebLinks.has(target.replace(/[.,;:!?)]$/, ''))) {
+      // extractWebLinksFromEmails_() trims trailing punctuation, including a closing parenthesis
+      return match;
+    } else if (/^https?:\/\/mail\.google\.com\//i.test(target)) {
+      const id = target.split(/[\/#?]/).pop();
+      const link = byId[id] || findByText(text);
+      if (link) {
+        result.repaired++;
+        return '[' + text + '](' + link.url + ')';
+      }
+    }
+    result.removed++;
+    return text;
+  });
+
+  return result;
+}
+
 /**
  * Phase 4: Generic Service Layer - Agent Support Functions
  * Added for Self-Contained Agent Architecture (ADR-011, ADR-012)
@@ -179,9 +414,10 @@ function extractWebLinksFromEmails_(emails) {
 /**
  * Find emails by label within specified age limit
  * Generic function for agents to find emails with flexible criteria
+ * extraQuery: optional Gmail search terms combined with the label (e.g. "from:@example.com")
  * Returns: { success: boolean, emails: array, count: number, error?: string }
  */
-function findEmailsByLabelWithAge_(labelName, maxAgeDays, maxCount) {
+function findEmailsByLabelWithAge_(labelName, maxAgeDays, maxCount, extraQuery) {
   try {
     if (!labelName) {
       return {
@@ -203,8 +439,9 @@ function findEmailsByLabelWithAge_(labelName, maxAgeDays, maxCount) {
     cutoffDate.setDate(cutoffDate.getDate() - maxAgeDays);
 
     // Search for emails with the label
-    const query = `label:${labelName}`;
+    const query = extraQuery ? `label:${labelName} ${extraQuery}` : `label:${labelName}`;
     const threads = GmailApp.search(query, 0, maxCount || 100);
+    const attachmentOptions = getAttachmentOptions_(getConfig_());
     const emails = [];
 
     for (let i = 0; i < threads.length; i++) {
@@ -221,6 +458,7 @@ function findEmailsByLabelWithAge_(labelName, maxAgeDays, maxCount) {
           from: latestMessage.getFrom() || '(Unknown Sender)',
           date: latestMessage.getDate().toISOString(),
           body: latestMessage.getPlainBody() || latestMessage.getBody() || '',
+          attachments: describeAttachments_(latestMessage, attachmentOptions),
           thread: thread
         });
       }
@@ -394,7 +632,7 @@ function sendFormattedEmail_(to, subject, htmlContent, sourceEmails) {
       emailFooter += `<strong>Source Emails (${sourceEmails.length}):</strong><br>`;
 
       sourceEmails.forEach(function(email, index) {
-        const gmailUrl = `https://mail.google.com/mail/u/0/#inbox/${email.threadId || email.id}`;
+        const gmailUrl = createGmailUrl_(email.threadId || email.id).url;
         emailFooter += `${index + 1}. <a href="${gmailUrl}">${email.subject}</a><br>`;
       });
 
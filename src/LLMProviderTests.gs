@@ -0,0 +1,314 @@
+/**
+ * LLM Provider Layer Tests
+ *
+ * Exercises LLMService through the deterministic fake provider, so no network
+ * access or API key is needed. Run these functions individually in the Apps
+ * Script editor; each test logs results to the execution log (View > Logs).
+ *
+ * NOTE: generateConsolidatedSummary_() and generateReplyDraft_() still charge the
+ * daily AI budget (one call each), even though the fake provider answers locally.
+ */
+
+/**
+ * Test 1: Categorization parsing through the fake provider
+ *
+ * Tests: categorizeBatch_() extracts the emails array from a scripted response
+ */
+function testFakeProviderCategorizeBatch() {
+  Logger.log('========================================');
+  Logger.log('TEST 1: Fake Provider - categorizeBatch_()');
+  Logger.log('========================================\n');
+
+  const fake = createFakeLLMProvider_(JSON.stringify({
+    emails: [
+      { id: 'msg-1', required_action: 'reply_needed', reason: 'direct question' },
+      { id: 'msg-2', required_action: 'summarize', reason: 'newsletter' }
+    ]
+  }));
+
+  try {
+    LLMProviders.setOverride(fake);
+    const out = categorizeBatch_('test prompt', 'fake-model', getConfig_());
+
+    const passed = Array.isArray(out) && out.length === 2 && out[0].required_action === 'reply_needed';
+    Logger.log((passed ? '✅' : '❌') + ' Parsed ' + (out ? out.length : 0) + ' decisions');
+    Logger.log((fake.calls.length === 1 ? '✅' : '❌') + ' Provider called ' + fake.calls.length + ' time(s)');
+    Logger.log((fake.calls[0] && fake.calls[0].model === 'fake-model' ? '✅' : '❌') + ' Model passed through to provider');
+
+  } catch (e) {
+    Logger.log('❌ ERROR: ' + e.message);
+  } finally {
+    LLMProviders.setOverride(null);
+  }
+}
+
+/**
+ * Test 2: Malformed categorization response
+ *
+ * Tests: categorizeBatch_() returns null when the model never returns JSON
+ */
+function testFakeProviderMalformedResponse() {
+  Logger.log('========================================');
+  Logger.log('TEST 2: Fake Provider - Malformed Response');
+  Logger.log('========================================\n');
+
+  const fake = createFakeLLMProvider_('I am not JSON');
+
+  try {
+    LLMProviders.setOverride(fake);
+    const out = categorizeBatch_('test prompt', 'fake-model', getConfig_());
+    Logger.log((out === null ? '✅' : '❌') + ' Returned ' + JSON.stringify(out) + ' (expected null)');
+
+  } catch (e) {
+    Logger.log('❌ ERROR: ' + e.message);
+  } finally {
+    LLMProviders.setOverride(null);
+  }
+}
+
+/**
+ * Test 3: Token limit errors surface as actionable exceptions
+ */
+function testFakeProviderTokenLimit() {
+  Logger.log('========================================');
+  Logger.log('TEST 3: Fake Provider - Token Limit Error');
+  Logger.log('========================================\n');
+
+  const fake = createFakeLLMProvider_({ ok: false, status: 400, error: 'Request exceeded maximum context length' });
+
+  try {
+    LLMProviders.setOverride(fake);
+    categorizeBatch_('test prompt', 'fake-model', getConfig_());
+    Logger.log('❌ Expected an error to be thrown');
+
+  } catch (e) {
+    Logger.log((e.message.indexOf('token limit exceeded') !== -1 ? '✅' : '❌') + ' Threw: ' + e.message.substring(0, 120));
+  } finally {
+    LLMProviders.setOverride(null);
+  }
+}
+
+/**
+ * Test 4: Summary and reply draft generation
+ *
+ * Tests: generateConsolidatedSummary_() and generateReplyDraft_() use the provider text
+ */
+function testFakeProviderSummaryAndDraft() {
+  Logger.log('========================================');
+  Logger.log('TEST 4: Fake Provider - Summary and Draft');
+  Logger.log('========================================\n');
+
+  const fake = createFakeLLMProvider_(['  ### Headline\nSummary text  ', 'Hi Bob,\n\nThanks!\n\nAlice']);
+
+  try {
+    LLMProviders.setOverride(fake);
+
+    const summary = generateConsolidatedSummary_('summary prompt', {});
+    Logger.log((summary.success && summary.summary === '### Headline\nSummary text' ? '✅' : '❌') +
+      ' Summary: ' + JSON.stringify(summary));
+
+    const draft = generateReplyDraft_('draft prompt');
+    Logger.log((draft === 'Hi Bob,\n\nThanks!\n\nAlice' ? '✅' : '❌') + ' Draft: ' + JSON.stringify(draft));
+
+  } catch (e) {
+    Logger.log('❌ ERROR: ' + e.message);
+  } finally {
+    LLMProviders.setOverride(null);
+  }
+}
+
+/**
+ * Test 5: HTTP errors from the provider
+ *
+ * Tests: summary returns {success:false}; reply drafting throws
+ */
+function testFakeProviderHttpError() {
+  Logger.log('========================================');
+  Logger.log('TEST 5: Fake Provider - HTTP Error');
+  Logger.log('========================================\n');
+
+  const fake = createFakeLLMProvider_({ ok: false, status: 503, error: 'Service unavailable' });
+
+  try {
+    LLMProviders.setOverride(fake);
+
+    const summary = generateConsolidatedSummary_('summary prompt', {});
+    Logger.log((!summary.success && summary.error === 'AI service error: 503' ? '✅' : '❌') +
+      ' Summary: ' + JSON.stringify(summary));
+
+    try {
+      generateReplyDraft_('draft prompt');
+      Logger.log('❌ Expected generateReplyDraft_() to throw');
+    } catch (draftError) {
+      Logger.log((draftError.message.indexOf('503') !== -1 ? '✅' : '❌') + ' Draft threw: ' + draftError.message);
+    }
+
+  } catch (e) {
+    Logger.log('❌ ERROR: ' + e.message);
+  } finally {
+    LLMProviders.setOverride(null);
+  }
+}
+
+/**
+ * Test 6: OpenAI-compatible response parsing
+ */
+function testOpenAIResponseParsing() {
+  Logger.log('========================================');
+  Logger.log('TEST 6: OpenAI-Compatible Response Parsing');
+  Logger.log('========================================\n');
+
+  const sample = {
+    id: 'chatcmpl-123',
+    choices: [{ index: 0, message: { role: 'assistant', content: '{"emails": []}' }, finish_reason: 'stop' }]
+  };
+
+  const text = extractOpenAIText_(sample);
+  Logger.log((text === '{"emails": []}' ? '✅' : '❌') + ' Extracted: ' + text);
+  Logger.log((extractOpenAIText_({}) === '' ? '✅' : '❌') + ' Empty response yields empty text');
+}
+
+/**
+ * Test 7: JSON extraction tolerates prose and trailing objects
+ *
+ * Tests: extractFirstJson_() returns the first balanced object, not a greedy span
+ */
+function testExtractFirstJson() {
+  Logger.log('========================================');
+  Logger.log('TEST 7: extractFirstJson_()');
+  Logger.log('========================================\n');
+
+  const cases = [
+    { text: '{"emails": []}', expected: '{"emails":[]}' },
+    { text: 'Here you go: {"emails": [{"id": "a", "reason": "has } brace"}]} Hope this helps {"x": 1}', expected: '{"emails":[{"id":"a","reason":"has } brace"}]}' },
+    { text: '{not json} {"emails": []}', expected: '{"emails":[]}' },
+    { text: 'no json here', expected: 'null' }
+  ];
+
+  cases.forEach(function(c) {
+    const actual = JSON.stringify(extractFirstJson_(c.text));
+    Logger.log((actual === c.expected ? '✅' : '❌') + ' ' + JSON.stringify(c.text).substring(0, 60) + ' -> ' + actual);
+  });
+}
+
+/**
+ * Test 8: Structured output schema and strict validation
+ *
+ * Tests: the response schema reaches the provider; unknown and duplicate IDs are dropped
+ */
+function testStructuredOutputValidation() {
+  Logger.log('========================================');
+  Logger.log('TEST 8: Structured Output - Schema and Validation');
+  Logger.log('========================================\n');
+
+  const fake = createFakeLLMProvider_(JSON.stringify({
+    emails: [
+      { id: 'msg-1', required_action: 'todo', reason: 'task', confidence: 0.9 },
+      { id: 'msg-1', required_action: 'review', reason: 'duplicate', confidence: 0.9 },
+      { id: 'msg-999', required_action: 'todo', reason: 'not in batch', confidence: 0.9 }
+    ]
+  }));
+  const batch = [{ id: 'msg-1' }, { id: 'msg-2' }];
+  const schema = buildCategorizeResponseSchema_(['reply_needed', 'review', 'todo', 'summarize'], ['msg-1', 'msg-2']);
+
+  try {
+    LLMProviders.setOverride(fake);
+    const cfg = getConfig_();
+    const out = categorizeBatch_('test prompt', 'fake-model', cfg, { responseSchema: schema });
+    const valid = validateCategorizeOutput_(out, batch, cfg);
+
+    const sent = fake.calls[0] && fake.calls[0].responseSchema;
+    Logger.log((sent && sent.properties.emails.items.properties.id.enum.length === 2 ? '✅' : '❌') + ' Schema passed through to provider');
+    Logger.log((valid.length === 1 && valid[0].required_action === 'todo' ? '✅' : '❌') +
+      ' Validated entries: ' + JSON.stringify(valid));
+    Logger.log((toGeminiSchema_(schema).properties.emails.type === 'ARRAY' && !toGeminiSchema_(schema).additionalProperties ? '✅' : '❌') +
+      ' Gemini schema uses upper-case types without additionalProperties');
+
+  } catch (e) {
+    Logger.log('❌ ERROR: ' + e.message);
+  } finally {
+    LLMProviders.setOverride(null);
+  }
+}
+
+/**
+ * Test 9: Only missing decisions are re-requested
+ *
+ * Tests: categorizeWithGemini_() repairs an incomplete batch with a second, smaller request
+ * NOTE: Charges the daily AI budget (two calls)
+ */
+function testCategorizeRepairsMissingItems() {
+  Logger.log('========================================');
+  Logger.log('TEST 9: Categorizer - Repair Missing Items');
+  Logger.log('========================================\n');
+
+  const fake = createFakeLLMProvider_([
+    JSON.stringify({ emails: [{ id: 'msg-1', required_action: 'todo', reason: 'task', confidence: 0.9 }] }),
+    JSON.stringify({ emails: [{ id: 'msg-2', required_action: 'summarize', reason: 'newsletter', confidence: 0.9 }] })
+  ]);
+  const emails = [
+    { id: 'msg-1', threadId: 't-1', subject: 'Task', from: 'a@example.com', plainBody: 'Please do this' },
+    { id: 'msg-2', threadId: 't-2', subject: 'Weekly news', from: 'news@example.com', plainBody: 'Newsletter' }
+  ];
+
+  try {
+    LLMProviders.setOverride(fake);
+    const cfg = Object.assign(getConfig_(), { CATEGORIZE_REPAIR_ATTEMPTS: 1, ESCALATION_ENABLED: false });
+    const results = categorizeWithGemini_(emails, null, cfg, null);
+
+    const secondSchema = fake.calls[1] && fake.calls[1].responseSchema;
+    Logger.log((fake.calls.length === 2 ? '✅' : '❌') + ' Provider called ' + fake.calls.length + ' time(s)');
+    Logger.log((!cfg.STRUCTURED_OUTPUT || (secondSchema && secondSchema.properties.emails.items.properties.id.enum.join() === 'msg-2') ? '✅' : '❌') +
+      ' Repair request only asked for msg-2');
+    Logger.log((results.every(function(r) { return !!r.required_action; }) ? '✅' : '❌') +
+      ' Results: ' + JSON.stringify(results.map(function(r) { return r.id + '=' + r.required_action; })));
+
+  } catch (e) {
+    Logger.log('❌ ERROR: ' + e.message);
+  } finally {
+    LLMProviders.setOverride(null);
+  }
+}
+
+/**
+ * Run All LLM Provider Tests
+ */
+function runAllLLMProviderTests() {
+  Logger.log('\n\n');
+  Logger.log('╔════════════════════════════════════════╗');
+  Logger.log('║  LLM Provider Test Suite               ║');
+  Logger.log('╚════════════════════════════════════════╝');
+  Logger.log('\n');
+
+  testFakeProviderCategorizeBatch();
+  Logger.log('\n\n');
+
+  testFakeProviderMalformedResponse();
+  Logger.log('\n\n');
+
+  testFakeProviderTokenLimit();
+  Logger.log('\n\n');
+
+  testFakeProviderSummaryAndDraft();
+  Logger.log('\n\n');
+
+  testFakeProviderHttpError();
+  Logger.log('\n\n');
+
+  testOpenAIResponseParsing();
+  Logger.log('\n\n');
+
+  testExtractFirstJson();
+  Logger.log('\n\n');
+
+  testStructuredOutputValidation();
+  Logger.log('\n\n');
+
+  testCategorizeRepairsMissingItems();
+  Logger.log('\n\n');
+
+  Logger.log('╔════════════════════════════════════════╗');
+  Logger.log('║  Test Suite Complete                   ║');
+  Logger.log('╚════════════════════════════════════════╝');
+  Logger.log('\nAll tests should show ✅.');
+}
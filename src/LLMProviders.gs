@@ -0,0 +1,415 @@
+/**
+ * LLMProviders.gs - Pluggable LLM provider layer
+ *
+ * Every AI call in the project goes through callLLM_(), which resolves a provider
+ * from configuration and returns a normalized response. Providers own endpoint
+ * URLs, authentication and response parsing, so services and agents never touch
+ * raw API payloads.
+ *
+ * Built-in providers:
+ * - gemini: Generative Language API (AI Studio) using GEMINI_API_KEY
+ * - vertex: Vertex AI using the script's OAuth token and GOOGLE_CLOUD_PROJECT
+ * - openai: Any OpenAI-compatible chat completions endpoint (LLM_BASE_URL, LLM_API_KEY)
+ * - fake:   Deterministic provider that never touches the network (tests, dry integration runs)
+ *
+ * Selection:
+ * - LLM_PROVIDER script property ('gemini' | 'vertex' | 'openai' | 'fake')
+ * - Default 'auto': gemini when GEMINI_API_KEY is set, otherwise vertex
+ * - LLMProviders.setOverride(provider) replaces the configured provider for the
+ *   current execution (used by tests with createFakeLLMProvider_())
+ *
+ * Provider contract:
+ *   provider.generate(request, cfg) -> { ok, status, text, error?, raw? }
+ *   provider.validate(cfg)          -> null when usable, otherwise an actionable error string
+ *   request: { prompt: string, model: string, responseSchema?: Object }
+ *
+ * Structured output:
+ *   When request.responseSchema (a JSON Schema object) is present, providers ask the
+ *   model for schema-constrained JSON: Gemini/Vertex via generationConfig.responseSchema,
+ *   OpenAI-compatible endpoints via response_format json_schema. Providers that cannot
+ *   honor it simply ignore it; callers still validate the parsed output.
+ */
+
+var LLMProviders = (function() {
+  var providers = {};
+  var override = null;
+
+  /**
+   * Register a provider under a name (later registrations replace earlier ones)
+   */
+  function register(name, provider) {
+    if (!name) {
+      throw new Error('LLM provider registration requires a name');
+    }
+    if (!provider || typeof provider.generate !== 'function') {
+      throw new Error('LLM provider "' + name + '": generate must be a function');
+    }
+    providers[name] = provider;
+  }
+
+  /**
+   * Resolve the provider name from configuration
+   */
+  function resolveName(cfg) {
+    var name = String(cfg.LLM_PROVIDER || 'auto').toLowerCase();
+    if (name === 'auto') {
+      return cfg.GEMINI_API_KEY ? 'gemini' : 'vertex';
+    }
+    return name;
+  }
+
+  /**
+   * Get the provider to use for this execution
+   * Honors a test override before configuration
+   */
+  function resolve(cfg) {
+    if (override) return override;
+    var name = resolveName(cfg);
+    var provider = providers[name];
+    if (!provider) {
+      throw new Error('Unknown LLM_PROVIDER "' + name + '". Expected one of: ' + Object.keys(providers).join(', '));
+    }
+    return provider;
+  }
+
+  /**
+   * Replace the configured provider for this execution (pass null to clear)
+   */
+  function setOverride(provider) {
+    if (provider && typeof provider.generate !== 'function') {
+      throw new Error('LLM provider override must implement generate()');
+    }
+    override = provider || null;
+  }
+
+  function names() {
+    return Object.keys(providers);
+  }
+
+  // --------------------------------------------------------------------------
+  // Built-in providers
+  // --------------------------------------------------------------------------
+
+  register('gemini', {
+    name: 'gemini',
+    validate: function(cfg) {
+      return cfg.GEMINI_API_KEY ? null : 'Set GEMINI_API_KEY to use the gemini provider.';
+    },
+    generate: function(request, cfg) {
+      var url = 'https://generativelanguage.googleapis.com/v1beta/models/' + encodeURIComponent(request.model) +
+        ':generateContent?key=' + encodeURIComponent(cfg.GEMINI_API_KEY);
+      return generateGeminiContent_(url, {}, request);
+    }
+  });
+
+  register('vertex', {
+    name: 'vertex',
+    validate: function(cfg) {
+      return cfg.PROJECT_ID ? null : 'Set GEMINI_API_KEY (API key mode) or GOOGLE_CLOUD_PROJECT (Vertex mode).';
+    },
+    generate: function(request, cfg) {
+      var url = 'https://' + cfg.LOCATION + '-aiplatform.googleapis.com/v1/projects/' + encodeURIComponent(cfg.PROJECT_ID) +
+        '/locations/' + encodeURIComponent(cfg.LOCATION) + '/publishers/google/models/' + encodeURIComponent(request.model) + ':generateContent';
+      return generateGeminiContent_(url, { Authorization: 'Bearer ' + ScriptApp.getOAuthToken() }, request);
+    }
+  });
+
+  register('openai', {
+    name: 'openai',
+    validate: function(cfg) {
+      return cfg.LLM_BASE_URL ? null : 'Set LLM_BASE_URL (e.g. https://llm.internal.example.com/v1) to use the openai provider.';
+    },
+    generate: function(request, cfg) {
+      var url = String(cfg.LLM_BASE_URL).replace(/\/+$/, '') + '/chat/completions';
+      var headers = cfg.LLM_API_KEY ? { Authorization: 'Bearer ' + cfg.LLM_API_KEY } : {};
+      var payload = {
+        model: request.model,
+        messages: [{ role: 'user', content: request.prompt }]
+      };
+      if (request.responseSchema) {
+        payload.response_format = {
+          type: 'json_schema',
+          json_schema: { name: 'response', strict: true, schema: request.responseSchema }
+        };
+      }
+      var res = fetchLLMJson_(url, headers, payload);
+      // Not every compatible server supports json_schema; retry once as plain text
+      if (res.status === 400 && payload.response_format) {
+        delete payload.response_format;
+        res = fetchLLMJson_(url, headers, payload);
+      }
+      var json = res.json || {};
+      var text = extractOpenAIText_(json);
+      var error = json.error ? (json.error.message || JSON.stringify(json.error)) : null;
+      return {
+        ok: res.status === 200 && !error,
+        status: res.status,
+        text: text,
+        error: error || (res.status !== 200 ? res.body : null),
+        raw: json
+      };
+    }
+  });
+
+  register('fake', createFakeLLMProvider_(function() {
+    return PropertiesService.getScriptProperties().getProperty('LLM_FAKE_RESPONSE') || '';
+  }));
+
+  return {
+    register: register,
+    resolve: resolve,
+    resolveName: resolveName,
+    setOverride: setOverride,
+    names: names
+  };
+})();
+
+// ============================================================================
+// Public entry point
+// ============================================================================
+
+/**
+ * Send a prompt to the configured LLM provider
+ *
+ * Never throws for provider/HTTP failures - inspect `ok` and `error` instead.
+ * Callers decide how to surface failures (null, {success:false}, or throw).
+ *
+ * @param {string} prompt - Complete prompt from PromptBuilder
+ * @param {Object} options - Call options
+ * @param {string} options.model - Model name (default: cfg.MODEL_PRIMARY)
+ * @param {Object} options.cfg - Configuration from getConfig_() (loaded when omitted)
+ * @param {Object} options.responseSchema - Optional JSON Schema for structured output
+ * @param {string} options.consumer - Budget consumer charged for the tokens used (see BudgetService.gs), optional
+ * @returns {{ok: boolean, status: number, text: string, error: string|null, tokenLimitExceeded: boolean, provider: string, model: string, usage: Object, latencyMs: number, raw: Object}}
+ */
+function callLLM_(prompt, options) {
+  options = options || {};
+  const cfg = options.cfg || getConfig_();
+  const model = options.model || cfg.MODEL_PRIMARY;
+  const request = { prompt: prompt, model: model };
+  if (options.responseSchema) request.responseSchema = options.responseSchema;
+
+  let provider;
+  let res;
+  const startedAt = Date.now();
+  try {
+    provider = LLMProviders.resolve(cfg);
+    res = provider.generate(request, cfg) || {};
+  } catch (e) {
+    res = { ok: false, status: 0, text: '', error: e && e.toString ? e.toString() : String(e) };
+  }
+  const latencyMs = Date.now() - startedAt;
+
+  const response = {
+    ok: !!res.ok && !!res.text,
+    status: typeof res.status === 'number' ? res.status : 0,
+    text: res.text || '',
+    error: res.error || (res.ok && !res.text ? 'Empty response from AI service' : null),
+    tokenLimitExceeded: isTokenLimitError_(res.error),
+    provider: provider && provider.name ? provider.name : LLMProviders.resolveName(cfg),
+    model: model,
+    usage: extractLLMUsage_(res.raw, prompt, res.text),
+    latencyMs: latencyMs,
+    raw: res.raw || null
+  };
+  recordLLMCall_(response, options.consumer);
+  if (options.consumer) {
+    chargeBudgetTokens_(options.consumer, response.usage.promptTokens + response.usage.outputTokens);
+  }
+
+  if (cfg.DEBUG) {
+    console.log(JSON.stringify({
+      llmCall: {
+        provider: response.provider,
+        model: model,
+        promptChars: prompt ? prompt.length : 0,
+        structured: !!request.responseSchema,
+        consumer: options.consumer || null,
+        httpStatus: response.status,
+        latencyMs: latencyMs,
+        usage: response.usage,
+        ok: response.ok,
+        error: response.error
+      }
+    }, null, 2));
+  }
+
+  return response;
+}
+
+/**
+ * Check that the configured provider has the settings it needs
+ *
+ * @param {Object} cfg - Configuration from getConfig_()
+ * @returns {string|null} Actionable error message, or null when usable
+ */
+function validateLLMProviderConfig_(cfg) {
+  try {
+    const provider = LLMProviders.resolve(cfg);
+    return typeof provider.validate === 'function' ? provider.validate(cfg) : null;
+  } catch (e) {
+    return e.message;
+  }
+}
+
+/**
+ * Create a deterministic provider that never calls the network
+ *
+ * `responder` may be:
+ * - a function(request, callIndex) returning text or a response object
+ * - an array of texts/response objects, consumed in order (the last one repeats)
+ * - a single text
+ *
+ * Response objects use the provider contract ({ ok, status, text, error }), which
+ * lets tests simulate HTTP errors and token limit failures.
+ * Every request is recorded in provider.calls for assertions.
+ *
+ * @param {Function|Array|string} responder - Scripted responses
+ * @returns {{name: string, calls: Array, generate: Function, validate: Function}}
+ */
+function createFakeLLMProvider_(responder) {
+  const provider = {
+    name: 'fake',
+    calls: [],
+    validate: function() { return null; },
+    generate: function(request) {
+      const index = provider.calls.length;
+      provider.calls.push({ prompt: request.prompt, model: request.model, responseSchema: request.responseSchema || null });
+
+      let out;
+      if (typeof responder === 'function') {
+        out = responder(request, index);
+      } else if (Array.isArray(responder)) {
+        out = responder.length ? responder[Math.min(index, responder.length - 1)] : '';
+      } else {
+        out = responder;
+      }
+
+      if (out && typeof out === 'object') {
+        return {
+          ok: out.ok !== false,
+          status: typeof out.status === 'number' ? out.status : (out.ok === false ? 500 : 200),
+          text: out.text || '',
+          error: out.error || null,
+          raw: out
+        };
+      }
+      return { ok: true, status: 200, text: out ? String(out) : '', error: null, raw: null };
+    }
+  };
+  return provider;
+}
+
+// ============================================================================
+// Provider helpers (Private)
+// ============================================================================
+
+/**
+ * POST a JSON payload and parse the JSON response
+ * @private
+ */
+function fetchLLMJson_(url, headers, payload) {
+  const response = UrlFetchApp.fetch(url, {
+    method: 'post',
+    contentType: 'application/json',
+    headers: headers || {},
+    payload: JSON.stringify(payload),
+    muteHttpExceptions: true
+  });
+  const body = response.getContentText();
+  let json = null;
+  try { json = JSON.parse(body); } catch (e) { json = null; }
+  return { status: response.getResponseCode(), body: body, json: json };
+}
+
+/**
+ * Shared request/response handling for Gemini API key and Vertex endpoints
+ * @private
+ */
+function generateGeminiContent_(url, headers, request) {
+  const payload = { contents: [{ role: 'user', parts: [{ text: request.prompt }] }] };
+  if (request.responseSchema) {
+    payload.generationConfig = {
+      responseMimeType: 'application/json',
+      responseSchema: toGeminiSchema_(request.responseSchema)
+    };
+  }
+  const res = fetchLLMJson_(url, headers, payload);
+  const json = res.json || {};
+  const error = json.error ? (json.error.message || JSON.stringify(json.error)) : null;
+  return {
+    ok: res.status === 200 && !error,
+    status: res.status,
+    text: extractGeminiText_(json),
+    error: error || (res.status !== 200 ? res.body : null),
+    raw: json
+  };
+}
+
+/**
+ * Convert a JSON Schema into the OpenAPI subset accepted by Gemini's responseSchema
+ * (upper-case types; unsupported keywords such as additionalProperties are dropped)
+ * @private
+ */
+function toGeminiSchema_(schema) {
+  const out = {};
+  if (schema.type) out.type = String(schema.type).toUpperCase();
+  ['description', 'enum', 'required', 'minimum', 'maximum', 'minItems', 'maxItems'].forEach(function(key) {
+    if (schema[key] !== undefined) out[key] = schema[key];
+  });
+  if (schema.items) out.items = toGeminiSchema_(schema.items);
+  if (schema.properties) {
+    out.properties = {};
+    Object.keys(schema.properties).forEach(function(key) {
+      out.properties[key] = toGeminiSchema_(schema.properties[key]);
+    });
+  }
+  return out;
+}
+
+/**
+ * Extract text from a Gemini generateContent response
+ * @private
+ */
+function extractGeminiText_(json) {
+  return (json && json.candidates && json.candidates[0] && json.candidates[0].content &&
+    json.candidates[0].content.parts && json.candidates[0].content.parts[0] &&
+    json.candidates[0].content.parts[0].text) || '';
+}
+
+/**
+ * Extract text from an OpenAI-compatible chat completions response
+ * @private
+ */
+function extractOpenAIText_(json) {
+  return (json && json.choices && json.choices[0] && json.choices[0].message &&
+    json.choices[0].message.content) || '';
+}
+
+/**
+ * Token usage reported by the provider, estimated from text length when missing
+ * Reads Gemini usageMetadata and OpenAI-compatible usage objects.
+ * @private
+ */
+function extractLLMUsage_(raw, prompt, text) {
+  const gemini = raw && raw.usageMetadata;
+  if (gemini && typeof gemini.promptTokenCount === 'number') {
+    return { promptTokens: gemini.promptTokenCount, outputTokens: gemini.candidatesTokenCount || 0, estimated: false };
+  }
+  const openai = raw && raw.usage;
+  if (openai && typeof openai.prompt_tokens === 'number') {
+    return { promptTokens: openai.prompt_tokens, outputTokens: openai.completion_tokens || 0, estimated: false };
+  }
+  return { promptTokens: estimateTokens_(prompt), outputTokens: estimateTokens_(text), estimated: true };
+}
+
+/**
+ * Detect context-window errors across providers
+ * @private
+ */
+function isTokenLimitError_(message) {
+  if (!message) return false;
+  const msg = String(message);
+  return msg.includes('token limit') || msg.includes('context length') || msg.includes('exceeded maximum') ||
+    msg.includes('context_length_exceeded') || msg.includes('maximum context');
+}
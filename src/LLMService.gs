@@ -1,8 +1,18 @@
-function categorizeBatch_(prompt, model, projectId, location, apiKey) {
-  // Prompt is already built by PromptBuilder - just make the API call
-  const payload = { contents: [{ role: 'user', parts: [{ text: prompt }]}] };
+/**
+ * Send a categorization prompt to the configured LLM provider and parse the result
+ *
+ * @param {string} prompt - Complete prompt from buildCategorizePrompt_()
+ * @param {string} model - Model name (e.g. cfg.MODEL_PRIMARY)
+ * @param {Object} cfg - Configuration from getConfig_()
+ * @param {Object} options - Optional { responseSchema, consumer } (consumer defaults to 'labeling')
+ * @returns {Array|null} Parsed `emails` array, or null when the response could not be parsed
+ * @throws {Error} If the prompt exceeded the model's context window
+ */
+function categorizeBatch_(prompt, model, cfg, options) {
+  cfg = cfg || getConfig_();
+  options = options || {};
 
-  if (PropertiesService.getScriptProperties().getProperty('DEBUG') === 'true') {
+  if (cfg.DEBUG) {
     console.log(JSON.stringify({
       promptSent: {
         promptLength: prompt.length,
@@ -12,20 +22,6 @@ function categorizeBatch_(prompt, model, projectId, location, apiKey) {
     }, null, 2));
   }
 
-  // If API key is present, use Generative Language API (AI Studio) endpoint; else use Vertex OAuth.
-  const useApiKey = !!apiKey;
-  const url = useApiKey
-    ? ('https://generativelanguage.googleapis.com/v1beta/models/' + encodeURIComponent(model) + ':generateContent?key=' + encodeURIComponent(apiKey))
-    : ('https://' + location + '-aiplatform.googleapis.com/v1/projects/' + encodeURIComponent(projectId) + '/locations/' + encodeURIComponent(location) + '/publishers/google/models/' + encodeURIComponent(model) + ':generateContent');
-  const headers = useApiKey ? {} : { Authorization: 'Bearer ' + ScriptApp.getOAuthToken() };
-  const opts = {
-    method: 'post',
-    contentType: 'application/json',
-    headers: headers,
-    payload: JSON.stringify(payload),
-    muteHttpExceptions: true
-  };
-
   const parseOut = function(txt) {
     try {
       const first = extractFirstJson_(txt);
@@ -33,70 +29,124 @@ function categorizeBatch_(prompt, model, projectId, location, apiKey) {
     } catch (e) { return null; }
   };
 
-  let res = UrlFetchApp.fetch(url, opts);
-  let json = {};
-  try { json = JSON.parse(res.getContentText()); } catch (e) { json = {}; }
+  const res = callLLM_(prompt, {
+    model: model,
+    cfg: cfg,
+    responseSchema: options.responseSchema || null,
+    consumer: options.consumer || 'labeling'
+  });
 
   // Check for token limit errors and provide actionable error message
-  if (json.error && json.error.message) {
-    const errorMsg = json.error.message;
-    if (errorMsg.includes('token limit') || errorMsg.includes('context length') || errorMsg.includes('exceeded maximum')) {
-      throw new Error(
-        'Gemini API token limit exceeded. ' +
-        'Your knowledge documents and emails exceeded the model\'s 1M token capacity. ' +
-        'Try reducing LABEL_KNOWLEDGE_MAX_DOCS or processing fewer emails. ' +
-        'Original error: ' + errorMsg
-      );
-    }
+  if (res.tokenLimitExceeded) {
+    throw new Error(
+      'LLM token limit exceeded. ' +
+      'Your knowledge documents and emails exceeded the model\'s context capacity. ' +
+      'Try reducing LABEL_KNOWLEDGE_MAX_DOCS or processing fewer emails. ' +
+      'Original error: ' + res.error
+    );
   }
 
-  if (PropertiesService.getScriptProperties().getProperty('DEBUG') === 'true') {
-    console.log(JSON.stringify({ requestChars: prompt.length, httpStatus: res.getResponseCode(), apiMode: useApiKey ? 'apiKey' : 'vertex', raw: json }, null, 2));
+  if (cfg.DEBUG) {
+    console.log(JSON.stringify({ requestChars: prompt.length, httpStatus: res.status, provider: res.provider, raw: res.raw }, null, 2));
   }
-  let txt = (json.candidates && json.candidates[0] && json.candidates[0].content && json.candidates[0].content.parts && json.candidates[0].content.parts[0] && json.candidates[0].content.parts[0].text) || '';
-  let out = parseOut(txt);
+  const out = parseOut(res.text);
 
   if (!out) {
-    const model2 = model; // optionally escalate
-    const url2 = useApiKey
-      ? ('https://generativelanguage.googleapis.com/v1beta/models/' + encodeURIComponent(model2) + ':generateContent?key=' + encodeURIComponent(apiKey))
-      : ('https://' + location + '-aiplatform.googleapis.com/v1/projects/' + encodeURIComponent(projectId) + '/locations/' + encodeURIComponent(location) + '/publishers/google/models/' + encodeURIComponent(model2) + ':generateContent');
-    res = UrlFetchApp.fetch(url2, opts);
-    try { json = JSON.parse(res.getContentText()); } catch (e) { json = {}; }
-    if (PropertiesService.getScriptProperties().getProperty('DEBUG') === 'true') {
-      console.log(JSON.stringify({ retry: true, httpStatus: res.getResponseCode(), raw: json }, null, 2));
-    }
-    txt = (json.candidates && json.candidates[0] && json.candidates[0].content && json.candidates[0].content.parts && json.candidates[0].content.parts[0] && json.candidates[0].content.parts[0].text) || '';
-    out = parseOut(txt);
-  }
-
-  if (!out) {
-    if (PropertiesService.getScriptProperties().getProperty('DEBUG') === 'true') {
+    if (cfg.DEBUG) {
       console.log(JSON.stringify({ parsedEmails: null, reason: 'malformed-json-or-empty' }, null, 2));
     }
-    // Return null to signal parsing failure - caller handles fallback logic
+    // Return null to signal parsing failure - caller handles escalation and fallback logic
     return null;
   }
   return out;
 }
 
+/**
+ * Parse the first JSON object in model output
+ *
+ * Structured-output responses are parsed directly. Otherwise each balanced
+ * {...} span (ignoring braces inside strings) is tried in order, so prose or
+ * a second object around the JSON no longer breaks parsing.
+ *
+ * @param {string} txt - Raw model text
+ * @returns {Object|null} First parsable object, or null
+ */
 function extractFirstJson_(txt) {
-  const m = txt.match(/\{[\s\S]*\}/);
-  if (!m) return null;
-  return JSON.parse(m[0]);
+  if (!txt) return null;
+  const trimmed = String(txt).trim();
+  try {
+    const whole = JSON.parse(trimmed);
+    if (whole && typeof whole === 'object') return whole;
+  } catch (e) {
+    // Not pure JSON - fall through to scanning
+  }
+
+  for (let start = trimmed.indexOf('{'); start !== -1; start = trimmed.indexOf('{', start + 1)) {
+    const end = findMatchingBrace_(trimmed, start);
+    if (end === -1) continue;
+    try {
+      return JSON.parse(trimmed.slice(start, end + 1));
+    } catch (e) {
+      // Not valid JSON - try the next opening brace
+    }
+  }
+  return null;
+}
+
+/**
+ * Find the index of the brace closing the one at `start`, or -1 when unbalanced
+ * @private
+ */
+function findMatchingBrace_(txt, start) {
+  let depth = 0;
+  let inString = false;
+  for (let i = start; i < txt.length; i++) {
+    const ch = txt[i];
+    if (inString) {
+      if (ch === '\\') i++;
+      else if (ch === '"') inString = false;
+    } else if (ch === '"') {
+      inString = true;
+    } else if (ch === '{') {
+      depth++;
+    } else if (ch === '}') {
+      depth--;
+      if (depth === 0) return i;
+    }
+  }
+  return -1;
 }
 
-function enforceBudget_(nCalls, dailyLimit) {
-  const d = new Date();
-  const year = d.getFullYear();
-  const month = String(d.getMonth() + 1).padStart(2, '0');
-  const day = String(d.getDate()).padStart(2, '0');
-  const key = 'BUDGET-' + year + '-' + month + '-' + day;
-  const props = PropertiesService.getScriptProperties();
-  const cur = parseInt(props.getProperty(key) || '0', 10);
-  if (cur + nCalls > dailyLimit) return false;
-  props.setProperty(key, String(cur + nCalls));
-  return true;
+/**
+ * Extract structured action items (tasks, meeting proposals) with a pre-built prompt
+ *
+ * @param {string} prompt - Prompt from buildActionItemPrompt_()
+ * @param {Object} options - { model, responseSchema, consumer } (consumer defaults to 'task_extractor')
+ * @returns {{success: boolean, items?: Array<Object>, error?: string}} Parsed items
+ */
+function extractActionItems_(prompt, options) {
+  options = options || {};
+  const cfg = getConfig_();
+  const consumer = options.consumer || 'task_extractor';
+  if (!reserveBudget_(consumer, cfg).allowed) {
+    return { success: false, error: 'Daily AI budget exceeded for ' + consumer };
+  }
+
+  const res = callLLM_(prompt, {
+    model: options.model || cfg.MODEL_PRIMARY,
+    cfg: cfg,
+    responseSchema: options.responseSchema || null,
+    consumer: consumer
+  });
+  if (!res.ok) {
+    return { success: false, error: 'AI service error: ' + res.error };
+  }
+
+  const parsed = extractFirstJson_(res.text);
+  if (!parsed || !Array.isArray(parsed.items)) {
+    return { success: false, error: 'AI response did not contain an items list' };
+  }
+  return { success: true, items: parsed.items };
 }
 
 /**
@@ -124,77 +174,33 @@ function generateConsolidatedSummary_(prompt, config) {
 
     // Get configuration
     const cfg = getConfig_();
-    const model = cfg.MODEL_PRIMARY;
-    const apiKey = cfg.GEMINI_API_KEY;
-    const projectId = cfg.PROJECT_ID;
-    const location = cfg.LOCATION;
 
-    // Check budget
-    if (!enforceBudget_(1, cfg.DAILY_GEMINI_BUDGET)) {
+    // Check budget (the web app passes consumer 'webapp'; the summarizer agent uses its own)
+    const consumer = config && config.budgetConsumer || 'summarizer';
+    if (!reserveBudget_(consumer, cfg).allowed) {
       return {
         success: false,
         error: 'Daily AI budget exceeded. Please try again tomorrow.'
       };
     }
 
-    // Prepare API request using existing patterns
-    const payload = {
-      contents: [{
-        role: 'user',
-        parts: [{ text: prompt }]
-      }]
-    };
-
     // Debug logging following existing pattern
     if (cfg.DEBUG) {
       Logger.log(`LLMService.generateConsolidatedSummary_: Prompt length: ${prompt.length} chars`);
     }
 
-    // Choose API endpoint based on available credentials (following existing pattern)
-    const useApiKey = !!apiKey;
-    const url = useApiKey
-      ? `https://generativelanguage.googleapis.com/v1beta/models/${encodeURIComponent(model)}:generateContent?key=${encodeURIComponent(apiKey)}`
-      : `https://${location}-aiplatform.googleapis.com/v1/projects/${encodeURIComponent(projectId)}/locations/${encodeURIComponent(location)}/publishers/google/models/${encodeURIComponent(model)}:generateContent`;
-
-    const headers = useApiKey ? {} : { Authorization: 'Bearer ' + ScriptApp.getOAuthToken() };
-    const options = {
-      method: 'post',
-      contentType: 'application/json',
-      headers: headers,
-      payload: JSON.stringify(payload),
-      muteHttpExceptions: true
-    };
-
-    // Make API call
-    const response = UrlFetchApp.fetch(url, options);
-    const responseText = response.getContentText();
-    let json = {};
+    // Provider layer handles endpoint, authentication and response parsing
+    const response = callLLM_(prompt, { model: cfg.MODEL_PRIMARY, cfg: cfg, consumer: consumer });
 
-    try {
-      json = JSON.parse(responseText);
-    } catch (parseError) {
-      Logger.log('LLM API JSON parse error: ' + parseError.toString());
+    if (!response.ok && response.status !== 200) {
+      Logger.log('LLM API error: ' + response.error);
       return {
         success: false,
-        error: 'Failed to parse AI service response'
+        error: `AI service error: ${response.status}`
       };
     }
 
-    if (response.getResponseCode() !== 200) {
-      Logger.log('LLM API error: ' + responseText);
-      return {
-        success: false,
-        error: `AI service error: ${response.getResponseCode()}`
-      };
-    }
-
-    // Extract summary text from response (following existing pattern)
-    const summaryText = json.candidates
-      && json.candidates[0]
-      && json.candidates[0].content
-      && json.candidates[0].content.parts
-      && json.candidates[0].content.parts[0]
-      && json.candidates[0].content.parts[0].text;
+    const summaryText = response.text;
 
     if (!summaryText) {
       return {
@@ -228,78 +234,43 @@ function generateConsolidatedSummary_(prompt, config) {
  * Use buildReplyDraftPrompt_(emailThread, knowledge) before calling this function.
  *
  * @param {string} prompt - Pre-built prompt from PromptBuilder
- * @param {string} model - Model name (e.g., 'gemini-2.0-flash-exp')
- * @param {string} projectId - Google Cloud project ID (for Vertex AI)
- * @param {string} location - Google Cloud location (for Vertex AI)
- * @param {string} apiKey - Gemini API key (for API key auth)
- * @returns {string} Draft reply text
+ * @param {string} model - Model name (default: MODEL_PRIMARY)
+ * @param {string} consumer - Budget consumer (default: 'reply_drafter')
+ * @param {Object} responseSchema - JSON schema for structured output (optional)
+ * @returns {string} Draft reply text (the raw JSON text when a schema is given)
  * @throws {Error} If API call fails or budget exceeded
  */
-function generateReplyDraft_(prompt, model, projectId, location, apiKey) {
+function generateReplyDraft_(prompt, model, consumer, responseSchema) {
   // Check budget
   const cfg = getConfig_();
-  if (!enforceBudget_(1, cfg.DAILY_GEMINI_BUDGET)) {
-    throw new Error('Daily AI budget exceeded for reply drafting. Please try again tomorrow.');
+  consumer = consumer || 'reply_drafter';
+  if (!reserveBudget_(consumer, cfg).allowed) {
+    throw new Error('Daily AI budget exceeded for ' + consumer + '. Please try again tomorrow.');
   }
 
-  // Build API request
-  const payload = {
-    contents: [{
-      role: 'user',
-      parts: [{ text: prompt }]
-    }]
-  };
-
-  // Choose endpoint based on authentication
-  const useApiKey = !!apiKey;
-  const url = useApiKey
-    ? 'https://generativelanguage.googleapis.com/v1beta/models/' + encodeURIComponent(model) + ':generateContent?key=' + encodeURIComponent(apiKey)
-    : 'https://' + location + '-aiplatform.googleapis.com/v1/projects/' + encodeURIComponent(projectId) + '/locations/' + encodeURIComponent(location) + '/publishers/google/models/' + encodeURIComponent(model) + ':generateContent';
-
-  const headers = useApiKey ? {} : { Authorization: 'Bearer ' + ScriptApp.getOAuthToken() };
-  const options = {
-    method: 'post',
-    contentType: 'application/json',
-    headers: headers,
-    payload: JSON.stringify(payload),
-    muteHttpExceptions: true
-  };
-
-  // Make API call
-  const response = UrlFetchApp.fetch(url, options);
-  const responseCode = response.getResponseCode();
-
-  if (responseCode !== 200) {
-    const errorText = response.getContentText();
+  // Provider layer handles endpoint, authentication and response parsing
+  const response = callLLM_(prompt, {
+    model: model || cfg.MODEL_PRIMARY,
+    cfg: cfg,
+    responseSchema: responseSchema || null,
+    consumer: consumer
+  });
 
+  if (!response.ok && response.status !== 200) {
     // Handle token limit errors gracefully
-    if (errorText.includes('token limit') || errorText.includes('context length') || errorText.includes('exceeded maximum')) {
+    if (response.tokenLimitExceeded) {
       throw new Error(
-        'Gemini API token limit exceeded. ' +
+        'LLM token limit exceeded. ' +
         'Your knowledge documents and email thread exceeded the model\'s capacity. ' +
-        'Try reducing REPLY_DRAFTER_CONTEXT_MAX_DOCS or simplifying instructions. ' +
-        'Original error: ' + errorText
+        'Try reducing REPLY_DRAFTER_KNOWLEDGE_MAX_DOCS or simplifying instructions. ' +
+        'Original error: ' + response.error
       );
     }
 
-    throw new Error('AI service error (' + responseCode + '): ' + errorText);
-  }
-
-  // Parse response
-  let json = {};
-  try {
-    json = JSON.parse(response.getContentText());
-  } catch (e) {
-    throw new Error('Failed to parse AI service response: ' + e.message);
+    throw new Error('AI service error (' + response.status + '): ' + response.error);
   }
 
-  // Extract draft text
-  const draftText = json.candidates
-    && json.candidates[0]
-    && json.candidates[0].content
-    && json.candidates[0].content.parts
-    && json.candidates[0].content.parts[0]
-    && json.candidates[0].content.parts[0].text;
+  const draftText = response.text;
 
   if (!draftText) {
     throw new Error('No draft text received from AI service');
@@ -27,6 +27,7 @@ function testValidateConfiguration() {
   Logger.log('  PROJECT_ID: ' + (cfg.PROJECT_ID ? 'configured' : 'not configured'));
   Logger.log('  DEBUG: ' + cfg.DEBUG);
   Logger.log('  DRY_RUN: ' + cfg.DRY_RUN);
+  Logger.log('  LABEL_TAXONOMY: ' + getLabelNames_(cfg.LABEL_TAXONOMY).join(', '));
   Logger.log('');
 
   Logger.log('New Knowledge Configuration:');
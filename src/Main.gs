@@ -1,7 +1,9 @@
 function run() {
   const cfg = getConfig_();
-  const usingApiKey = !!cfg.GEMINI_API_KEY;
-  if (!usingApiKey && !cfg.PROJECT_ID) throw new Error('Set GEMINI_API_KEY (API key mode) or GOOGLE_CLOUD_PROJECT (Vertex mode).');
+  // Work that doesn't fit in RUN_TIME_BUDGET_SECONDS is checkpointed for the next trigger
+  const deadline = createRunDeadline_(cfg.RUN_TIME_BUDGET_SECONDS);
+  const providerError = validateLLMProviderConfig_(cfg);
+  if (providerError) throw new Error(providerError);
 
   // Clean up old budget properties to prevent accumulation
   try {
@@ -10,6 +12,11 @@ function run() {
     if (cfg.DEBUG) console.log('Budget cleanup error: ' + (e && e.toString ? e.toString() : String(e)));
     // Non-fatal error - continue execution
   }
+  try {
+    cleanupOldRunHistory_(cfg);
+  } catch (e) {
+    if (cfg.DEBUG) console.log('Run history cleanup error: ' + (e && e.toString ? e.toString() : String(e)));
+  }
 
   // First, load any agent modules queued in AGENT_MODULES
   try {
@@ -28,7 +35,16 @@ function run() {
   } catch (e) {
     if (cfg.DEBUG) console.log('registerAgents() error: ' + (e && e.toString ? e.toString() : String(e)));
   }
-  ensureLabels_();
+  ensureLabels_(cfg);
+
+  // Agent runs that asked to be retried on an earlier run
+  let agentRetries = null;
+  try {
+    agentRetries = drainAgentRetries_(cfg, deadline);
+  } catch (e) {
+    console.log('Agent retry queue error: ' + (e && e.toString ? e.toString() : String(e)));
+    // Non-fatal error - continue execution
+  }
 
   if (cfg.DEBUG) {
     const hasInstructions = !!cfg.LABEL_INSTRUCTIONS_DOC_URL;
@@ -66,19 +82,80 @@ function run() {
     }
   }
 
-  const threads = findUnprocessed_(cfg.MAX_EMAILS_PER_RUN);
-  if (!threads.length) return console.log('No candidates.');
+  // Learn from threads relabeled by hand since earlier runs
+  try {
+    detectLabelCorrections_(cfg);
+  } catch (e) {
+    if (cfg.DEBUG) console.log('Correction detection error: ' + (e && e.toString ? e.toString() : String(e)));
+    // Non-fatal error - continue execution
+  }
 
-  const emails = minimalize_(threads, cfg.BODY_CHARS);
-  const results = categorizeWithGemini_(emails, knowledge, cfg, globalKnowledge);
+  // Deterministic rules run before the LLM (fail fast on invalid rule configuration)
+  const rules = loadPreclassificationRules_(cfg);
+
+  // Decisions and agents deferred by an earlier run are finished first
+  const checkpoint = readRunCheckpoint_();
+  const resumed = new Set(checkpoint.decisions.map(function(r) { return r.threadId; }));
+
+  // Widen the search so threads excluded by rules on earlier runs don't crowd out new mail
+  const searchMax = Math.min(500, cfg.MAX_EMAILS_PER_RUN + countExcludedThreads_() + resumed.size);
+  const threads = filterExcludedThreads_(findUnprocessed_(searchMax, getManagedLabelNames_(cfg)))
+    .filter(function(t) { return !resumed.has(t.getId()); })
+    .slice(0, Math.max(0, cfg.MAX_EMAILS_PER_RUN - resumed.size));
+  if (!threads.length && !checkpoint.decisions.length && !checkpoint.agents.length) {
+    saveRunHistory_({ agentRetries: agentRetries }, deadline, cfg);
+    return console.log('No candidates.');
+  }
 
-  const summary = Organizer.apply_(results, cfg);
+  const threadContext = cfg.THREAD_CONTEXT_ENABLED
+    ? { maxMessages: cfg.THREAD_CONTEXT_MAX_MESSAGES, excerptChars: cfg.THREAD_CONTEXT_EXCERPT_CHARS }
+    : null;
+  const emails = minimalize_(threads, cfg.BODY_CHARS, getRuleHeaderNames_(rules), threadContext, getAttachmentOptions_(cfg));
+  const pre = applyPreclassificationRules_(emails, rules, cfg);
+  if (!cfg.DRY_RUN) rememberExcludedThreads_(pre.excluded, threads);
+
+  const results = checkpoint.decisions.concat(pre.results, pre.remaining.length
+    ? categorizeWithGemini_(pre.remaining, knowledge, cfg, globalKnowledge, { deadline: deadline })
+    : []
+  );
+
+  const summary = Organizer.apply_(results, cfg, { deadline: deadline, pendingAgents: checkpoint.agents });
+  if (checkpoint.decisions.length || checkpoint.agents.length) {
+    summary.resumed = { decisions: checkpoint.decisions.length, agents: checkpoint.agents.length };
+  }
+  summary.elapsedSeconds = Math.round(deadline.elapsedMs() / 1000);
+  summary.rules = { matched: pre.results.length, excluded: pre.excluded.length };
+  if (agentRetries && agentRetries.due) summary.agentRetries = agentRetries;
   if (cfg.DEBUG) {
     console.log(JSON.stringify({ summary: summary, sample: results.slice(0, 5) }, null, 2));
   }
+  saveRunHistory_(summary, deadline, cfg);
   console.log(JSON.stringify({ ...summary, dryRun: cfg.DRY_RUN }, null, 2));
 }
 
+/**
+ * Record the run in the metrics history without letting a storage error fail the run
+ * @private
+ */
+function saveRunHistory_(summary, deadline, cfg) {
+  try {
+    recordRunHistory_(buildRunRecord_(summary, deadline, cfg));
+  } catch (e) {
+    console.log('Run history error: ' + (e && e.toString ? e.toString() : String(e)));
+  }
+}
+
+/**
+ * Log daily and weekly trends from the run history
+ * Run from the Apps Script editor.
+ */
+function showRunMetrics() {
+  const daily = getRunMetrics_('daily', 7);
+  const weekly = getRunMetrics_('weekly', 4);
+  if (!daily.success) return console.log(daily.error);
+  console.log(JSON.stringify({ daily: daily.buckets, weekly: weekly.buckets }, null, 2));
+}
+
 function installTrigger() {
   // Use shared utility for trigger management
   const result = createTimeTrigger_('run', { type: 'hourly', interval: 1 });
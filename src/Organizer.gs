@@ -1,23 +1,103 @@
-function applyLabel_(thread, labelName, dryRun) {
-  const actionNames = ['reply_needed','review','todo','summarize'];
-  const hasAny = thread.getLabels().some(function(l) { return actionNames.includes(l.getName()); });
+function applyLabel_(thread, labelName, dryRun, actionNames) {
+  const names = actionNames || getLabelNames_(getConfig_().LABEL_TAXONOMY);
+  const hasAny = thread.getLabels().some(function(l) { return names.includes(l.getName()); });
   if (hasAny) return 'skipped';
   if (dryRun) return 'would-label:' + labelName;
-  const lbl = GmailApp.getUserLabelByName(labelName) || GmailApp.createLabel(labelName);
+  const lbl = ensureLabelPath_(labelName);
   thread.addLabel(lbl);
   return 'labeled';
 }
 
+/**
+ * Run onLabel agents for one thread and add their outcomes to stats
+ * Agents that ask to be retried are queued with scheduleAgentRetry_().
+ *
+ * @param {string} label - Label whose agents should run
+ * @param {Object} decision - { required_action, reason }
+ * @param {string} threadId - Gmail thread ID
+ * @param {GmailThread} thread - Gmail thread
+ * @param {Object} cfg - Configuration from getConfig_()
+ * @param {Object} stats - Counters { ok, skip, retry, error } updated in place
+ */
+function runLabelAgents_(label, decision, threadId, thread, cfg, stats) {
+  if (typeof Agents === 'undefined' || !Agents || typeof Agents.runFor !== 'function') return;
+
+  var ctx = {
+    label: label,
+    decision: decision,
+    threadId: threadId,
+    thread: thread,
+    cfg: cfg,
+    dryRun: cfg.DRY_RUN,
+    log: function(msg) { if (cfg.DEBUG) console.log('agent log (' + threadId + '): ' + msg); }
+  };
+  var agentResults = Agents.runFor(label, ctx) || [];
+  for (var i = 0; i < agentResults.length; i++) {
+    var ar = agentResults[i];
+    if (ar.status === 'ok') stats.ok++;
+    else if (ar.status === 'skip') stats.skip++;
+    else if (ar.status === 'retry') {
+      stats.retry++;
+      if (!cfg.DRY_RUN) scheduleAgentRetry_(ar.agent, ar.label || label, threadId, ar, cfg);
+    }
+    else stats.error++;
+  }
+}
+
 const Organizer = {
-  apply_: function(results, cfg) {
-    let labeled = 0, skipped = 0, errors = 0;
-    let agentOk = 0, agentSkip = 0, agentRetry = 0, agentError = 0;
+  /**
+   * Apply decisions to threads, run onLabel agents, then postLabel scans
+   *
+   * With options.deadline, work left when time runs out is deferred: decisions
+   * not yet applied and agents not yet run are saved with saveRunCheckpoint_()
+   * for the next run, and remaining postLabel scans are skipped.
+   *
+   * @param {Array} results - Categorizer and rule results
+   * @param {Object} cfg - Configuration from getConfig_()
+   * @param {Object} options - { deadline, pendingAgents: [{ threadId, label }] } (optional)
+   * @returns {Object} Run summary including deferred counts
+   */
+  apply_: function(results, cfg, options) {
+    options = options || {};
+    const deadline = options.deadline || null;
+    const outOfTime = function() { return !!deadline && deadline.expired(); };
+    let labeled = 0, skipped = 0, errors = 0, triaged = 0;
+    const labelCounts = {};
+    const agentStats = { ok: 0, skip: 0, retry: 0, error: 0 };
+    const deferredDecisions = [];
+    const deferredAgents = [];
+    let deferredCategorize = 0;
+    const actionNames = getLabelNames_(cfg.LABEL_TAXONOMY);
+    const assignments = [];
     const byThread = new Map();
     results.forEach(function(r) { byThread.set(r.threadId, r); });
 
+    // Agents deferred by an earlier run go first
+    (options.pendingAgents || []).forEach(function(p) {
+      if (outOfTime()) {
+        deferredAgents.push(p);
+        return;
+      }
+      try {
+        runLabelAgents_(p.label, { required_action: p.label, reason: 'resumed' }, p.threadId, GmailApp.getThreadById(p.threadId), cfg, agentStats);
+      } catch (e) {
+        errors++;
+        console.log('Error running resumed agents for thread ' + p.threadId + ': ' + e);
+      }
+    });
+
     for (const entry of byThread.entries()) {
       const threadId = entry[0];
       const r = entry[1];
+      if (r.deferred) {
+        // Not categorized before the deadline; still unlabeled, so the next run picks it up
+        deferredCategorize++;
+        continue;
+      }
+      if (outOfTime()) {
+        if (r.required_action) deferredDecisions.push(r);
+        continue;
+      }
       try {
         if (cfg.DEBUG) {
           console.log(JSON.stringify({ action: 'apply', threadId: threadId, decided_label: r.required_action, reason: r.reason }, null, 2));
@@ -27,50 +107,78 @@ const Organizer = {
           skipped++;
           continue;
         }
-        const status = applyLabel_(thread, r.required_action, cfg.DRY_RUN);
-        if (status === 'labeled') labeled++;
+
+        // Low-confidence decisions go to the review queue; agents wait for confirmation
+        if (needsTriage_(r, cfg)) {
+          const triageStatus = applyLabel_(thread, cfg.TRIAGE_LABEL, cfg.DRY_RUN, actionNames);
+          if (triageStatus === 'labeled') {
+            recordTriageProposal_(threadId, r);
+            triaged++;
+          } else {
+            skipped++;
+          }
+          continue;
+        }
+
+        const status = applyLabel_(thread, r.required_action, cfg.DRY_RUN, actionNames);
+        if (status === 'labeled') {
+          labeled++;
+          labelCounts[r.required_action] = (labelCounts[r.required_action] || 0) + 1;
+          assignments.push({ threadId: threadId, label: r.required_action });
+        }
         else if (status === 'skipped' || status.indexOf('would-label') === 0) skipped++;
 
         // Agents hook (onLabel - per-email immediate action)
-        if (typeof Agents !== 'undefined' && Agents && typeof Agents.runFor === 'function') {
-          var ctx = {
-            label: r.required_action,
-            decision: { required_action: r.required_action, reason: r.reason },
-            threadId: threadId,
-            thread: thread,
-            cfg: cfg,
-            dryRun: cfg.DRY_RUN,
-            log: function(msg) { if (cfg.DEBUG) console.log('agent log (' + threadId + '): ' + msg); }
-          };
-          var agentResults = Agents.runFor(r.required_action, ctx) || [];
-          for (var i = 0; i < agentResults.length; i++) {
-            var ar = agentResults[i];
-            if (ar.status === 'ok') agentOk++;
-            else if (ar.status === 'skip') agentSkip++;
-            else if (ar.status === 'retry') agentRetry++;
-            else agentError++;
-          }
+        if (outOfTime()) {
+          if (!cfg.DRY_RUN) deferredAgents.push({ threadId: threadId, label: r.required_action });
+          continue;
         }
+        runLabelAgents_(r.required_action, { required_action: r.required_action, reason: r.reason }, threadId, thread, cfg, agentStats);
       } catch (e) {
         errors++;
         console.log('Error labeling thread ' + threadId + ': ' + e);
       }
     }
 
+    // Track assigned labels so manual relabels on later runs become corrections
+    try {
+      recordLabelAssignments_(assignments, cfg);
+    } catch (e) {
+      console.log('Error recording label assignments: ' + e);
+    }
+
     // Run postLabel handlers after all labeling complete
     // This catches manually-labeled emails and enables inbox-wide scans
+    let deferredPostLabel = [];
     if (typeof Agents !== 'undefined' && Agents && typeof Agents.runPostLabelHandlers === 'function') {
       try {
-        var postLabelStats = Agents.runPostLabelHandlers(cfg);
+        var postLabelStats = Agents.runPostLabelHandlers(cfg, { deadline: deadline });
         // Add postLabel stats to agent stats
-        agentOk += postLabelStats.executed;
-        agentSkip += postLabelStats.skipped;
-        agentError += postLabelStats.errors;
+        agentStats.ok += postLabelStats.executed;
+        agentStats.skip += postLabelStats.skipped;
+        agentStats.error += postLabelStats.errors;
+        deferredPostLabel = postLabelStats.deferred || [];
       } catch (e) {
         console.log('Error running postLabel handlers: ' + e);
       }
     }
 
-    return { candidates: results.length, labeled: labeled, skipped: skipped, errors: errors, agents: { ok: agentOk, skip: agentSkip, retry: agentRetry, error: agentError } };
+    // Replace the previous checkpoint with whatever is left (an empty checkpoint is removed)
+    if (deadline && !cfg.DRY_RUN) {
+      saveRunCheckpoint_({ decisions: deferredDecisions, agents: deferredAgents });
+    }
+
+    const escalations = results.filter(function(r) { return r.escalated; }).length;
+
+    const summary = { candidates: results.length, labeled: labeled, skipped: skipped, errors: errors, triaged: triaged, escalations: escalations, labels: labelCounts, agents: agentStats };
+    if (deferredCategorize || deferredDecisions.length || deferredAgents.length || deferredPostLabel.length) {
+      summary.deferred = {
+        categorize: deferredCategorize,
+        apply: deferredDecisions.length,
+        agents: deferredAgents.length,
+        postLabel: deferredPostLabel
+      };
+    }
+    return summary;
   }
 };
@@ -1,18 +1,23 @@
-function buildCategorizePrompt_(emails, knowledge, allowed, fallback, globalKnowledge) {
+/**
+ * Build categorization prompt for a batch of emails
+ * @param {Array} emails - Minimalized email objects (id, subject, from, date, ageDays, plainBody)
+ * @param {Object} knowledge - Labeling knowledge from KnowledgeService (optional)
+ * @param {Array<string|Object>} allowed - Label names, or taxonomy entries { name, description } in precedence order
+ * @param {string} fallback - Label to use when uncertain
+ * @param {Object} globalKnowledge - Global knowledge from KnowledgeService (optional)
+ * @param {Array<Object>} corrections - Past user corrections from getCorrectionExamples_() (optional)
+ * @returns {string} - Complete prompt for categorization
+ */
+function buildCategorizePrompt_(emails, knowledge, allowed, fallback, globalKnowledge, corrections) {
+  const labels = allowed.map(function(l) {
+    return typeof l === 'string' ? { name: l, description: '' } : l;
+  });
+  const names = labels.map(function(l) { return l.name; });
   const schema = JSON.stringify({
-    emails: [{ id: 'string', required_action: allowed.join('|'), reason: 'string' }]
+    emails: [{ id: 'string', required_action: names.join('|'), reason: 'string', confidence: 'number 0-1' }]
   }, null, 2);
 
-  const items = emails.map(function(e) {
-    return {
-      id: e.id,
-      subject: e.subject || '',
-      from: e.from || '',
-      date: e.date || '',
-      age_days: e.ageDays || 0,
-      body_excerpt: (e.plainBody || '').slice(0, 1200)
-    };
-  });
+  const items = emails.map(toCategorizePromptItem_);
 
   const parts = [
     'You are an email triage assistant.'
@@ -56,9 +61,33 @@ function buildCategorizePrompt_(emails, knowledge, allowed, fallback, globalKnow
     }
   }
 
+  // USER CORRECTIONS (few-shot examples, strongest first)
+  if (corrections && corrections.length) {
+    parts.push('');
+    parts.push('=== PAST CORRECTIONS ===');
+    parts.push('The user relabeled these earlier emails. Label similar emails the same way:');
+    corrections.forEach(function(c) {
+      parts.push('- From: ' + c.from + ' | Subject: ' + c.subject +
+        (c.excerpt ? ' | "' + c.excerpt + '"' : '') + ' -> ' + c.label + ' (not ' + c.fromLabel + ')');
+    });
+  }
+
   parts.push('');
-  parts.push('Allowed labels: ' + allowed.join(', '));
-  parts.push("If multiple labels could apply, follow the Policy's precedence. If uncertain, choose: " + fallback + ".");
+  parts.push('Allowed labels: ' + names.join(', '));
+  const described = labels.filter(function(l) { return l.description; });
+  if (described.length) {
+    parts.push('Label definitions (highest precedence first):');
+    described.forEach(function(l) { parts.push('- ' + l.name + ': ' + l.description); });
+  }
+  parts.push("If multiple labels could apply, follow the Policy's precedence, otherwise prefer the label listed first. If uncertain, choose: " + fallback + ".");
+  parts.push('Set confidence to how sure you are of each label (1 = certain, 0 = guess).');
+  if (emails.some(function(e) { return e.thread; })) {
+    parts.push('Each email describes its latest message; "thread" summarizes the conversation before it. ' +
+      'If last_message_from_me is true, or the user already replied and nothing new was asked since, do not choose a label that asks for a reply.');
+  }
+  if (emails.some(function(e) { return e.attachments && e.attachments.length; })) {
+    parts.push('"attachments" lists files attached to the email (with an excerpt when available); treat invoices, invites and documents as part of the message.');
+  }
   parts.push('Return ONLY valid JSON with this exact shape, no extra text:');
   parts.push(schema);
   parts.push('');
@@ -70,22 +99,87 @@ function buildCategorizePrompt_(emails, knowledge, allowed, fallback, globalKnow
   return parts.join('\n');
 }
 
+/**
+ * Shape one email as it appears in the categorization prompt
+ * Bodies arrive already trimmed to BODY_CHARS by minimalize_() (or smaller by batch planning)
+ *
+ * @param {Object} e - Minimalized email
+ * @returns {Object} Prompt item { id, subject, from, date, age_days, body_excerpt, attachments?, thread? }
+ */
+function toCategorizePromptItem_(e) {
+  const item = {
+    id: e.id,
+    subject: e.subject || '',
+    from: e.from || '',
+    date: e.date || '',
+    age_days: e.ageDays || 0,
+    body_excerpt: e.plainBody || ''
+  };
+  if (e.attachments && e.attachments.length) {
+    item.attachments = e.attachments.map(function(a) {
+      const entry = { name: a.name, type: a.type, size_kb: Math.ceil(a.size / 1024) };
+      if (a.excerpt) entry.excerpt = a.excerpt;
+      return entry;
+    });
+  }
+  if (e.thread) item.thread = e.thread;
+  return item;
+}
+
+/**
+ * Build the JSON schema that constrains categorization responses
+ *
+ * Restricts required_action to the taxonomy labels and id to the IDs in the
+ * request, so providers with structured output cannot invent either.
+ *
+ * @param {Array<string>} labelNames - Allowed label names
+ * @param {Array<string>} ids - Email IDs included in the request
+ * @returns {Object} JSON Schema for { emails: [{ id, required_action, reason, confidence }] }
+ */
+function buildCategorizeResponseSchema_(labelNames, ids) {
+  return {
+    type: 'object',
+    properties: {
+      emails: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            id: { type: 'string', enum: ids.slice() },
+            required_action: { type: 'string', enum: labelNames.slice() },
+            reason: { type: 'string' },
+            confidence: { type: 'number', minimum: 0, maximum: 1 }
+          },
+          required: ['id', 'required_action', 'reason', 'confidence'],
+          additionalProperties: false
+        }
+      }
+    },
+    required: ['emails'],
+    additionalProperties: false
+  };
+}
+
 /**
  * Build consolidated summary prompt for multiple emails
  * @param {Array} emailContents - Array of email objects with subject, from, date, body
  * @param {Object} knowledge - Knowledge object from KnowledgeService (optional)
- * @param {Object} config - Configuration object with emailLinks, includeWebLinks
- * @returns {string} - Formatted prompt for AI summarization
+ * @param {Object} config - Configuration object with emailLinks (from generateEmailPermalinks_(emailContents)), includeWebLinks, maxWords (default 400)
+ * @returns {string} - Formatted prompt for AI summarization; pass the response through resolveSummaryLinks_()
  */
 function buildSummaryPrompt_(emailContents, knowledge, config, globalKnowledge) {
-  // Build email reference mapping with subjects and Gmail URLs for the AI
+  // Reference tokens instead of URLs: the AI only has to copy "E3", and
+  // resolveSummaryLinks_() swaps in the permalink (matched by message ID, not subject)
+  const emailLinks = config.emailLinks || generateEmailPermalinks_(emailContents);
+  const refs = emailContents.map(function(email, i) {
+    const link = emailLinks.find(l => l.id === email.id);
+    return link ? link.ref : 'E' + (i + 1);
+  });
+
   let emailReferenceMap = 'EMAIL REFERENCE MAP:\n';
   for (let i = 0; i < emailContents.length; i++) {
     const email = emailContents[i];
-    // Find the corresponding Gmail URL from the emailLinks config
-    const correspondingLink = config.emailLinks ? config.emailLinks.find(link => link.subject === email.subject) : null;
-    const gmailUrl = correspondingLink ? correspondingLink.url : `https://mail.google.com/mail/u/0/#inbox/${email.id}`;
-    emailReferenceMap += `Email ${i + 1}: Subject="${email.subject}" URL=${gmailUrl}\n`;
+    emailReferenceMap += `${refs[i]}: Subject="${email.subject}" From="${email.from}"\n`;
   }
 
   // Combine all email content for single AI request
@@ -93,11 +187,15 @@ function buildSummaryPrompt_(emailContents, knowledge, config, globalKnowledge)
 
   for (let i = 0; i < emailContents.length; i++) {
     const email = emailContents[i];
-    combinedContent += `--- EMAIL ${i + 1} ---\n`;
+    combinedContent += `--- EMAIL ${refs[i]} ---\n`;
     combinedContent += `From: ${email.from}\n`;
     combinedContent += `Subject: ${email.subject}\n`;
     combinedContent += `Date: ${email.date}\n`;
-    combinedContent += `Content: ${email.body.substring(0, 1200)}\n\n`;
+    combinedContent += `Content: ${email.body.substring(0, 1200)}\n`;
+    if (email.attachments && email.attachments.length) {
+      combinedContent += formatAttachments_(email.attachments) + '\n';
+    }
+    combinedContent += '\n';
   }
 
   // Build web links section if provided - these will be included inline by the AI
@@ -159,7 +257,7 @@ function buildSummaryPrompt_(emailContents, knowledge, config, globalKnowledge)
   promptParts.push('5. Keep the tone professional, authoritative, and concise');
   promptParts.push('6. Include important web URLs as inline markdown links: [link text](URL)');
   promptParts.push('7. Focus on key insights, decisions, and actionable information');
-  promptParts.push('8. Maximum length: 400 words');
+  promptParts.push(`8. Maximum length: ${config.maxWords || 400} words`);
   promptParts.push('9. Structure each theme with a clear headline followed by content');
   promptParts.push('10. Include context that helps understand the significance of information');
   promptParts.push('');
@@ -167,9 +265,9 @@ function buildSummaryPrompt_(emailContents, knowledge, config, globalKnowledge)
   promptParts.push('- Start each major theme with a clear headline (use ### format)');
   promptParts.push('- Group related emails under the same theme when appropriate');
   promptParts.push('- Include web URLs as proper markdown links: [descriptive text](URL) within sentences');
-  promptParts.push('- At the end of each theme section, create Gmail links for source emails using this format:');
-  promptParts.push('  **Sources:** [Email Subject 1](gmail_url_1), [Email Subject 2](gmail_url_2)');
-  promptParts.push('- Use the exact subject lines and Gmail URLs from the EMAIL REFERENCE MAP provided below');
+  promptParts.push('- At the end of each theme section, link the source emails by their reference token using this format:');
+  promptParts.push('  **Sources:** [Email Subject](E1), [Other Email Subject](E4)');
+  promptParts.push('- Use the exact subject lines and reference tokens from the EMAIL REFERENCE MAP provided below; never write Gmail URLs yourself');
   promptParts.push("- If emails don't naturally group, create logical themes like \"Business Updates\", \"Project Status\", \"Action Items\", etc.");
   promptParts.push('- Use standard markdown formatting throughout (bold, italic, links, headers)');
   promptParts.push('');
@@ -189,6 +287,61 @@ function buildSummaryPrompt_(emailContents, knowledge, config, globalKnowledge)
   return promptParts.join('\n');
 }
 
+/**
+ * Build the prompt that merges partial summaries into one consolidated summary
+ * Partial summaries come from buildSummaryPrompt_() over groups of emails, so they
+ * already carry the **Sources:** links and web links the final summary keeps.
+ *
+ * @param {Array<string>} partials - Partial summaries (markdown)
+ * @param {number} emailCount - Emails covered by all partials
+ * @param {Object} knowledge - Knowledge object from KnowledgeService (optional)
+ * @param {Object} config - Configuration object with maxWords (default 400)
+ * @param {Object} globalKnowledge - Global knowledge object (optional)
+ * @returns {string} - Formatted prompt for AI summarization
+ */
+function buildSummaryMergePrompt_(partials, emailCount, knowledge, config, globalKnowledge) {
+  const parts = [
+    `Please merge these ${partials.length} partial summaries, covering ${emailCount} emails, into one consolidated summary in the style of "The Economist's World in Brief" - concise, direct, and informative.`
+  ];
+
+  // GLOBAL KNOWLEDGE INJECTION (applies to ALL prompts)
+  if (globalKnowledge && globalKnowledge.configured) {
+    parts.push('');
+    parts.push('=== GLOBAL KNOWLEDGE ===');
+    parts.push(globalKnowledge.knowledge);
+  }
+
+  // AGENT-SPECIFIC KNOWLEDGE INJECTION (summarization guidelines)
+  if (knowledge && knowledge.configured) {
+    parts.push('');
+    parts.push('=== SUMMARIZATION GUIDELINES ===');
+    parts.push(knowledge.knowledge);
+  }
+
+  parts.push('');
+  parts.push('REQUIREMENTS:');
+  parts.push('1. Create ONE unified summary; combine themes that appear in more than one partial summary');
+  parts.push('2. Keep **bold** and *italic* formatting for important terms, people, places, and emphasis');
+  parts.push('3. Keep every inline web link exactly as written: [link text](URL)');
+  parts.push('4. Keep the **Sources:** line at the end of each theme; when themes are combined, combine their source links');
+  parts.push('5. Copy source links exactly - never invent, shorten or change a subject or Gmail URL');
+  parts.push('6. Drop repetition and minor details before dropping sources');
+  parts.push('7. Keep the tone professional, authoritative, and concise');
+  parts.push(`8. Maximum length: ${config.maxWords || 400} words`);
+  parts.push('9. Start each major theme with a clear headline (use ### format)');
+  parts.push('');
+
+  partials.forEach(function(partial, i) {
+    parts.push(`--- PARTIAL SUMMARY ${i + 1} ---`);
+    parts.push(partial);
+    parts.push('');
+  });
+
+  parts.push('Please provide only the summary text using proper markdown formatting (bold, italic, links, headers). Do not include introductory phrases like "Here is a summary" - start directly with the content.');
+
+  return parts.join('\n');
+}
+
 /**
  * Format email thread for inclusion in prompt
  * @private
@@ -205,22 +358,56 @@ function formatEmailThread_(emailThread) {
     parts.push('--- Email ' + (idx + 1) + ' ---');
     parts.push('From: ' + (msg.from || 'Unknown'));
     parts.push('To: ' + (msg.to || 'Unknown'));
+    if (msg.cc) parts.push('Cc: ' + msg.cc);
     parts.push('Date: ' + (msg.date || 'Unknown'));
     parts.push('Subject: ' + (msg.subject || '(No subject)'));
     parts.push('');
     parts.push(msg.body || '(No content)');
+    if (msg.attachments && msg.attachments.length) {
+      parts.push('');
+      parts.push(formatAttachments_(msg.attachments));
+    }
     return parts.join('\n');
   }).join('\n\n');
 }
 
+/**
+ * Format attachment metadata (and excerpts) for text prompts
+ * @param {Array<Object>} attachments - From describeAttachments_()
+ * @returns {string} "Attachments:" block, one line per attachment
+ */
+function formatAttachments_(attachments) {
+  return ['Attachments:'].concat(attachments.map(function(a) {
+    const line = '- ' + a.name + ' (' + a.type + ', ' + Math.ceil(a.size / 1024) + ' KB)';
+    return a.excerpt ? line + ': ' + a.excerpt : line;
+  })).join('\n');
+}
+
 /**
  * Build reply draft prompt with optional knowledge injection
  * @param {Object} emailThread - Thread object with messages array
  * @param {Object} knowledge - Knowledge object from KnowledgeService (optional)
+ * @param {Object} globalKnowledge - Global knowledge object (optional)
+ * @param {Object} recipients - From describeReplyRecipients_() (optional); when given,
+ *   the reply is requested as JSON with recipient choices (see buildReplyDraftResponseSchema_())
+ * @param {Object} options - Draft options (optional): { html: markdown emphasis and links
+ *   are rendered, signature: the user's signature is appended after the reply,
+ *   revision: { previousDraft, feedback } to revise an existing draft }
  * @returns {string} - Complete prompt for reply generation
  */
-function buildReplyDraftPrompt_(emailThread, knowledge, globalKnowledge) {
+function buildReplyDraftPrompt_(emailThread, knowledge, globalKnowledge, recipients, options) {
+  options = options || {};
   const parts = ['You are drafting a professional email reply.'];
+  const signatureRules = options.signature
+    ? ['- End with a closing line only (for example "Best,"); the user\'s signature is appended automatically, so do NOT write a name or signature block']
+    : [
+        '- End with an appropriate signature',
+        '- Sign the email with the user\'s name if provided in the drafting instructions',
+        '- If the user\'s name is not clear from the instructions, use "[Your name here]" as the signature'
+      ];
+  const formatRules = options.html
+    ? ['- You may use **bold**, *italics* and [text](url) links; blank lines separate paragraphs']
+    : [];
 
   // GLOBAL KNOWLEDGE INJECTION (applies to ALL prompts)
   if (globalKnowledge && globalKnowledge.configured) {
@@ -247,11 +434,13 @@ function buildReplyDraftPrompt_(emailThread, knowledge, globalKnowledge) {
     parts.push('=== YOUR DRAFTING INSTRUCTIONS ===');
     parts.push(knowledge.knowledge);
 
-    // Add signature requirement
-    parts.push('');
-    parts.push('SIGNATURE REQUIREMENT:');
-    parts.push('- Sign the email with your name if specified in the instructions above');
-    parts.push('- If your name is not clear from the instructions, use "[Your name here]" as the signature');
+    // Add signature requirement (unless the user's own signature is appended)
+    if (!options.signature) {
+      parts.push('');
+      parts.push('SIGNATURE REQUIREMENT:');
+      parts.push('- Sign the email with your name if specified in the instructions above');
+      parts.push('- If your name is not clear from the instructions, use "[Your name here]" as the signature');
+    }
 
     // Add source attribution if available
     if (knowledge.metadata && knowledge.metadata.sources && knowledge.metadata.sources.length > 0) {
@@ -280,23 +469,216 @@ function buildReplyDraftPrompt_(emailThread, knowledge, globalKnowledge) {
     parts.push('- Address all questions and concerns raised');
     parts.push('- Use a professional but friendly tone');
     parts.push('- End with appropriate next steps or closing');
-    parts.push('- Sign with the user\'s name from the knowledge/instructions, or use "[Your name here]" if not specified');
+    if (!options.signature) {
+      parts.push('- Sign with the user\'s name from the knowledge/instructions, or use "[Your name here]" if not specified');
+    }
   }
 
   parts.push('');
   parts.push('=== EMAIL THREAD ===');
   parts.push(formatEmailThread_(emailThread));
   parts.push('');
+  if (options.revision) {
+    parts.push('=== PREVIOUS DRAFT ===');
+    parts.push(options.revision.previousDraft || '(empty)');
+    parts.push('');
+    parts.push('=== USER FEEDBACK ===');
+    parts.push(options.revision.feedback || 'The user asked for a different version of this draft.');
+    parts.push('');
+  }
+
+  if (!recipients) {
+    parts.push('=== REPLY INSTRUCTIONS ===');
+    if (options.revision) {
+      parts.push('Revise the previous draft according to the user feedback. Keep what the feedback does not ask to change, and keep addressing the points raised in the email thread.');
+    } else {
+      parts.push('Draft a professional reply that addresses all points raised in the most recent email.');
+    }
+    parts.push('');
+    parts.push('IMPORTANT FORMAT REQUIREMENTS:');
+    parts.push('- Return ONLY the email body text (no subject line, no "Subject:", no headers)');
+    parts.push('- Start directly with the greeting or body content');
+    parts.push(...signatureRules, ...formatRules);
+    parts.push('- Do NOT include any preamble, explanation, or meta-commentary');
+    return parts.join('\n');
+  }
+
+  parts.push('=== RECIPIENTS ===');
+  parts.push('Replying to the email from: ' + recipients.replyingTo);
+  parts.push('To: ' + recipients.to.join(', '));
+  parts.push('Other participants (included on reply-all): ' + (recipients.cc.length ? recipients.cc.join(', ') : 'none'));
+  if (recipients.mode === 'auto') {
+    parts.push('Set reply_all to true when the other participants need to see the reply (they were asked something, are affected, or the thread is a group discussion), false for a private answer to the sender. Follow any reply-all guidance in the drafting instructions.');
+  } else {
+    parts.push('The reply mode is fixed to ' + (recipients.mode === 'reply' ? 'reply (sender only)' : 'reply-all') + '; reply_all is ignored.');
+  }
+  if (recipients.suggest) {
+    parts.push('Use add_recipients for people the thread asks to include (for example "looping in ..."), using addresses that appear in the thread. Use remove_recipients for participants who should not receive this reply (for example someone who asked to be dropped). Give a short reason for each. Leave both lists empty when nothing should change.');
+  } else {
+    parts.push('Leave add_recipients and remove_recipients empty.');
+  }
+  parts.push('');
   parts.push('=== REPLY INSTRUCTIONS ===');
-  parts.push('Draft a professional reply that addresses all points raised in the most recent email.');
+  parts.push('Draft a professional reply that addresses all points raised in the email you are replying to.');
   parts.push('');
   parts.push('IMPORTANT FORMAT REQUIREMENTS:');
-  parts.push('- Return ONLY the email body text (no subject line, no "Subject:", no headers)');
+  parts.push('Return ONLY a JSON object:');
+  parts.push('{"body": "...", "reply_all": true, "add_recipients": [{"address": "...", "reason": "..."}], "remove_recipients": [{"address": "...", "reason": "..."}]}');
+  parts.push('For body:');
+  parts.push('- Only the email body text (no subject line, no "Subject:", no headers)');
   parts.push('- Start directly with the greeting or body content');
-  parts.push('- End with an appropriate signature');
-  parts.push('- Sign the email with the user\'s name if provided in the drafting instructions');
-  parts.push('- If the user\'s name is not clear from the instructions, use "[Your name here]" as the signature');
+  parts.push(...signatureRules, ...formatRules);
+  parts.push('- Do NOT include any preamble, explanation, or meta-commentary');
+
+  return parts.join('\n');
+}
+
+/**
+ * JSON schema for reply drafts with recipient choices (used with STRUCTURED_OUTPUT)
+ * @returns {Object} Schema for buildReplyDraftPrompt_() responses
+ */
+function buildReplyDraftResponseSchema_() {
+  const recipientChanges = {
+    type: 'array',
+    items: {
+      type: 'object',
+      properties: {
+        address: { type: 'string' },
+        reason: { type: 'string' }
+      },
+      required: ['address', 'reason'],
+      additionalProperties: false
+    }
+  };
+  return {
+    type: 'object',
+    properties: {
+      body: { type: 'string' },
+      reply_all: { type: 'boolean' },
+      add_recipients: recipientChanges,
+      remove_recipients: recipientChanges
+    },
+    required: ['body', 'reply_all', 'add_recipients', 'remove_recipients'],
+    additionalProperties: false
+  };
+}
+
+/**
+ * Build a prompt for a polite follow-up on a thread awaiting a response
+ *
+ * @param {Object} emailThread - Thread data from getEmailThread_()
+ * @param {number} daysWaiting - Days since the user's last message
+ * @param {Object} knowledge - Follow-up instructions from fetchDocument_() (optional)
+ * @param {Object} globalKnowledge - Global knowledge from fetchGlobalKnowledge_() (optional)
+ * @returns {string} Prompt text
+ */
+function buildFollowUpPrompt_(emailThread, daysWaiting, knowledge, globalKnowledge) {
+  const parts = ['You are drafting a short, polite follow-up to an email that has not received a reply.'];
+
+  if (globalKnowledge && globalKnowledge.configured) {
+    parts.push('');
+    parts.push('=== GLOBAL KNOWLEDGE ===');
+    parts.push(globalKnowledge.knowledge);
+  }
+
+  if (knowledge && knowledge.configured) {
+    parts.push('');
+    parts.push('=== YOUR FOLLOW-UP INSTRUCTIONS ===');
+    parts.push(knowledge.knowledge);
+  } else {
+    parts.push('');
+    parts.push('=== FOLLOW-UP GUIDELINES ===');
+    parts.push('- Two to four sentences');
+    parts.push('- Friendly and low-pressure; do not sound impatient or accusatory');
+    parts.push('- Briefly restate what you are waiting for, based on your last message');
+    parts.push('- Offer help or an easy way to respond if relevant');
+  }
+
+  parts.push('');
+  parts.push('=== EMAIL THREAD ===');
+  parts.push(formatEmailThread_(emailThread));
+  parts.push('');
+  parts.push('=== FOLLOW-UP INSTRUCTIONS ===');
+  parts.push('The most recent message was sent by the user ' + daysWaiting + ' day(s) ago and nobody has replied.');
+  parts.push('Draft the follow-up the user will send to the other participants.');
+  parts.push('');
+  parts.push('IMPORTANT FORMAT REQUIREMENTS:');
+  parts.push('- Return ONLY the email body text (no subject line, no "Subject:", no headers)');
+  parts.push('- Sign the email with the user\'s name if provided in the instructions, otherwise use "[Your name here]"');
   parts.push('- Do NOT include any preamble, explanation, or meta-commentary');
 
   return parts.join('\n');
 }
+
+/**
+ * Build a prompt that extracts tasks and meeting proposals from an email thread
+ *
+ * @param {Object} emailThread - Thread data from getEmailThread_()
+ * @param {Object} context - { today: 'YYYY-MM-DD', timeZone: string }
+ * @param {Object} knowledge - Extraction instructions from fetchDocument_() (optional)
+ * @param {Object} globalKnowledge - Global knowledge from fetchGlobalKnowledge_() (optional)
+ * @returns {string} Prompt text
+ */
+function buildActionItemPrompt_(emailThread, context, knowledge, globalKnowledge) {
+  const parts = ['You extract action items from an email thread: things the user has to do and meetings being proposed.'];
+
+  if (globalKnowledge && globalKnowledge.configured) {
+    parts.push('');
+    parts.push('=== GLOBAL KNOWLEDGE ===');
+    parts.push(globalKnowledge.knowledge);
+  }
+
+  if (knowledge && knowledge.configured) {
+    parts.push('');
+    parts.push('=== YOUR EXTRACTION INSTRUCTIONS ===');
+    parts.push(knowledge.knowledge);
+  }
+
+  parts.push('');
+  parts.push('=== EMAIL THREAD ===');
+  parts.push(formatEmailThread_(emailThread));
+  parts.push('');
+  parts.push('=== EXTRACTION RULES ===');
+  parts.push('Today is ' + context.today + ' (time zone ' + context.timeZone + '). Resolve relative dates like "next Friday" against today.');
+  parts.push('- type "task": something the user must do. "due" is the deadline as YYYY-MM-DD, or "" when none is stated.');
+  parts.push('- type "event": a proposed meeting or call with a concrete date. "start" and "end" are local times as YYYY-MM-DDTHH:MM ("end" may be "").');
+  parts.push('- "title" is a short imperative phrase (max 80 characters); "notes" is one sentence of context.');
+  parts.push('- "attendees" lists email addresses of the other people involved in an event (empty for tasks).');
+  parts.push('- Ignore things that are already done, declined or only mentioned as background.');
+  parts.push('- Return at most 5 items. Return an empty list when there is nothing actionable.');
+  parts.push('');
+  parts.push('Return ONLY JSON: {"items":[{"type":"task"|"event","title":string,"due":string,"start":string,"end":string,"attendees":[string],"notes":string}]}');
+
+  return parts.join('\n');
+}
+
+/**
+ * JSON Schema for buildActionItemPrompt_() responses (used when STRUCTURED_OUTPUT is enabled)
+ * @returns {Object} JSON Schema
+ */
+function buildActionItemResponseSchema_() {
+  return {
+    type: 'object',
+    properties: {
+      items: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            type: { type: 'string', enum: ['task', 'event'] },
+            title: { type: 'string' },
+            due: { type: 'string' },
+            start: { type: 'string' },
+            end: { type: 'string' },
+            attendees: { type: 'array', items: { type: 'string' } },
+            notes: { type: 'string' }
+          },
+          required: ['type', 'title', 'due', 'start', 'end', 'attendees', 'notes'],
+          additionalProperties: false
+        }
+      }
+    },
+    required: ['items'],
+    additionalProperties: false
+  };
+}
@@ -0,0 +1,258 @@
+/**
+ * RulesEngine.gs - Deterministic pre-classification before the LLM
+ *
+ * Rules are evaluated in run() before categorizeWithGemini_(). The first rule
+ * whose conditions all match decides the email:
+ * - { "label": "summarize" } assigns that taxonomy label without an AI call
+ * - { "action": "exclude" } leaves the email unlabeled and out of processing
+ *
+ * Rule format (JSON array, evaluated in order):
+ *   [
+ *     { "name": "newsletters", "match": { "headers": { "List-Unsubscribe": "." } }, "label": "summarize" },
+ *     { "name": "vendor", "match": { "domain": ["vendor.com"], "subject": "invoice|receipt" }, "label": "review" },
+ *     { "name": "old-alerts", "match": { "from": "^alerts@", "minAgeDays": 7 }, "action": "exclude" }
+ *   ]
+ *
+ * Match conditions (all optional, at least one required; regexes are case-insensitive):
+ * - from:       regex tested against the full From header
+ * - domain:     sender domain or list of domains (subdomains match too)
+ * - subject:    regex tested against the subject
+ * - headers:    { "Header-Name": regex } - header must be present and match
+ * - minAgeDays / maxAgeDays: bounds on the email's age in days
+ *
+ * Sources: PRECLASSIFY_RULES (JSON in a script property) followed by the rules
+ * in PRECLASSIFY_RULES_DOC_URL (a Google Doc containing the same JSON).
+ * The firing rule is recorded as the decision reason ("rule:<name>").
+ */
+
+const RULES_EXCLUDED_KEY = 'RULES_EXCLUDED_THREADS';
+const RULES_EXCLUDED_MAX = 200;
+
+/**
+ * Load and validate rules from all configured sources
+ *
+ * @param {Object} cfg - Configuration from getConfig_()
+ * @returns {Array<Object>} Compiled rules in evaluation order (empty when none configured)
+ * @throws {Error} If a source contains invalid JSON, an unknown label or an invalid regex
+ */
+function loadPreclassificationRules_(cfg) {
+  let rules = [];
+  if (cfg.PRECLASSIFY_RULES) {
+    rules = rules.concat(parsePreclassificationRules_(cfg.PRECLASSIFY_RULES, 'PRECLASSIFY_RULES', cfg));
+  }
+  if (cfg.PRECLASSIFY_RULES_DOC_URL) {
+    const doc = fetchDocument_(cfg.PRECLASSIFY_RULES_DOC_URL, { propertyName: 'PRECLASSIFY_RULES_DOC_URL' });
+    if (doc.configured) {
+      rules = rules.concat(parsePreclassificationRules_(doc.knowledge, 'PRECLASSIFY_RULES_DOC_URL', cfg));
+    }
+  }
+  return rules;
+}
+
+/**
+ * Parse a JSON rules array into compiled rules
+ *
+ * @param {string} raw - JSON text (a Google Doc export may include surrounding prose)
+ * @param {string} source - Configuration property name (for error messages)
+ * @param {Object} cfg - Configuration from getConfig_()
+ * @returns {Array<Object>} Compiled rules { name, label, exclude, from, domains, subject, headers, minAgeDays, maxAgeDays }
+ */
+function parsePreclassificationRules_(raw, source, cfg) {
+  const text = String(raw).replace(/^﻿/, '').trim();
+  const start = text.indexOf('[');
+  const end = text.lastIndexOf(']');
+  let parsed;
+  try {
+    parsed = JSON.parse(start !== -1 && end > start ? text.slice(start, end + 1) : text);
+  } catch (e) {
+    throw new Error(source + ' must contain a JSON array of rules. Parse error: ' + e.message);
+  }
+  if (!Array.isArray(parsed)) {
+    throw new Error(source + ' must contain a JSON array of rules.');
+  }
+
+  const labels = new Map(getLabelNames_(cfg.LABEL_TAXONOMY).map(function(name) { return [name.toLowerCase(), name]; }));
+
+  return parsed.map(function(rule, index) {
+    const name = rule && rule.name ? String(rule.name) : 'rule-' + (index + 1);
+    const where = source + ' rule "' + name + '"';
+    if (!rule || typeof rule !== 'object' || !rule.match || typeof rule.match !== 'object') {
+      throw new Error(where + ' needs a "match" object.');
+    }
+
+    const exclude = String(rule.action || '').toLowerCase() === 'exclude';
+    const label = exclude ? null : labels.get(String(rule.label || '').toLowerCase());
+    if (!exclude && !label) {
+      throw new Error(where + ' needs "action": "exclude" or a "label" from: ' + Array.from(labels.values()).join(', '));
+    }
+
+    const m = rule.match;
+    const compiled = {
+      name: name,
+      label: label,
+      exclude: exclude,
+      from: m.from ? compileRuleRegex_(m.from, where + ' from') : null,
+      domains: m.domain ? [].concat(m.domain).map(function(d) { return String(d).toLowerCase().replace(/^@/, ''); }) : null,
+      subject: m.subject ? compileRuleRegex_(m.subject, where + ' subject') : null,
+      headers: m.headers ? Object.keys(m.headers).map(function(header) {
+        return { name: header, pattern: compileRuleRegex_(m.headers[header] || '.', where + ' header ' + header) };
+      }) : null,
+      minAgeDays: typeof m.minAgeDays === 'number' ? m.minAgeDays : null,
+      maxAgeDays: typeof m.maxAgeDays === 'number' ? m.maxAgeDays : null
+    };
+
+    const hasCondition = compiled.from || compiled.domains || compiled.subject || compiled.headers ||
+      compiled.minAgeDays !== null || compiled.maxAgeDays !== null;
+    if (!hasCondition) {
+      throw new Error(where + ' has no match conditions (from, domain, subject, headers, minAgeDays, maxAgeDays).');
+    }
+    return compiled;
+  });
+}
+
+/**
+ * Compile a case-insensitive rule regex with an actionable error
+ * @private
+ */
+function compileRuleRegex_(pattern, where) {
+  try {
+    return new RegExp(String(pattern), 'i');
+  } catch (e) {
+    throw new Error(where + ': invalid regex "' + pattern + '" (' + e.message + ')');
+  }
+}
+
+/**
+ * Header names the rules need, so minimalize_() only reads those
+ *
+ * @param {Array<Object>} rules - Compiled rules
+ * @returns {Array<string>} Unique header names
+ */
+function getRuleHeaderNames_(rules) {
+  const names = [];
+  rules.forEach(function(rule) {
+    (rule.headers || []).forEach(function(h) {
+      if (names.indexOf(h.name) === -1) names.push(h.name);
+    });
+  });
+  return names;
+}
+
+/**
+ * Check whether every condition of a rule matches an email
+ *
+ * @param {Object} email - Minimalized email (from, subject, ageDays, headers)
+ * @param {Object} rule - Compiled rule
+ * @returns {boolean} True when the rule applies
+ */
+function matchesRule_(email, rule) {
+  const from = email.from || '';
+  if (rule.from && !rule.from.test(from)) return false;
+  if (rule.subject && !rule.subject.test(email.subject || '')) return false;
+
+  if (rule.domains) {
+    const domain = extractEmailAddress_(from).split('@')[1] || '';
+    const matched = rule.domains.some(function(d) {
+      return domain === d || domain.slice(-(d.length + 1)) === '.' + d;
+    });
+    if (!matched) return false;
+  }
+
+  if (rule.headers) {
+    const headers = email.headers || {};
+    const matched = rule.headers.every(function(h) {
+      const value = headers[h.name];
+      return !!value && h.pattern.test(value);
+    });
+    if (!matched) return false;
+  }
+
+  const age = email.ageDays || 0;
+  if (rule.minAgeDays !== null && age < rule.minAgeDays) return false;
+  if (rule.maxAgeDays !== null && age > rule.maxAgeDays) return false;
+  return true;
+}
+
+/**
+ * Split emails into rule decisions, rule exclusions and emails left for the LLM
+ *
+ * @param {Array<Object>} emails - Minimalized emails
+ * @param {Array<Object>} rules - Compiled rules
+ * @param {Object} cfg - Configuration from getConfig_()
+ * @returns {{results: Array, excluded: Array, remaining: Array}} results use the categorizer result shape
+ */
+function applyPreclassificationRules_(emails, rules, cfg) {
+  const outcome = { results: [], excluded: [], remaining: [] };
+
+  emails.forEach(function(e) {
+    const rule = rules.filter(function(r) { return matchesRule_(e, r); })[0];
+    if (!rule) {
+      outcome.remaining.push(e);
+      return;
+    }
+
+    if (cfg.DEBUG) {
+      console.log('Rule "' + rule.name + '" matched ' + e.id + ' (' + (rule.exclude ? 'exclude' : rule.label) + ')');
+    }
+    if (rule.exclude) {
+      outcome.excluded.push({ id: e.id, threadId: e.threadId, rule: rule.name });
+      return;
+    }
+    outcome.results.push({
+      id: e.id,
+      threadId: e.threadId,
+      required_action: rule.label,
+      reason: 'rule:' + rule.name,
+      model: 'rules'
+    });
+  });
+
+  return outcome;
+}
+
+/**
+ * Remember excluded threads so they stop occupying MAX_EMAILS_PER_RUN slots
+ * A thread is evaluated again once it receives a new message.
+ *
+ * @param {Array<{threadId: string}>} excluded - Exclusions from applyPreclassificationRules_()
+ * @param {Array<GmailThread>} threads - Threads fetched this run
+ */
+function rememberExcludedThreads_(excluded, threads) {
+  if (!excluded.length) return;
+  const byId = new Map(threads.map(function(t) { return [t.getId(), t]; }));
+  const stored = readJsonProperty_(RULES_EXCLUDED_KEY, {});
+
+  excluded.forEach(function(x) {
+    const thread = byId.get(x.threadId);
+    if (thread) stored[x.threadId] = thread.getLastMessageDate().getTime();
+  });
+
+  const newest = Object.keys(stored)
+    .sort(function(a, b) { return stored[b] - stored[a]; })
+    .slice(0, RULES_EXCLUDED_MAX);
+  const bounded = {};
+  newest.forEach(function(threadId) { bounded[threadId] = stored[threadId]; });
+  writeJsonProperty_(RULES_EXCLUDED_KEY, bounded);
+}
+
+/**
+ * Drop threads a rule already excluded, unless a newer message arrived since
+ *
+ * @param {Array<GmailThread>} threads - Candidate threads
+ * @returns {Array<GmailThread>} Threads that still need evaluation
+ */
+function filterExcludedThreads_(threads) {
+  const stored = readJsonProperty_(RULES_EXCLUDED_KEY, {});
+  return threads.filter(function(t) {
+    const excludedAt = stored[t.getId()];
+    return !excludedAt || t.getLastMessageDate().getTime() > excludedAt;
+  });
+}
+
+/**
+ * Number of threads currently remembered as excluded
+ * Used to widen the inbox search so exclusions don't starve real candidates
+ */
+function countExcludedThreads_() {
+  return Object.keys(readJsonProperty_(RULES_EXCLUDED_KEY, {})).length;
+}
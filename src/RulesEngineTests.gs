@@ -0,0 +1,130 @@
+/**
+ * RulesEngine Manual Tests
+ *
+ * Pure-logic tests for pre-classification rules: no Gmail, Drive or AI access
+ * is needed. Run these functions individually in the Apps Script editor; each
+ * test logs results to the execution log (View > Logs).
+ */
+
+/**
+ * Sample rules covering every match condition
+ * @private
+ */
+function getSampleRulesJson_() {
+  return JSON.stringify([
+    { name: 'newsletters', match: { headers: { 'List-Unsubscribe': '.' } }, label: 'summarize' },
+    { name: 'vendor-invoices', match: { domain: ['vendor.com'], subject: 'invoice|receipt' }, label: 'review' },
+    { name: 'stale-alerts', match: { from: '^alerts@', minAgeDays: 7 }, action: 'exclude' }
+  ]);
+}
+
+/**
+ * Test 1: Rule matching
+ *
+ * Tests: applyPreclassificationRules_() labels, excludes and passes emails through
+ */
+function testRuleMatching() {
+  Logger.log('========================================');
+  Logger.log('TEST 1: Rule Matching');
+  Logger.log('========================================\n');
+
+  try {
+    const cfg = getConfig_();
+    const rules = parsePreclassificationRules_(getSampleRulesJson_(), 'TEST_RULES', cfg);
+    const emails = [
+      { id: 'm1', threadId: 't1', from: 'News <news@example.com>', subject: 'Weekly digest', headers: { 'List-Unsubscribe': '<mailto:unsub@example.com>' } },
+      { id: 'm2', threadId: 't2', from: 'Billing <billing@eu.vendor.com>', subject: 'Your invoice', headers: {} },
+      { id: 'm3', threadId: 't3', from: 'alerts@monitoring.example.com', subject: 'CPU high', ageDays: 10, headers: {} },
+      { id: 'm4', threadId: 't4', from: 'alerts@monitoring.example.com', subject: 'CPU high', ageDays: 1, headers: {} }
+    ];
+
+    const outcome = applyPreclassificationRules_(emails, rules, cfg);
+    const byId = {};
+    outcome.results.forEach(function(r) { byId[r.id] = r; });
+
+    Logger.log((byId.m1 && byId.m1.required_action === 'summarize' && byId.m1.reason === 'rule:newsletters' ? '✅' : '❌') +
+      ' Header rule labeled newsletter: ' + JSON.stringify(byId.m1));
+    Logger.log((byId.m2 && byId.m2.required_action === 'review' ? '✅' : '❌') +
+      ' Domain + subject rule matched subdomain: ' + JSON.stringify(byId.m2));
+    Logger.log((outcome.excluded.length === 1 && outcome.excluded[0].id === 'm3' ? '✅' : '❌') +
+      ' Age rule excluded old alert: ' + JSON.stringify(outcome.excluded));
+    Logger.log((outcome.remaining.length === 1 && outcome.remaining[0].id === 'm4' ? '✅' : '❌') +
+      ' Recent alert left for the LLM');
+    Logger.log((JSON.stringify(getRuleHeaderNames_(rules)) === '["List-Unsubscribe"]' ? '✅' : '❌') +
+      ' Header names requested: ' + JSON.stringify(getRuleHeaderNames_(rules)));
+
+  } catch (e) {
+    Logger.log('❌ ERROR: ' + e.message);
+  }
+}
+
+/**
+ * Test 2: Invalid rule configuration fails with actionable errors
+ */
+function testInvalidRules() {
+  Logger.log('========================================');
+  Logger.log('TEST 2: Invalid Rules');
+  Logger.log('========================================\n');
+
+  const cfg = getConfig_();
+  const cases = [
+    { raw: 'not json', expect: 'JSON array' },
+    { raw: '[{"name": "x", "label": "todo"}]', expect: 'needs a "match" object' },
+    { raw: '[{"name": "x", "match": {"from": "a"}, "label": "unknown_label"}]', expect: 'needs "action": "exclude" or a "label"' },
+    { raw: '[{"name": "x", "match": {"subject": "("}, "label": "todo"}]', expect: 'invalid regex' },
+    { raw: '[{"name": "x", "match": {}, "action": "exclude"}]', expect: 'no match conditions' }
+  ];
+
+  cases.forEach(function(c) {
+    try {
+      parsePreclassificationRules_(c.raw, 'TEST_RULES', cfg);
+      Logger.log('❌ Expected an error for ' + c.raw);
+    } catch (e) {
+      Logger.log((e.message.indexOf(c.expect) !== -1 ? '✅' : '❌') + ' ' + e.message);
+    }
+  });
+}
+
+/**
+ * Test 3: Rules embedded in document prose
+ *
+ * Tests: a Google Doc export with text around the JSON array still parses
+ */
+function testRulesFromDocumentText() {
+  Logger.log('========================================');
+  Logger.log('TEST 3: Rules From Document Text');
+  Logger.log('========================================\n');
+
+  try {
+    const text = 'Pre-classification rules\n\nEdit the JSON below.\n\n' + getSampleRulesJson_() + '\n\nLast reviewed: Q3';
+    const rules = parsePreclassificationRules_(text, 'TEST_RULES', getConfig_());
+    Logger.log((rules.length === 3 && rules[2].exclude ? '✅' : '❌') + ' Parsed ' + rules.length + ' rules');
+  } catch (e) {
+    Logger.log('❌ ERROR: ' + e.message);
+  }
+}
+
+/**
+ * Run All RulesEngine Tests
+ */
+function runAllRulesEngineTests() {
+  Logger.log('\n\n');
+  Logger.log('╔════════════════════════════════════════╗');
+  Logger.log('║  RulesEngine Test Suite                ║');
+  Logger.log('╚════════════════════════════════════════╝');
+  Logger.log('\n');
+
+  testRuleMatching();
+  Logger.log('\n\n');
+
+  testInvalidRules();
+  Logger.log('\n\n');
+
+  testRulesFromDocumentText();
+  Logger.log('\n\n');
+
+  Logger.log('╔════════════════════════════════════════╗');
+  Logger.log('║  Test Suite Complete                   ║');
+  Logger.log('╚════════════════════════════════════════╝');
+  Logger.log('\nAll tests should show ✅.');
+}
@@ -0,0 +1,80 @@
+/**
+ * RunGuard.gs - Execution-time guard and checkpoints for run()
+ *
+ * Apps Script stops an execution after 6 minutes. run() creates a deadline from
+ * RUN_TIME_BUDGET_SECONDS and checks it between categorization batches, threads
+ * and agents. Work that does not fit is deferred:
+ * - Emails not yet categorized stay unlabeled, so the next run finds them again
+ * - Decisions not yet applied and agents not yet run are saved in the
+ *   RUN_CHECKPOINT script property and resumed first on the next trigger
+ * - Skipped postLabel scans simply run again on the next trigger
+ */
+
+const RUN_CHECKPOINT_KEY = 'RUN_CHECKPOINT';
+const RUN_CHECKPOINT_LIMIT = 8000;
+
+/**
+ * Create a deadline for the current execution
+ *
+ * @param {number} budgetSeconds - Seconds of work allowed before deferring
+ * @returns {{startedAt: number, elapsedMs: Function, remainingMs: Function, expired: Function}} Deadline
+ */
+function createRunDeadline_(budgetSeconds) {
+  const startedAt = Date.now();
+  const deadlineAt = startedAt + budgetSeconds * 1000;
+  return {
+    startedAt: startedAt,
+    elapsedMs: function() { return Date.now() - startedAt; },
+    remainingMs: function() { return Math.max(0, deadlineAt - Date.now()); },
+    expired: function() { return Date.now() >= deadlineAt; }
+  };
+}
+
+/**
+ * Save deferred work for the next run
+ *
+ * Decisions are dropped from the end when the checkpoint would exceed the script
+ * property size limit; those threads are still unlabeled and get categorized again.
+ *
+ * @param {Object} checkpoint - { decisions: Array, agents: Array<{threadId, label}> }
+ * @returns {{decisions: number, agents: number, dropped: number}} What was saved
+ */
+function saveRunCheckpoint_(checkpoint) {
+  const decisions = (checkpoint.decisions || []).map(function(r) {
+    const saved = { id: r.id, threadId: r.threadId, required_action: r.required_action, reason: String(r.reason || '').slice(0, 100), model: r.model };
+    if (typeof r.confidence === 'number') saved.confidence = r.confidence;
+    return saved;
+  });
+  const data = { savedAt: new Date().toISOString(), decisions: decisions, agents: checkpoint.agents || [] };
+
+  let dropped = 0;
+  while (data.decisions.length && JSON.stringify(data).length > RUN_CHECKPOINT_LIMIT) {
+    data.decisions.pop();
+    dropped++;
+  }
+  while (data.agents.length && JSON.stringify(data).length > RUN_CHECKPOINT_LIMIT) {
+    data.agents.pop();
+    dropped++;
+  }
+
+  const empty = !data.decisions.length && !data.agents.length;
+  writeJsonProperty_(RUN_CHECKPOINT_KEY, empty ? null : data);
+  return { decisions: data.decisions.length, agents: data.agents.length, dropped: dropped };
+}
+
+/**
+ * Read the checkpoint left by an earlier run
+ *
+ * The checkpoint is replaced at the end of the run by saveRunCheckpoint_(), so
+ * work is not lost if this execution fails before finishing it.
+ *
+ * @returns {{savedAt: string|null, decisions: Array, agents: Array}} Deferred work (empty when none)
+ */
+function readRunCheckpoint_() {
+  const data = readJsonProperty_(RUN_CHECKPOINT_KEY, null);
+  return {
+    savedAt: data && data.savedAt || null,
+    decisions: data && Array.isArray(data.decisions) ? data.decisions : [],
+    agents: data && Array.isArray(data.agents) ? data.agents : []
+  };
+}
@@ -0,0 +1,238 @@
+/**
+ * RunHistory.gs - Persistent run history and metrics
+ *
+ * run() records one entry per execution: per-label counts, agent outcomes, LLM
+ * calls, tokens, latency and errors. Entries are grouped by day in
+ * `RUN_HISTORY-YYYY-MM-DD` script properties:
+ *   { date, totals: { runs, candidates, labeled, ..., labels, agents, llm }, runs: [record, ...] }
+ *
+ * Totals always cover every run of the day. Individual run records are dropped
+ * oldest-first when the day would exceed the script property size limit.
+ * cleanupOldRunHistory_() drops the run records of days older than
+ * RUN_HISTORY_DETAIL_DAYS, keeping only their totals (well under 1KB a day, so
+ * a month of history stays small next to the 500KB property quota), and removes
+ * days older than RUN_HISTORY_DAYS.
+ *
+ * LLM usage is collected in memory by recordLLMCall_(), which callLLM_() invokes
+ * for every request made during the execution.
+ */
+
+const RUN_HISTORY_PREFIX = 'RUN_HISTORY-';
+const RUN_HISTORY_LIMIT = 8000;
+
+// Reset per execution (Apps Script starts every execution with fresh globals)
+const RUN_LLM_STATS = { calls: 0, errors: 0, promptTokens: 0, outputTokens: 0, latencyMs: 0 };
+
+/**
+ * Add one LLM response to this execution's usage counters
+ *
+ * @param {Object} response - Normalized response from callLLM_()
+ * @param {string} consumer - Budget consumer that made the call, optional
+ */
+function recordLLMCall_(response, consumer) {
+  const promptTokens = response.usage && response.usage.promptTokens || 0;
+  const outputTokens = response.usage && response.usage.outputTokens || 0;
+  RUN_LLM_STATS.calls++;
+  if (!response.ok) RUN_LLM_STATS.errors++;
+  RUN_LLM_STATS.promptTokens += promptTokens;
+  RUN_LLM_STATS.outputTokens += outputTokens;
+  RUN_LLM_STATS.latencyMs += response.latencyMs || 0;
+
+  if (consumer) {
+    RUN_LLM_STATS.consumers = RUN_LLM_STATS.consumers || {};
+    const byConsumer = RUN_LLM_STATS.consumers[consumer] = RUN_LLM_STATS.consumers[consumer] || { calls: 0, tokens: 0 };
+    byConsumer.calls++;
+    byConsumer.tokens += promptTokens + outputTokens;
+  }
+}
+
+/**
+ * Build the history record for a finished run
+ *
+ * @param {Object} summary - Summary from Organizer.apply_() (or {} when there were no candidates)
+ * @param {Object} deadline - Deadline from createRunDeadline_()
+ * @param {Object} cfg - Configuration from getConfig_()
+ * @returns {Object} Run record
+ */
+function buildRunRecord_(summary, deadline, cfg) {
+  const agents = summary.agents || {};
+  const record = {
+    at: new Date(deadline.startedAt).toISOString(),
+    durationMs: deadline.elapsedMs(),
+    dryRun: !!cfg.DRY_RUN,
+    candidates: summary.candidates || 0,
+    labeled: summary.labeled || 0,
+    skipped: summary.skipped || 0,
+    triaged: summary.triaged || 0,
+    escalations: summary.escalations || 0,
+    errors: (summary.errors || 0) + (agents.error || 0),
+    labels: summary.labels || {},
+    agents: { ok: agents.ok || 0, skip: agents.skip || 0, retry: agents.retry || 0, error: agents.error || 0 },
+    llm: JSON.parse(JSON.stringify(RUN_LLM_STATS))
+  };
+  if (summary.agentRetries && summary.agentRetries.due) record.agentRetries = summary.agentRetries;
+  if (summary.deferred) record.deferred = true;
+  return record;
+}
+
+/**
+ * Append a run record to today's history
+ *
+ * @param {Object} record - Record from buildRunRecord_()
+ * @returns {{date: string, runs: number, dropped: number}} Stored day and how many run records were trimmed
+ */
+function recordRunHistory_(record) {
+  const date = formatHistoryDate_(new Date(record.at));
+  const key = RUN_HISTORY_PREFIX + date;
+  const day = readJsonProperty_(key, null) || { date: date, totals: { runs: 0 }, runs: [] };
+
+  day.totals.runs++;
+  addMetricTotals_(day.totals, record);
+  day.runs.push(record);
+
+  let dropped = 0;
+  while (day.runs.length && JSON.stringify(day).length > RUN_HISTORY_LIMIT) {
+    day.runs.shift();
+    dropped++;
+  }
+  writeJsonProperty_(key, day);
+  return { date: date, runs: day.totals.runs, dropped: dropped };
+}
+
+/**
+ * Read stored history for the most recent days
+ *
+ * @param {number} days - Number of days to read, including today
+ * @returns {Array<Object>} Day entries, oldest first (days without runs are omitted)
+ */
+function getRunHistory_(days) {
+  const entries = [];
+  const now = new Date();
+  for (let i = days - 1; i >= 0; i--) {
+    const date = formatHistoryDate_(new Date(now.getFullYear(), now.getMonth(), now.getDate() - i));
+    const day = readJsonProperty_(RUN_HISTORY_PREFIX + date, null);
+    if (day) entries.push(day);
+  }
+  return entries;
+}
+
+/**
+ * Aggregate run history into daily or weekly trend buckets
+ *
+ * @param {string} period - 'daily' or 'weekly' (weeks start on Monday)
+ * @param {number} count - Number of periods to return, including the current one
+ * @returns {Object} { success, period, buckets: [{ start, runs, candidates, labeled, ..., labels, agents, llm }], error? }
+ */
+function getRunMetrics_(period, count) {
+  try {
+    const weekly = period === 'weekly';
+    const periods = count || (weekly ? 4 : 7);
+    // Cover whole weeks: today plus up to 6 earlier days of the current week
+    const days = weekly ? periods * 7 + 6 : periods;
+    const buckets = [];
+    const byStart = {};
+
+    getRunHistory_(days).forEach(function(day) {
+      const start = weekly ? getWeekStart_(day.date) : day.date;
+      if (!byStart[start]) {
+        byStart[start] = { start: start, runs: 0 };
+        buckets.push(byStart[start]);
+      }
+      addMetricTotals_(byStart[start], day.totals);
+    });
+
+    const recent = buckets.slice(-periods);
+    recent.forEach(function(bucket) {
+      const llm = bucket.llm || {};
+      bucket.avgLatencyMs = llm.calls ? Math.round(llm.latencyMs / llm.calls) : 0;
+    });
+    return { success: true, period: weekly ? 'weekly' : 'daily', buckets: recent };
+
+  } catch (error) {
+    Logger.log('RunHistory.getRunMetrics_ error: ' + error.toString());
+    return {
+      success: false,
+      error: 'Failed to read run history: ' + error.toString()
+    };
+  }
+}
+
+/**
+ * Remove run history older than RUN_HISTORY_DAYS, and the per-run records of days
+ * older than RUN_HISTORY_DETAIL_DAYS
+ * Works like cleanupOldBudgetProperties_() for the RUN_HISTORY- prefix.
+ *
+ * @param {Object} cfg - Configuration from getConfig_()
+ * @returns {{deleted: number, compacted: number, retained: number, retentionDays: number}} Cleanup summary
+ */
+function cleanupOldRunHistory_(cfg) {
+  const props = PropertiesService.getScriptProperties();
+  const retentionDays = cfg.RUN_HISTORY_DAYS;
+  const day = 24 * 60 * 60 * 1000;
+  const cutoff = formatHistoryDate_(new Date(Date.now() - retentionDays * day));
+  const detailCutoff = formatHistoryDate_(new Date(Date.now() - cfg.RUN_HISTORY_DETAIL_DAYS * day));
+  const pattern = /^RUN_HISTORY-(\d{4}-\d{2}-\d{2})$/;
+  const summary = { deleted: 0, compacted: 0, retained: 0, retentionDays: retentionDays };
+
+  const stored = props.getProperties();
+  Object.keys(stored).forEach(function(key) {
+    const match = key.match(pattern);
+    if (!match) return;
+    // ISO dates compare correctly as strings
+    if (match[1] < cutoff) {
+      props.deleteProperty(key);
+      summary.deleted++;
+      return;
+    }
+    summary.retained++;
+    if (match[1] < detailCutoff && stored[key].indexOf('"runs":[{') !== -1) {
+      const entry = readJsonProperty_(key, null);
+      if (entry) {
+        entry.runs = [];
+        writeJsonProperty_(key, entry);
+        summary.compacted++;
+      }
+    }
+  });
+
+  if (cfg.DEBUG && (summary.deleted > 0 || summary.compacted > 0)) {
+    console.log('Run history cleanup summary: ' + JSON.stringify(summary, null, 2));
+  }
+  return summary;
+}
+
+/**
+ * Add numeric fields of source into target, recursing into nested counters
+ * @private
+ */
+function addMetricTotals_(target, source) {
+  Object.keys(source).forEach(function(key) {
+    const value = source[key];
+    if (typeof value === 'number') {
+      target[key] = (target[key] || 0) + value;
+    } else if (value && typeof value === 'object' && !Array.isArray(value)) {
+      target[key] = target[key] || {};
+      addMetricTotals_(target[key], value);
+    }
+  });
+  return target;
+}
+
+/**
+ * Local calendar date as YYYY-MM-DD (matches the BUDGET- key dates)
+ * @private
+ */
+function formatHistoryDate_(d) {
+  return d.getFullYear() + '-' + String(d.getMonth() + 1).padStart(2, '0') + '-' + String(d.getDate()).padStart(2, '0');
+}
+
+/**
+ * Monday of the week containing a YYYY-MM-DD date
+ * @private
+ */
+function getWeekStart_(date) {
+  const parts = date.split('-');
+  const d = new Date(parseInt(parts[0], 10), parseInt(parts[1], 10) - 1, parseInt(parts[2], 10));
+  d.setDate(d.getDate() - (d.getDay() + 6) % 7);
+  return formatHistoryDate_(d);
+}
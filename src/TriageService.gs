@@ -0,0 +1,178 @@
+/**
+ * TriageService.gs - Human-review queue for low-confidence classifications
+ *
+ * Decisions whose confidence is below TRIAGE_CONFIDENCE_THRESHOLD are not
+ * applied. The thread gets TRIAGE_LABEL instead and the proposed label is kept
+ * in a `TRIAGE-<threadId>` script property until someone confirms (or corrects)
+ * it from the web app. Agents only run once a label is confirmed, so an
+ * uncertain guess can never draft a reply or archive a thread.
+ */
+
+const TRIAGE_PROPERTY_PREFIX = 'TRIAGE-';
+
+/**
+ * Check whether a categorization result should go to the review queue
+ *
+ * Results without a confidence value are treated as certain.
+ *
+ * @param {Object} result - Categorizer result ({ required_action, confidence? })
+ * @param {Object} cfg - Configuration from getConfig_()
+ * @returns {boolean} True when the decision should be triaged instead of applied
+ */
+function needsTriage_(result, cfg) {
+  return !!result.required_action &&
+    cfg.TRIAGE_CONFIDENCE_THRESHOLD > 0 &&
+    typeof result.confidence === 'number' &&
+    result.confidence < cfg.TRIAGE_CONFIDENCE_THRESHOLD;
+}
+
+/**
+ * Store the proposed label for a triaged thread
+ *
+ * @param {string} threadId - Gmail thread ID
+ * @param {Object} result - Categorizer result for the thread
+ */
+function recordTriageProposal_(threadId, result) {
+  writeJsonProperty_(TRIAGE_PROPERTY_PREFIX + threadId, {
+    label: result.required_action,
+    confidence: result.confidence,
+    reason: result.reason || '',
+    model: result.model || '',
+    messageId: result.id || '',
+    queuedAt: new Date().toISOString()
+  });
+}
+
+/**
+ * Read the stored proposal for a thread
+ * @returns {Object|null} Proposal, or null when missing or unreadable
+ */
+function getTriageProposal_(threadId) {
+  return readJsonProperty_(TRIAGE_PROPERTY_PREFIX + threadId, null);
+}
+
+/**
+ * List threads waiting for review with their proposed labels
+ *
+ * Gmail is the source of truth: a thread is queued while it carries TRIAGE_LABEL.
+ * Proposals for threads that lost the label (handled manually in Gmail) are removed.
+ *
+ * @param {Object} cfg - Configuration from getConfig_()
+ * @param {number} limit - Maximum threads to return (default 50)
+ * @returns {Object} { success, items: [{ threadId, subject, from, date, url, proposedLabel, confidence, reason }], count, labels, error? }
+ */
+function getTriageQueue_(cfg, limit) {
+  try {
+    cfg = cfg || getConfig_();
+    const labels = getLabelNames_(cfg.LABEL_TAXONOMY);
+    const triageLabel = GmailApp.getUserLabelByName(cfg.TRIAGE_LABEL);
+    const threads = triageLabel ? triageLabel.getThreads(0, limit || 50) : [];
+    const queued = new Set();
+
+    const items = threads.map(function(thread) {
+      const threadId = thread.getId();
+      const proposal = getTriageProposal_(threadId) || {};
+      const messages = thread.getMessages();
+      const latest = messages[messages.length - 1];
+      const link = createGmailUrl_(threadId);
+      queued.add(threadId);
+      return {
+        threadId: threadId,
+        subject: thread.getFirstMessageSubject() || '(No Subject)',
+        from: latest.getFrom() || '(Unknown Sender)',
+        date: latest.getDate().toISOString(),
+        url: link.success ? link.url : '',
+        proposedLabel: proposal.label || null,
+        confidence: typeof proposal.confidence === 'number' ? proposal.confidence : null,
+        reason: proposal.reason || ''
+      };
+    });
+
+    // Drop proposals for threads no longer in the queue (only safe when the full queue was read)
+    if (threads.length < (limit || 50)) {
+      const props = PropertiesService.getScriptProperties();
+      Object.keys(props.getProperties()).forEach(function(key) {
+        if (key.indexOf(TRIAGE_PROPERTY_PREFIX) === 0 && !queued.has(key.substring(TRIAGE_PROPERTY_PREFIX.length))) {
+          props.deleteProperty(key);
+        }
+      });
+    }
+
+    return { success: true, items: items, count: items.length, labels: labels };
+
+  } catch (error) {
+    Logger.log('TriageService.getTriageQueue_ error: ' + error.toString());
+    return {
+      success: false,
+      error: 'Failed to load review queue: ' + error.toString()
+    };
+  }
+}
+
+/**
+ * Confirm a label for a triaged thread
+ *
+ * Applies the label, removes TRIAGE_LABEL, clears the stored proposal and runs
+ * the label's agents as if the classification had been confident. With DRY_RUN the
+ * thread and the queue are left unchanged, and the agents follow the usual dry-run
+ * rules (AGENTS_DRY_RUN, runWhen).
+ *
+ * @param {string} threadId - Gmail thread ID
+ * @param {string} labelName - Label to apply (proposed label or a correction)
+ * @param {Object} cfg - Configuration from getConfig_()
+ * @returns {Object} { success, threadId, label, corrected, dryRun, agents: { ok, skip, retry, error }, error? }
+ */
+function confirmTriage_(threadId, labelName, cfg) {
+  try {
+    cfg = cfg || getConfig_();
+    const allowed = getLabelNames_(cfg.LABEL_TAXONOMY);
+    const label = allowed.filter(function(name) {
+      return name.toLowerCase() === String(labelName || '').toLowerCase();
+    })[0];
+    if (!label) {
+      return { success: false, error: 'Unknown label "' + labelName + '". Expected one of: ' + allowed.join(', ') };
+    }
+
+    const thread = GmailApp.getThreadById(threadId);
+    if (!thread) {
+      return { success: false, error: 'Thread not found: ' + threadId };
+    }
+
+    const proposal = getTriageProposal_(threadId);
+    // Changing the proposed label is a correction; later relabels are tracked as usual
+    const corrected = !!(proposal && proposal.label && proposal.label !== label);
+    if (cfg.DRY_RUN) {
+      Logger.log('TriageService: DRY RUN - Would confirm ' + label + ' for thread ' + threadId);
+    } else {
+      const triageLabel = GmailApp.getUserLabelByName(cfg.TRIAGE_LABEL);
+      if (triageLabel) thread.removeLabel(triageLabel);
+      applyLabel_(thread, label, false, allowed);
+      writeJsonProperty_(TRIAGE_PROPERTY_PREFIX + threadId, null);
+
+      if (corrected) recordCorrectionExample_(thread, proposal.label, label, cfg);
+      recordLabelAssignments_([{ threadId: threadId, label: label }], cfg);
+    }
+
+    const agents = { ok: 0, skip: 0, retry: 0, error: 0 };
+    if (typeof Agents !== 'undefined' && Agents && typeof Agents.registerAllModules === 'function') {
+      Agents.registerAllModules();
+    }
+    runLabelAgents_(label, { required_action: label, reason: 'confirmed-in-review' }, threadId, thread, cfg, agents);
+
+    return {
+      success: true,
+      threadId: threadId,
+      label: label,
+      corrected: corrected,
+      dryRun: !!cfg.DRY_RUN,
+      agents: agents
+    };
+
+  } catch (error) {
+    Logger.log('TriageService.confirmTriage_ error: ' + error.toString());
+    return {
+      success: false,
+      error: 'Failed to confirm label: ' + error.toString()
+    };
+  }
+}
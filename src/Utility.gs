@@ -10,6 +10,7 @@
  * 3. Trigger Management Utilities
  * 4. Error Handling Utilities
  * 5. Configuration & Gmail Utilities
+ * 6. Script Property Storage Utilities
  */
 
 // ============================================================================
@@ -334,7 +335,9 @@ function formatTimestamp_(date, format) {
  * Generic trigger creation pattern
  *
  * @param {string} functionName - Name of function to trigger
- * @param {object} schedule - Schedule configuration: {type: 'hours'|'minutes', interval: number}
+ * @param {object} schedule - Schedule configuration:
+ *   {type: 'hours'|'minutes', interval: number}, {type: 'hourly', interval?: number},
+ *   {type: 'daily', hour: number} or {type: 'weekly', day: 'monday'..'sunday', hour: number}
  * @returns {{success: boolean, trigger?: object, error?: string}} Trigger creation result
  */
 function createTimeTrigger_(functionName, schedule) {
@@ -343,10 +346,36 @@ function createTimeTrigger_(functionName, schedule) {
       return { success: false, error: 'Function name is required' };
     }
 
-    if (!schedule || !schedule.type || !schedule.interval) {
+    if (!schedule || !schedule.type) {
+      return { success: false, error: 'Schedule must specify a type' };
+    }
+
+    if ((schedule.type === 'hours' || schedule.type === 'minutes') && !schedule.interval) {
       return { success: false, error: 'Schedule must specify type and interval' };
     }
 
+    if ((schedule.type === 'daily' || schedule.type === 'weekly') &&
+        !(schedule.hour >= 0 && schedule.hour <= 23)) {
+      return { success: false, error: 'Hour must be between 0 and 23' };
+    }
+
+    // Validate everything before the existing triggers are deleted
+    const weekDay = schedule.type === 'weekly' ? ScriptApp.WeekDay[String(schedule.day || '').toUpperCase()] : null;
+    if (schedule.type === 'weekly' && !weekDay) {
+      return { success: false, error: `Unknown week day: ${schedule.day}` };
+    }
+    // everyHours() only accepts these intervals
+    if ((schedule.type === 'hours' || (schedule.type === 'hourly' && schedule.interval !== undefined)) &&
+        ![1, 2, 4, 6, 8, 12].includes(schedule.interval)) {
+      return { success: false, error: 'Hour interval must be 1, 2, 4, 6, 8, or 12' };
+    }
+    if (schedule.type === 'minutes' && ![1, 5, 10, 15, 30].includes(schedule.interval)) {
+      return { success: false, error: 'Minute interval must be 1, 5, 10, 15, or 30' };
+    }
+    if (['hourly', 'daily', 'weekly', 'hours', 'minutes'].indexOf(schedule.type) === -1) {
+      return { success: false, error: `Unknown schedule type: ${schedule.type}` };
+    }
+
     // Delete existing triggers for this function first
     const deleteResult = deleteTriggersByFunction_(functionName);
     if (!deleteResult.success) {
@@ -356,20 +385,21 @@ function createTimeTrigger_(functionName, schedule) {
     let triggerBuilder = ScriptApp.newTrigger(functionName).timeBased();
 
     switch (schedule.type) {
+      case 'hourly':
+        triggerBuilder = triggerBuilder.everyHours(schedule.interval || 1);
+        break;
+      case 'daily':
+        triggerBuilder = triggerBuilder.everyDays(1).atHour(schedule.hour);
+        break;
+      case 'weekly':
+        triggerBuilder = triggerBuilder.onWeekDay(weekDay).atHour(schedule.hour);
+        break;
       case 'hours':
-        if (schedule.interval < 1 || schedule.interval > 24) {
-          return { success: false, error: 'Hour interval must be between 1 and 24' };
-        }
         triggerBuilder = triggerBuilder.everyHours(schedule.interval);
         break;
       case 'minutes':
-        if (![1, 5, 10, 15, 30].includes(schedule.interval)) {
-          return { success: false, error: 'Minute interval must be 1, 5, 10, 15, or 30' };
-        }
         triggerBuilder = triggerBuilder.everyMinutes(schedule.interval);
         break;
-      default:
-        return { success: false, error: `Unknown schedule type: ${schedule.type}` };
     }
 
     const trigger = triggerBuilder.create();
@@ -606,7 +636,7 @@ function validateEmailFormat_(email) {
 
 /**
  * Create Gmail permalink URL for a thread
- * Gmail URL generation for email references
+ * Gmail URL generation for email references; "#all" keeps working after the thread is archived
  *
  * @param {string} threadId - Gmail thread ID
  * @returns {{success: boolean, url?: string, error?: string}} Gmail URL result
@@ -621,10 +651,49 @@ function createGmailUrl_(threadId) {
       return { success: false, error: 'Thread ID must be a string' };
     }
 
-    const gmailUrl = `https://mail.google.com/mail/u/0/#inbox/${threadId}`;
+    const gmailUrl = `https://mail.google.com/mail/u/0/#all/${threadId}`;
     return { success: true, url: gmailUrl };
 
   } catch (error) {
     return standardErrorHandler_(error, 'createGmailUrl_');
   }
-}
\ No newline at end of file
+}
+
+// ============================================================================
+// Section 6: Script Property Storage Utilities
+// ============================================================================
+
+/**
+ * Read a JSON value stored in a script property
+ * Missing or unparsable values return the fallback instead of throwing
+ *
+ * @param {string} key - Script property key
+ * @param {*} fallback - Value returned when the property is missing or invalid
+ * @returns {*} Parsed value or fallback
+ */
+function readJsonProperty_(key, fallback) {
+  const raw = PropertiesService.getScriptProperties().getProperty(key);
+  if (!raw) return fallback;
+  try {
+    return JSON.parse(raw);
+  } catch (e) {
+    console.log('Ignoring unreadable script property ' + key + ': ' + e.toString());
+    return fallback;
+  }
+}
+
+/**
+ * Store a value as JSON in a script property (null or undefined deletes it)
+ * Script properties hold at most 9KB per value - callers must keep values bounded
+ *
+ * @param {string} key - Script property key
+ * @param {*} value - JSON-serializable value
+ */
+function writeJsonProperty_(key, value) {
+  const props = PropertiesService.getScriptProperties();
+  if (value === null || value === undefined) {
+    props.deleteProperty(key);
+    return;
+  }
+  props.setProperty(key, JSON.stringify(value));
+}
@@ -50,8 +50,8 @@ function summarizeEmails() {
       };
     }
 
-    // Security: Rate limiting check
-    if (!enforceBudget_(1, cfg.DAILY_GEMINI_BUDGET)) {
+    // Security: Rate limiting check (the call is reserved when the summary is generated)
+    if (!checkBudget_('webapp', cfg).allowed) {
       console.log(`Rate limit exceeded for user: ${userEmail}`);
       return {
         success: false,
@@ -104,7 +104,8 @@ function summarizeEmails() {
     const summaryConfig = {
       style: 'economist',
       includeWebLinks: webLinks,
-      emailLinks: emailLinks
+      emailLinks: emailLinks,
+      budgetConsumer: 'webapp'
     };
     const prompt = buildSummaryPrompt_(emailsToProcess, null, summaryConfig, globalKnowledge);
 
@@ -115,10 +116,12 @@ function summarizeEmails() {
       return summaryResult;
     }
 
-    let summaryText = summaryResult.summary;
-
-    // The AI now includes both source references and web links inline within themes
-    // No additional processing needed here
+    // The AI cites source emails by reference token; swap in permalinks and drop unverifiable links
+    const links = resolveSummaryLinks_(summaryResult.summary, emailLinks, webLinks);
+    if (links.repaired || links.removed) {
+      Logger.log(`WebApp: Summary links checked - ${links.repaired} repaired, ${links.removed} removed`);
+    }
+    const summaryText = links.text;
 
     return {
       success: true,
@@ -283,6 +286,85 @@ function getEmailStatus() {
   }
 }
 
+/**
+ * List low-confidence classifications waiting for review
+ * Returns: { success, items, count, labels, error? }
+ */
+function getTriageQueue() {
+  try {
+    // Security: Verify user authentication
+    const userEmail = Session.getActiveUser().getEmail();
+    if (!userEmail) {
+      return {
+        success: false,
+        error: 'Authentication required. Please refresh and sign in.'
+      };
+    }
+
+    const cfg = getConfig_();
+
+    if (!cfg.WEBAPP_ENABLED) {
+      return {
+        success: false,
+        error: 'Web app functionality is disabled'
+      };
+    }
+
+    return getTriageQueue_(cfg);
+
+  } catch (error) {
+    Logger.log('WebApp getTriageQueue error: ' + error.toString());
+    return {
+      success: false,
+      error: 'Failed to load review queue: ' + error.toString()
+    };
+  }
+}
+
+/**
+ * Confirm (or correct) the label for a thread in the review queue
+ * Applies the label and runs its agents
+ */
+function confirmTriage(threadId, labelName) {
+  try {
+    // Security: Verify user authentication
+    const userEmail = Session.getActiveUser().getEmail();
+    if (!userEmail) {
+      return {
+        success: false,
+        error: 'Authentication required. Please refresh and sign in.'
+      };
+    }
+
+    const cfg = getConfig_();
+
+    if (!cfg.WEBAPP_ENABLED) {
+      return {
+        success: false,
+        error: 'Web app functionality is disabled'
+      };
+    }
+
+    // Security: Basic input validation
+    if (!threadId || typeof threadId !== 'string' || !labelName || typeof labelName !== 'string') {
+      return {
+        success: false,
+        error: 'Thread ID and label are required'
+      };
+    }
+
+    console.log(`Triage confirmed by ${userEmail}: thread ${threadId} -> ${labelName}`);
+    return confirmTriage_(threadId, labelName, cfg);
+
+  } catch (error) {
+    Logger.log('WebApp confirmTriage error: ' + error.toString());
+    return {
+      success: false,
+      error: 'Failed to confirm label: ' + error.toString()
+    };
+  }
+}
+
 /**
  * Convert markdown to HTML using shared utility
  * Called from frontend for consistent server-side markdown processing